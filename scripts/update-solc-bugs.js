@@ -0,0 +1,20 @@
+// Refreshes the bundled copy of the Solidity compiler bug lists
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const SOURCE_URL = 'https://raw.githubusercontent.com/ethereum/solidity/develop/docs';
+const TARGET_DIR = path.join(__dirname, '..', 'src', 'data', 'solc');
+
+async function main() {
+  for (const file of ['bugs.json', 'bugs_by_version.json']) {
+    const response = await axios.get(`${SOURCE_URL}/${file}`, { timeout: 30000 });
+    fs.writeFileSync(path.join(TARGET_DIR, file), `${JSON.stringify(response.data, null, 4)}\n`);
+    console.log(`Updated ${file}`);
+  }
+}
+
+main().catch(error => {
+  console.error('Failed to update solc bug lists:', error.message);
+  process.exit(1);
+});
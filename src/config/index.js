@@ -11,6 +11,10 @@ const config = {
     appId: process.env.GITHUB_APP_ID,
     privateKey: getPrivateKey(),
     webhookSecret: process.env.GITHUB_WEBHOOK_SECRET,
+    // Secrets still accepted while a new one is rolled out in the App settings, comma separated
+    previousWebhookSecrets: (process.env.GITHUB_WEBHOOK_PREVIOUS_SECRETS || '').split(',').map(secret => secret.trim()).filter(Boolean),
+    // GitHub caps payloads at 25 MB
+    webhookMaxPayloadBytes: parseInt(process.env.WEBHOOK_MAX_PAYLOAD_BYTES) || 25 * 1024 * 1024,
     clientId: process.env.GITHUB_CLIENT_ID,
     clientSecret: process.env.GITHUB_CLIENT_SECRET,
   },
@@ -64,31 +68,37 @@ const config = {
       ethereum: {
         chainId: 1,
         name: 'Ethereum Mainnet',
+        currency: 'ETH',
         explorer: 'https://etherscan.io',
       },
       polygon: {
         chainId: 137,
         name: 'Polygon Mainnet',
+        currency: 'POL',
         explorer: 'https://polygonscan.com',
       },
       arbitrum: {
         chainId: 42161,
         name: 'Arbitrum One',
+        currency: 'ETH',
         explorer: 'https://arbiscan.io',
       },
       optimism: {
         chainId: 10,
         name: 'Optimism',
+        currency: 'ETH',
         explorer: 'https://optimistic.etherscan.io',
       },
       bsc: {
         chainId: 56,
         name: 'BNB Smart Chain',
+        currency: 'BNB',
         explorer: 'https://bscscan.com',
       },
       solana: {
         chainId: 'mainnet-beta',
         name: 'Solana Mainnet',
+        currency: 'SOL',
         explorer: 'https://solscan.io',
       },
     },
@@ -129,6 +139,60 @@ const config = {
     retryDelayMs: 5000,
   },
   
+  analysis: {
+    maxSourceFiles: parseInt(process.env.ANALYSIS_MAX_SOURCE_FILES) || 300,
+    solc: {
+      // Other compiler versions are downloaded from binaries.soliditylang.org and evaluated only when enabled
+      allowRemoteVersions: process.env.SOLC_ALLOW_REMOTE_VERSIONS === 'true',
+      versionListUrl: process.env.SOLC_VERSION_LIST_URL || 'https://binaries.soliditylang.org/bin/list.json',
+      // Compilation runs in a worker thread, which is restarted when a compilation takes longer than this
+      timeoutMs: parseInt(process.env.SOLC_TIMEOUT_MS) || 120000,
+      // Downloaded compiler versions kept loaded besides the bundled one
+      maxCachedVersions: parseInt(process.env.SOLC_MAX_CACHED_VERSIONS) || 3,
+    },
+    vyper: {
+      // Vyper has no JavaScript build, so a locally installed compiler is used
+      path: process.env.VYPER_PATH || 'vyper',
+      timeoutMs: parseInt(process.env.VYPER_TIMEOUT_MS) || 120000,
+    },
+  },
+  
+  queue: {
+    // Webhook deliveries are stored here until processed, so they survive restarts
+    dir: process.env.QUEUE_DIR || './data/queue',
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+    retryDelayMs: parseInt(process.env.QUEUE_RETRY_DELAY_MS) || 10000,
+    maxRetryDelayMs: 10 * 60 * 1000,
+    // Completed jobs are kept this long to ignore redelivered duplicates
+    completedRetentionHours: parseInt(process.env.QUEUE_COMPLETED_RETENTION_HOURS) || 24,
+  },
+
+  onboarding: {
+    // What new installations get: 'pull_request' adds a starter config, 'issue' opens a welcome issue, 'none'
+    // (the default) nothing; it is opt-in because both write to repositories nobody asked to change
+    mode: process.env.ONBOARDING_MODE || 'none',
+    // Repositories onboarded per installation event, so installing on a large org does not open hundreds
+    maxRepositories: parseInt(process.env.ONBOARDING_MAX_REPOSITORIES) || 10,
+  },
+
+  deliveries: {
+    // Every verified webhook delivery with its outcome, kept for inspection and replay
+    dir: process.env.DELIVERY_LOG_DIR || './data/deliveries',
+    retentionDays: parseInt(process.env.DELIVERY_LOG_RETENTION_DAYS) || 14,
+    maxEntries: parseInt(process.env.DELIVERY_LOG_MAX_ENTRIES) || 5000,
+  },
+
+  admin: {
+    // Bearer token for the /admin endpoints; they are disabled when unset
+    token: process.env.ADMIN_API_TOKEN,
+  },
+  
+  alerts: {
+    // Receives secret leak alerts privately instead of in public comments (Slack-compatible)
+    secretWebhookUrl: process.env.SECRET_ALERT_WEBHOOK_URL,
+  },
+  
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     filePath: process.env.LOG_FILE_PATH || './logs/app.log',
@@ -1,10 +1,13 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const { App } = require('@octokit/app');
 const logger = require('./utils/logger');
 const config = require('./config');
 const webhookHandler = require('./webhooks/handler');
 const scheduledTasks = require('./services/scheduler');
+const jobQueue = require('./services/job-queue');
+const deliveryLog = require('./services/delivery-log');
 const apiServices = require('./services');
 
 class CryptoIntelBot {
@@ -21,9 +24,15 @@ class CryptoIntelBot {
     this.setupMiddleware();
     this.setupWebhooks();
     this.setupRoutes();
+    this.setupAdminRoutes();
   }
 
   setupMiddleware() {
+    // Webhook signatures cover GitHub's exact bytes, so that route keeps its body unparsed
+    this.app.use('/webhooks/github', express.raw({
+      type: () => true,
+      limit: config.github.webhookMaxPayloadBytes,
+    }));
     this.app.use(express.json());
     this.app.use(express.urlencoded({ extended: true }));
     
@@ -47,6 +56,18 @@ class CryptoIntelBot {
         res.status(500).json({ error: 'Internal server error' });
       }
     });
+
+    // Body reading errors, e.g. payloads over the size limit or aborted uploads
+    this.app.use('/webhooks/github', (error, req, res, next) => {
+      logger.warn('Rejected webhook payload', {
+        deliveryId: req.get('X-GitHub-Delivery'),
+        error: error.message,
+        status: error.status,
+      });
+      res.status(error.status || 400).json({
+        error: error.type === 'entity.too.large' ? 'Payload too large' : 'Invalid payload',
+      });
+    });
   }
 
   setupRoutes() {
@@ -73,9 +94,10 @@ class CryptoIntelBot {
     // Manual trigger endpoints for testing
     this.app.post('/api/trigger/gas-analysis', async (req, res) => {
       try {
-        const { owner, repo } = req.body;
-        await apiServices.gasEstimation.analyzeAndUpdate(owner, repo);
-        res.json({ message: 'Gas analysis triggered successfully' });
+        const { owner, repo, ref } = req.body;
+        const octokit = await this.getRepositoryOctokit(owner, repo);
+        const analysis = await apiServices.gasEstimation.analyzeAndUpdate(owner, repo, { octokit, ref });
+        res.json({ message: 'Gas analysis completed successfully', analysis });
       } catch (error) {
         logger.error('Gas analysis trigger error:', error);
         res.status(500).json({ error: 'Failed to trigger gas analysis' });
@@ -94,6 +116,134 @@ class CryptoIntelBot {
     });
   }
 
+  setupAdminRoutes() {
+    const admin = express.Router();
+    admin.use((req, res, next) => this.requireAdmin(req, res, next));
+
+    // Queue overview with the most recent jobs, optionally of one state
+    admin.get('/queue', (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      res.json({
+        stats: jobQueue.getStats(),
+        jobs: jobQueue.list(req.query.state || null, limit).reverse(),
+      });
+    });
+
+    admin.get('/queue/:id', (req, res) => {
+      const job = jobQueue.get(req.params.id, { includePayload: req.query.payload === 'true' });
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      res.json(job);
+    });
+
+    admin.post('/queue/:id/retry', (req, res) => {
+      try {
+        res.json({ message: 'Job queued for retry', job: jobQueue.retry(req.params.id) });
+      } catch (error) {
+        res.status(jobQueue.get(req.params.id) ? 409 : 404).json({ error: error.message });
+      }
+    });
+
+    admin.delete('/queue/:id', (req, res) => {
+      try {
+        jobQueue.remove(req.params.id);
+        res.json({ message: 'Job removed' });
+      } catch (error) {
+        res.status(jobQueue.get(req.params.id) ? 409 : 404).json({ error: error.message });
+      }
+    });
+
+    // Installations as GitHub reports them, with the repositories monitored here
+    admin.get('/installations', async (req, res) => {
+      try {
+        const installations = await apiServices.installations.listInstallations(this.githubApp.octokit);
+
+        for (const installation of installations) {
+          installation.monitoredRepositories = apiServices.networkMonitoring.getMonitoredRepositories(installation.account);
+
+          // Suspended installations cannot get tokens to list their repositories
+          if (req.query.repositories === 'true' && !installation.suspended) {
+            const octokit = await this.githubApp.getInstallationOctokit(installation.id);
+            installation.repositories = await apiServices.installations.listRepositories(octokit);
+          }
+        }
+
+        res.json({ installations });
+      } catch (error) {
+        logger.error('Installation listing error:', error);
+        res.status(502).json({ error: 'Failed to list installations' });
+      }
+    });
+
+    // Logged deliveries, filtered by event, action, repository (owner/name), status or installation
+    admin.get('/deliveries', (req, res) => {
+      res.json({
+        deliveries: deliveryLog.list({
+          event: req.query.event,
+          action: req.query.action,
+          repository: req.query.repository,
+          status: req.query.status,
+          installationId: req.query.installation,
+          limit: Math.min(parseInt(req.query.limit) || 50, 500),
+        }),
+      });
+    });
+
+    admin.get('/deliveries/:id', (req, res) => {
+      const delivery = deliveryLog.get(req.params.id, { includePayload: req.query.payload === 'true' });
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      res.json(delivery);
+    });
+
+    // Runs the handler right away and responds with the run; `dryRun` records GitHub writes instead of sending them
+    admin.post('/deliveries/:id/replay', async (req, res) => {
+      const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+      if (!deliveryLog.get(req.params.id)) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      try {
+        const run = await webhookHandler.replayDelivery(req.params.id, this.githubApp, { dryRun });
+        res.status(run.outcome === 'completed' ? 200 : 500).json({ message: `Replay ${run.outcome}`, run });
+      } catch (error) {
+        logger.error('Delivery replay error:', error);
+        res.status(409).json({ error: error.message });
+      }
+    });
+
+    this.app.use('/admin', admin);
+  }
+
+  requireAdmin(req, res, next) {
+    const token = config.admin.token;
+    if (!token) {
+      return res.status(404).json({ error: 'Admin API is disabled; set ADMIN_API_TOKEN to enable it' });
+    }
+
+    const provided = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(provided).digest();
+
+    // Hashed to equal lengths so the comparison time does not leak the token
+    if (!provided || !crypto.timingSafeEqual(expected, actual)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  }
+
+  async getRepositoryOctokit(owner, repo) {
+    const { data: installation } = await this.githubApp.octokit.rest.apps.getRepoInstallation({
+      owner,
+      repo,
+    });
+    return this.githubApp.getInstallationOctokit(installation.id);
+  }
+
   async getApiStatus() {
     const services = [
       'coingecko',
@@ -133,7 +283,11 @@ class CryptoIntelBot {
       await this.initializeServices();
 
       // Start scheduled tasks
-      scheduledTasks.start();
+      scheduledTasks.start(this.githubApp);
+
+      // Start webhook workers, resuming deliveries queued before the last shutdown
+      deliveryLog.start();
+      jobQueue.start(job => webhookHandler.processJob(job, this.githubApp));
 
       // Start server
       const port = config.server.port;
@@ -173,6 +327,8 @@ class CryptoIntelBot {
     
     // Stop scheduled tasks
     scheduledTasks.stop();
+    jobQueue.stop();
+    deliveryLog.stop();
     
     // Graceful shutdown logic here
     process.exit(0);
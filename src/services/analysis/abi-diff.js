@@ -0,0 +1,291 @@
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Callers relying on the old mutability break when it becomes stricter
+const MUTABILITY_RANK = {
+  pure: 0,
+  view: 1,
+  nonpayable: 2,
+  payable: 3,
+};
+
+class AbiDiffService {
+  // `contracts` is a list of { name, abi } from compilation or committed ABI files
+  compare(baseContracts, headContracts) {
+    const base = new Map(baseContracts.map(contract => [contract.name, contract]));
+    const head = new Map(headContracts.map(contract => [contract.name, contract]));
+    const contracts = [];
+
+    for (const [name, headContract] of head) {
+      const baseContract = base.get(name);
+      const changes = baseContract
+        ? this.compareAbis(baseContract.abi, headContract.abi)
+        : [];
+
+      changes.push(...this.findSelectorCollisions(headContract.abi));
+
+      if (!baseContract || changes.length > 0) {
+        contracts.push({
+          name,
+          file: headContract.file || null,
+          line: headContract.line || null,
+          status: baseContract ? 'changed' : 'added',
+          changes,
+        });
+      }
+    }
+
+    for (const [name, baseContract] of base) {
+      if (head.has(name)) continue;
+
+      contracts.push({
+        name,
+        file: baseContract.file || null,
+        line: null,
+        status: 'removed',
+        changes: [{
+          kind: 'contract-removed',
+          breaking: true,
+          message: `Contract \`${name}\` and its whole interface were removed`,
+        }],
+      });
+    }
+
+    return {
+      contracts,
+      breaking: contracts.some(contract => contract.changes.some(change => change.breaking)),
+    };
+  }
+
+  compareAbis(baseAbi, headAbi) {
+    return [
+      ...this.compareFunctions(this.getFragments(baseAbi, 'function'), this.getFragments(headAbi, 'function')),
+      ...this.compareEvents(this.getFragments(baseAbi, 'event'), this.getFragments(headAbi, 'event')),
+      ...this.compareErrors(this.getFragments(baseAbi, 'error'), this.getFragments(headAbi, 'error')),
+    ];
+  }
+
+  getFragments(abi, type) {
+    return new Map(
+      (abi || [])
+        .filter(item => item.type === type)
+        .map(item => {
+          const signature = this.getSignature(item);
+          return [signature, { item, signature }];
+        })
+    );
+  }
+
+  getSignature(item) {
+    return `${item.name}(${(item.inputs || []).map(input => this.getCanonicalType(input)).join(',')})`;
+  }
+
+  getCanonicalType(param) {
+    if (!param.type.startsWith('tuple')) return param.type;
+    // "tuple[2]" -> "(address,uint256)[2]"
+    return `(${param.components.map(component => this.getCanonicalType(component)).join(',')})${param.type.slice(5)}`;
+  }
+
+  getSelector(signature) {
+    return ethers.id(signature).substring(0, 10);
+  }
+
+  getOutputs(item) {
+    return (item.outputs || []).map(output => this.getCanonicalType(output)).join(',');
+  }
+
+  compareFunctions(baseFunctions, headFunctions) {
+    const changes = [];
+    const removed = [...baseFunctions.values()].filter(fn => !headFunctions.has(fn.signature));
+    const added = [...headFunctions.values()].filter(fn => !baseFunctions.has(fn.signature));
+    const matched = new Set();
+
+    for (const old of removed) {
+      const inputs = old.signature.substring(old.item.name.length);
+      const sameName = added.filter(fn => !matched.has(fn) && fn.item.name === old.item.name);
+      // Functions without parameters or return values are too generic to call a rename
+      const hasShape = (old.item.inputs || []).length > 0 || (old.item.outputs || []).length > 0;
+      const sameShape = added.filter(fn =>
+        hasShape &&
+        !matched.has(fn) &&
+        fn.signature.substring(fn.item.name.length) === inputs &&
+        this.getOutputs(fn.item) === this.getOutputs(old.item)
+      );
+
+      if (sameName.length === 1) {
+        matched.add(sameName[0]);
+        changes.push({
+          kind: 'function-params-changed',
+          breaking: true,
+          message: `\`${old.signature}\` changed to \`${sameName[0].signature}\` ` +
+            `(selector ${this.getSelector(old.signature)} → ${this.getSelector(sameName[0].signature)})`,
+        });
+      } else if (sameShape.length === 1) {
+        matched.add(sameShape[0]);
+        changes.push({
+          kind: 'function-renamed',
+          breaking: true,
+          message: `\`${old.signature}\` was renamed to \`${sameShape[0].signature}\``,
+        });
+      } else {
+        changes.push({
+          kind: 'function-removed',
+          breaking: true,
+          message: `\`${old.signature}\` (selector ${this.getSelector(old.signature)}) was removed`,
+        });
+      }
+    }
+
+    for (const fn of added.filter(candidate => !matched.has(candidate))) {
+      changes.push({
+        kind: 'function-added',
+        breaking: false,
+        message: `\`${fn.signature}\` was added`,
+      });
+    }
+
+    for (const [signature, headFunction] of headFunctions) {
+      const baseFunction = baseFunctions.get(signature);
+      if (!baseFunction) continue;
+
+      const baseOutputs = this.getOutputs(baseFunction.item);
+      const headOutputs = this.getOutputs(headFunction.item);
+      if (baseOutputs !== headOutputs) {
+        changes.push({
+          kind: 'function-outputs-changed',
+          breaking: true,
+          message: `\`${signature}\` now returns \`(${headOutputs})\` instead of \`(${baseOutputs})\``,
+        });
+      }
+
+      const baseMutability = this.getMutability(baseFunction.item);
+      const headMutability = this.getMutability(headFunction.item);
+      if (baseMutability !== headMutability) {
+        changes.push({
+          kind: 'function-mutability-changed',
+          breaking: this.isStricterMutability(baseMutability, headMutability),
+          message: `\`${signature}\` changed from \`${baseMutability}\` to \`${headMutability}\``,
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  getMutability(item) {
+    if (item.stateMutability) return item.stateMutability;
+    // ABIs produced before solc 0.4.16 only have constant/payable flags
+    if (item.constant) return 'view';
+    return item.payable ? 'payable' : 'nonpayable';
+  }
+
+  isStricterMutability(base, head) {
+    // Read-only functions can no longer be called statically, payable ones reject value
+    return (MUTABILITY_RANK[base] <= MUTABILITY_RANK.view && MUTABILITY_RANK[head] > MUTABILITY_RANK.view) ||
+      (base === 'payable' && head !== 'payable');
+  }
+
+  compareEvents(baseEvents, headEvents) {
+    const changes = [];
+    const added = [...headEvents.values()].filter(event => !baseEvents.has(event.signature));
+    const matched = new Set();
+
+    for (const [signature, baseEvent] of baseEvents) {
+      const headEvent = headEvents.get(signature);
+      if (!headEvent) {
+        const changed = added.find(event => !matched.has(event) && event.item.name === baseEvent.item.name);
+        if (changed) matched.add(changed);
+
+        changes.push(changed
+          ? {
+            kind: 'event-changed',
+            breaking: true,
+            message: `Event \`${signature}\` changed to \`${changed.signature}\`, so its topic hash changed`,
+          }
+          : {
+            kind: 'event-removed',
+            breaking: true,
+            message: `Event \`${signature}\` was removed`,
+          });
+        continue;
+      }
+
+      // Moving a parameter in or out of the topics changes how logs must be decoded
+      const baseIndexed = (baseEvent.item.inputs || []).map(input => Boolean(input.indexed)).join();
+      const headIndexed = (headEvent.item.inputs || []).map(input => Boolean(input.indexed)).join();
+      if (baseIndexed !== headIndexed || Boolean(baseEvent.item.anonymous) !== Boolean(headEvent.item.anonymous)) {
+        changes.push({
+          kind: 'event-changed',
+          breaking: true,
+          message: `Event \`${signature}\` changed which parameters are indexed`,
+        });
+      }
+    }
+
+    for (const event of added.filter(candidate => !matched.has(candidate))) {
+      changes.push({
+        kind: 'event-added',
+        breaking: false,
+        message: `Event \`${event.signature}\` was added`,
+      });
+    }
+
+    return changes;
+  }
+
+  compareErrors(baseErrors, headErrors) {
+    const changes = [];
+
+    for (const signature of baseErrors.keys()) {
+      if (!headErrors.has(signature)) {
+        changes.push({
+          kind: 'error-removed',
+          breaking: false,
+          message: `Custom error \`${signature}\` was removed or changed; clients decoding it need updating`,
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  findSelectorCollisions(abi) {
+    const bySelector = new Map();
+
+    for (const { signature } of this.getFragments(abi, 'function').values()) {
+      const selector = this.getSelector(signature);
+      if (!bySelector.has(selector)) bySelector.set(selector, []);
+      bySelector.get(selector).push(signature);
+    }
+
+    return [...bySelector]
+      .filter(([, signatures]) => signatures.length > 1)
+      .map(([selector, signatures]) => ({
+        kind: 'selector-collision',
+        breaking: true,
+        message: `Functions ${signatures.map(signature => `\`${signature}\``).join(' and ')} share the selector ${selector}`,
+      }));
+  }
+
+  // Committed ABI files are either a bare ABI array or an artifact with an `abi` key
+  parseAbiFile(file, content) {
+    let json;
+    try {
+      json = JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+
+    const abi = Array.isArray(json) ? json : json?.abi;
+    if (!Array.isArray(abi)) return null;
+
+    return {
+      name: json.contractName || path.posix.basename(file, '.json'),
+      file,
+      line: null,
+      abi,
+    };
+  }
+}
+
+module.exports = new AbiDiffService();
@@ -0,0 +1,277 @@
+const { ethers } = require('ethers');
+const { minimatch } = require('minimatch');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const networkMonitoring = require('../monitoring/network-monitoring');
+const { getNewLines } = require('../../utils/diff');
+
+const ADDRESS_PATTERN = /\b0x[0-9a-fA-F]{40}\b/g;
+
+// Sentinels that never hold code: the zero address, the native-token placeholder and the burn address
+const IGNORED_ADDRESSES = new Set([
+  '0x0000000000000000000000000000000000000000',
+  '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+  '0x000000000000000000000000000000000000dead',
+]);
+
+const NETWORK_ALIASES = {
+  ethereum: ['ethereum', 'mainnet', 'homestead'],
+  polygon: ['polygon', 'matic'],
+  arbitrum: ['arbitrum', 'arbitrumone'],
+  optimism: ['optimism'],
+  bsc: ['bsc', 'bnb', 'binance'],
+};
+
+// Test networks are recognised so their addresses are not checked against mainnets
+const TESTNET_NAMES = ['sepolia', 'goerli', 'holesky', 'mumbai', 'amoy', 'fuji', 'chapel', 'testnet', 'localhost', 'hardhat', 'anvil'];
+const TESTNET_CHAIN_IDS = ['5', '97', '1337', '17000', '31337', '43113', '80001', '80002', '421614', '11155111', '11155420'];
+
+const CHAIN_ID_PATTERN = /chain[_-]?id["']?\s*[:=]\s*["']?(\d+)/i;
+// `polygon: {`, `"mainnet": {`, `polygon = "..."` or a TOML `[polygon]` section
+const NETWORK_KEY_PATTERN = /^\s*(?:\[\s*)?["']?([a-z][\w-]*)["']?\s*(?:[:=]|\])/i;
+const LABEL_PATTERN = /([A-Za-z_$][\w$]*)["'`]?\s*[:=]\s*(?:[\w.]+\(\s*)?["'`]?0x[0-9a-fA-F]{40}\b/;
+
+// How far above an address to look for a chain ID or network key
+const CONTEXT_LINES = 25;
+
+// Names that usually hold externally owned accounts, which have no code
+const ACCOUNT_WORDS = ['owner', 'admin', 'deployer', 'treasury', 'recipient', 'receiver', 'beneficiary', 'fee',
+  'signer', 'account', 'user', 'wallet', 'guardian', 'operator', 'keeper', 'team', 'from', 'sender', 'dev'];
+
+// Names too generic to expect a particular verified contract name
+const GENERIC_WORDS = ['address', 'addr', 'contract', 'target', 'token', 'implementation', 'impl', 'proxy',
+  'value', 'default', 'deployed', 'instance'];
+
+class AddressCheckService {
+  extract(files, addressConfig) {
+    const entries = [];
+
+    for (const file of files) {
+      if (file.status === 'removed' || !file.patch) continue;
+      if (addressConfig.exclude.some(pattern => minimatch(file.filename, pattern, { dot: true }))) continue;
+
+      const lines = getNewLines(file.patch);
+      const pathNetwork = this.inferNetworkFromPath(file.filename);
+
+      lines.forEach((entry, index) => {
+        if (!entry.added) return;
+
+        for (const [address] of entry.text.matchAll(ADDRESS_PATTERN)) {
+          if (IGNORED_ADDRESSES.has(address.toLowerCase())) continue;
+
+          const nearby = this.inferNetworkFromContext(lines, index);
+          entries.push({
+            path: file.filename,
+            line: entry.line,
+            address,
+            network: nearby || pathNetwork,
+            label: this.getLabel(entry.text, address),
+            checksum: this.getChecksumStatus(address),
+          });
+        }
+      });
+    }
+
+    return entries;
+  }
+
+  getChecksumStatus(address) {
+    const digits = address.substring(2);
+    if (digits === digits.toLowerCase() || digits === digits.toUpperCase()) return 'missing';
+    return ethers.getAddress(address.toLowerCase()) === address ? 'valid' : 'invalid';
+  }
+
+  inferNetworkFromPath(file) {
+    let network = null;
+
+    for (const segment of file.toLowerCase().split('/')) {
+      // Foundry broadcasts live in broadcast/<script>/<chainId>/
+      if (/^\d+$/.test(segment)) {
+        network = this.getNetworkByChainId(segment) || network;
+        continue;
+      }
+      for (const token of segment.split(/[._-]+/)) {
+        network = this.getNetworkByName(token) || network;
+      }
+    }
+
+    return network;
+  }
+
+  inferNetworkFromContext(lines, index) {
+    for (let i = index; i >= 0 && i > index - CONTEXT_LINES; i--) {
+      // Patch hunks are not contiguous; stop at a gap in line numbers
+      if (i < index && lines[i].line !== lines[i + 1].line - 1) break;
+
+      const chainId = lines[i].text.match(CHAIN_ID_PATTERN);
+      if (chainId) return this.getNetworkByChainId(chainId[1]) || `chain ${chainId[1]}`;
+
+      const key = lines[i].text.match(NETWORK_KEY_PATTERN);
+      const network = key && this.getNetworkByName(key[1].toLowerCase().replace(/-/g, ''));
+      if (network) return network;
+    }
+
+    return null;
+  }
+
+  getNetworkByName(name) {
+    const network = Object.keys(NETWORK_ALIASES).find(key => NETWORK_ALIASES[key].includes(name));
+    if (network) return network;
+    return TESTNET_NAMES.includes(name) ? name : null;
+  }
+
+  getNetworkByChainId(chainId) {
+    const network = Object.entries(config.blockchain.networks)
+      .find(([, networkConfig]) => String(networkConfig.chainId) === chainId);
+    if (network) return network[0];
+    return TESTNET_CHAIN_IDS.includes(chainId) ? `chain ${chainId}` : null;
+  }
+
+  getLabel(text, address) {
+    const match = text.substring(0, text.indexOf(address) + address.length).match(LABEL_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  getWords(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter(word => word.length >= 3);
+  }
+
+  isAccountLabel(label) {
+    return Boolean(label) && this.getWords(label).some(word => ACCOUNT_WORDS.includes(word));
+  }
+
+  // Verified names rarely match variable names exactly, so any shared word counts as a match
+  matchesName(label, contractName) {
+    if (!label || !contractName || /proxy/i.test(contractName)) return true;
+
+    const labelWords = this.getWords(label).filter(word => !GENERIC_WORDS.includes(word));
+    if (labelWords.length === 0) return true;
+
+    const nameWords = this.getWords(contractName);
+    const compact = (name) => name.toLowerCase().replace(/[^a-z]/g, '');
+    return labelWords.some(word => nameWords.includes(word)) ||
+      compact(contractName).includes(compact(label)) ||
+      compact(label).includes(compact(contractName));
+  }
+
+  async verify(entries, addressConfig) {
+    // Only EVM networks can hold contract code at a 20-byte address
+    const configured = Object.keys(networkMonitoring.providers)
+      .filter(network => typeof config.blockchain.networks[network]?.chainId === 'number');
+    const lookups = new Map();
+    let skipped = 0;
+
+    const lookup = async (address, network) => {
+      const key = `${network}:${address.toLowerCase()}`;
+      if (!lookups.has(key)) {
+        if (lookups.size >= addressConfig.maxLookups) {
+          skipped++;
+          return null;
+        }
+        lookups.set(key, networkMonitoring.getAddressInfo(address, network).catch(error => {
+          logger.warn(`Address lookup failed for ${address} on ${network}: ${error.message}`);
+          return null;
+        }));
+      }
+      return lookups.get(key);
+    };
+
+    for (const entry of entries) {
+      entry.results = {};
+      if (entry.checksum === 'invalid') continue;
+
+      // Unknown networks are looked up everywhere; known ones first on their own chain
+      const targets = !entry.network ? configured
+        : configured.includes(entry.network) ? [entry.network] : [];
+
+      for (const network of targets) {
+        const info = await lookup(entry.address, network);
+        if (info) entry.results[network] = info;
+      }
+
+      const target = entry.results[entry.network];
+      if (target && !target.hasCode && !this.isAccountLabel(entry.label)) {
+        for (const network of configured.filter(name => name !== entry.network)) {
+          const info = await lookup(entry.address, network);
+          if (info) entry.results[network] = info;
+        }
+      }
+    }
+
+    return { entries, lookups: lookups.size, skipped };
+  }
+
+  getFindings(entries) {
+    const findings = [];
+    const networkName = (network) => config.blockchain.networks[network]?.name || network;
+
+    for (const entry of entries) {
+      const location = { path: entry.path, line: entry.line, ruleId: 'hardcoded-address' };
+      const subject = entry.label ? `\`${entry.label}\` (\`${entry.address}\`)` : `\`${entry.address}\``;
+
+      if (entry.checksum === 'invalid') {
+        findings.push({
+          ...location,
+          level: 'failure',
+          title: 'Invalid address checksum',
+          message: `${subject} fails its EIP-55 checksum, so a character was probably mistyped or its casing ` +
+            'edited by hand. Copy the address again from a trusted source.',
+        });
+        continue;
+      }
+
+      if (entry.checksum === 'missing') {
+        findings.push({
+          ...location,
+          level: 'notice',
+          title: 'Address not checksummed',
+          message: `${subject} is not EIP-55 checksummed. Write it as \`${ethers.getAddress(entry.address.toLowerCase())}\` ` +
+            'so that typos are detected.',
+        });
+      }
+
+      const target = entry.results[entry.network];
+      const withCode = Object.values(entry.results).filter(info => info.hasCode);
+
+      if (target && !target.hasCode && !this.isAccountLabel(entry.label)) {
+        findings.push({
+          ...location,
+          level: 'warning',
+          title: 'No contract at address',
+          message: withCode.length > 0
+            ? `${subject} has no contract code on ${networkName(entry.network)} but is a contract on ` +
+              `${withCode.map(info => networkName(info.network)).join(', ')}. It was probably copied from the wrong network.`
+            : `${subject} has no contract code on ${networkName(entry.network)}.`,
+        });
+      } else if (!entry.network && Object.keys(entry.results).length > 0 && withCode.length === 0 &&
+          !this.isAccountLabel(entry.label)) {
+        findings.push({
+          ...location,
+          level: 'notice',
+          title: 'No contract at address',
+          message: `${subject} has no contract code on any configured network ` +
+            `(${Object.keys(entry.results).map(networkName).join(', ')}).`,
+        });
+      }
+
+      const named = target?.contractName ? target : (!entry.network && withCode.length === 1 ? withCode[0] : null);
+      if (named?.contractName && !this.matchesName(entry.label, named.contractName)) {
+        findings.push({
+          ...location,
+          level: 'warning',
+          title: 'Unexpected contract at address',
+          message: `${subject} is verified as \`${named.contractName}\` on ${networkName(named.network)}, ` +
+            `which does not look like \`${entry.label}\`.`,
+        });
+      }
+    }
+
+    return findings;
+  }
+}
+
+module.exports = new AddressCheckService();
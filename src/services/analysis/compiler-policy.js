@@ -0,0 +1,217 @@
+const semver = require('semver');
+const yaml = require('js-yaml');
+const bugsByVersion = require('../../data/solc/bugs_by_version.json');
+const bugs = require('../../data/solc/bugs.json');
+
+// Bundled snapshot of the solc bug lists; refresh with `npm run update:solc-bugs`
+const BUGS = new Map(bugs.map(bug => [bug.name, bug]));
+const KNOWN_VERSIONS = Object.keys(bugsByVersion).sort(semver.rcompare);
+const LATEST_VERSION = KNOWN_VERSIONS[0];
+
+const PRAGMA_PATTERN = /^\s*pragma\s+solidity\s+([^;]+);/gm;
+
+const HARDHAT_CONFIGS = ['hardhat.config.ts', 'hardhat.config.js', 'hardhat.config.cjs', 'hardhat.config.mjs'];
+
+class CompilerPolicyService {
+  getLatestVersion() {
+    return LATEST_VERSION;
+  }
+
+  async resolveProjectCompiler(reader, project = null) {
+    // Detected projects name their config files; otherwise look at the repository root
+    const configFiles = project?.projects?.length > 0
+      ? project.projects.map(item => ({ framework: item.framework, file: item.configFile }))
+      : [{ framework: 'foundry', file: 'foundry.toml' }, ...HARDHAT_CONFIGS.map(file => ({ framework: 'hardhat', file }))];
+
+    const errors = [];
+    for (const { framework, file } of configFiles) {
+      const content = await reader.read(file);
+      if (!content) continue;
+
+      let versions;
+      try {
+        versions = this.getConfiguredVersions(framework, content);
+      } catch (error) {
+        // A malformed config leaves the version to the next config file or the pragmas
+        errors.push({ file, message: error.reason || error.message });
+        continue;
+      }
+
+      if (versions.length > 0) {
+        return { source: file, versions, errors };
+      }
+    }
+
+    return { source: null, versions: [], errors };
+  }
+
+  getConfiguredVersions(framework, content) {
+    if (framework === 'foundry') {
+      const match = content.match(/^\s*solc(?:_version)?\s*=\s*["']([^"']+)["']/m);
+      return match && semver.valid(match[1]) ? [match[1]] : [];
+    }
+
+    if (framework === 'ape' || framework === 'brownie') {
+      const data = yaml.load(content) || {};
+      const version = String((framework === 'ape' ? data.solidity?.version : data.compiler?.solc?.version) || '');
+      return semver.valid(version) ? [version] : [];
+    }
+
+    // Hardhat: `solidity: "0.8.20"`, `solidity: { version: "0.8.20" }` or `compilers: [{ version: "0.8.19" }, ...]`
+    // Truffle: `compilers: { solc: { version: "0.8.20" } }`
+    const versions = [
+      ...Array.from(content.matchAll(/\bsolidity\s*:\s*["'](\d+\.\d+\.\d+)["']/g), match => match[1]),
+      ...Array.from(content.matchAll(/\bversion\s*:\s*["'](\d+\.\d+\.\d+)["']/g), match => match[1]),
+    ];
+    return [...new Set(versions)];
+  }
+
+  getPragmas(content) {
+    return Array.from(content.matchAll(PRAGMA_PATTERN), match => ({
+      range: match[1].trim(),
+      line: content.substring(0, match.index + match[0].indexOf('pragma')).split('\n').length,
+    }));
+  }
+
+  isFloating(range) {
+    return !semver.valid(range.replace(/^=/, ''));
+  }
+
+  resolveVersion(ranges, projectCompiler) {
+    const satisfiesAll = (version) => ranges.every(range => semver.satisfies(version, range, { loose: true }));
+
+    if (projectCompiler.versions.length > 0) {
+      // Hardhat compiles each file with the newest configured compiler matching its pragmas
+      const version = [...projectCompiler.versions].sort(semver.rcompare).find(satisfiesAll);
+      return {
+        version: version || projectCompiler.versions[0],
+        source: projectCompiler.source,
+        satisfiesPragma: Boolean(version),
+      };
+    }
+
+    const version = KNOWN_VERSIONS.find(satisfiesAll);
+    return { version: version || null, source: 'pragma', satisfiesPragma: Boolean(version) };
+  }
+
+  getBugs(version) {
+    const entry = bugsByVersion[version];
+    if (!entry) return null;
+
+    return entry.bugs.map(name => BUGS.get(name) || { name, severity: 'unknown' });
+  }
+
+  evaluate(sources, projectCompiler, policyConfig = {}) {
+    const findings = (projectCompiler.errors || []).map(error => ({
+      path: error.file,
+      line: 1,
+      level: 'warning',
+      title: 'Unreadable compiler configuration',
+      message: `${error.file} could not be parsed (${error.message}), so its compiler version was ignored.`,
+    }));
+    const files = [];
+
+    for (const [file, { content }] of Object.entries(sources)) {
+      const pragmas = this.getPragmas(content);
+      if (pragmas.length === 0) continue;
+
+      const line = pragmas[0].line;
+      const ranges = pragmas.map(pragma => pragma.range);
+      const resolved = this.resolveVersion(ranges, projectCompiler);
+      const result = { file, line, ranges, ...resolved, bugs: [] };
+      files.push(result);
+
+      if (!policyConfig.allowFloating) {
+        for (const pragma of pragmas.filter(pragma => this.isFloating(pragma.range))) {
+          findings.push({
+            path: file,
+            line: pragma.line,
+            level: 'warning',
+            title: 'Floating pragma',
+            message: `\`pragma solidity ${pragma.range}\` allows several compiler versions. Pin the version ` +
+              'that was tested and audited so deployments are reproducible.',
+          });
+        }
+      }
+
+      if (!resolved.version) {
+        findings.push({
+          path: file,
+          line,
+          level: 'warning',
+          title: 'Unknown compiler version',
+          message: `No known solc release satisfies \`${ranges.join(' ')}\`.`,
+        });
+        continue;
+      }
+
+      if (!resolved.satisfiesPragma) {
+        findings.push({
+          path: file,
+          line,
+          level: 'warning',
+          title: 'Compiler does not satisfy pragma',
+          message: `${resolved.source} configures solc ${projectCompiler.versions.join(', ')}, ` +
+            `which does not satisfy \`${ranges.join(' ')}\`.`,
+        });
+      }
+
+      const versionBugs = this.getBugs(resolved.version);
+      if (!versionBugs) {
+        findings.push({
+          path: file,
+          line,
+          level: 'notice',
+          title: 'Compiler version not in bug list',
+          message: `solc ${resolved.version} is not in the bundled compiler bug list, so known bugs could not be checked.`,
+        });
+      } else if (versionBugs.length > 0) {
+        result.bugs = versionBugs;
+        const serious = versionBugs.some(bug => /high|medium/.test(bug.severity));
+
+        findings.push({
+          path: file,
+          line,
+          level: serious ? 'warning' : 'notice',
+          title: `Known solc ${resolved.version} bugs`,
+          message: `solc ${resolved.version} (from ${resolved.source}) is affected by ${versionBugs.length} known bug(s): ` +
+            versionBugs.map(bug => `${bug.name} (${bug.severity})`).join(', ') + '.',
+        });
+      }
+
+      const outdated = this.getOutdatedFinding(file, line, resolved.version, policyConfig.maxPatchesBehind);
+      if (outdated) findings.push(outdated);
+    }
+
+    return { files, findings };
+  }
+
+  getOutdatedFinding(file, line, version, maxPatchesBehind = 5) {
+    const latest = semver.parse(LATEST_VERSION);
+    const current = semver.parse(version);
+    if (!current || !semver.lt(current, latest)) return null;
+
+    if (current.major !== latest.major || current.minor !== latest.minor) {
+      return {
+        path: file,
+        line,
+        level: 'warning',
+        title: 'Outdated compiler version',
+        message: `solc ${version} belongs to an older release series; the latest release is ${LATEST_VERSION}.`,
+      };
+    }
+
+    const behind = latest.patch - current.patch;
+    if (behind < maxPatchesBehind) return null;
+
+    return {
+      path: file,
+      line,
+      level: 'notice',
+      title: 'Outdated compiler version',
+      message: `solc ${version} is ${behind} releases behind the latest ${LATEST_VERSION}.`,
+    };
+  }
+}
+
+module.exports = new CompilerPolicyService();
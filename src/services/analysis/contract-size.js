@@ -0,0 +1,84 @@
+// EIP-170 caps deployed runtime code, EIP-3860 caps the initcode sent to create a contract
+const LIMITS = {
+  runtime: { bytes: 24576, eip: 'EIP-170', label: 'runtime bytecode' },
+  initcode: { bytes: 49152, eip: 'EIP-3860', label: 'initcode' },
+};
+
+class ContractSizeService {
+  getLimits() {
+    return LIMITS;
+  }
+
+  check(headContracts, baseContracts = [], warnPercent = 90) {
+    const base = new Map(baseContracts.map(contract => [this.getKey(contract), contract]));
+    const baseByName = new Map(baseContracts.map(contract => [contract.name, contract]));
+
+    return headContracts.map(contract => {
+      // Fall back to the name so renamed files still get a delta
+      const previous = base.get(this.getKey(contract)) || baseByName.get(contract.name);
+
+      return {
+        name: contract.name,
+        file: contract.file,
+        line: contract.line,
+        runtime: this.getSize('runtime', contract.bytecodeSize, previous?.bytecodeSize, warnPercent),
+        initcode: this.getSize('initcode', contract.initcodeSize, previous?.initcodeSize, warnPercent),
+      };
+    });
+  }
+
+  getSize(kind, size, baseSize, warnPercent) {
+    const limit = LIMITS[kind].bytes;
+    const percent = (size / limit) * 100;
+
+    return {
+      size,
+      base: baseSize === undefined ? null : baseSize,
+      delta: baseSize === undefined ? null : size - baseSize,
+      limit,
+      percent,
+      status: size > limit ? 'over' : percent >= warnPercent ? 'near' : 'ok',
+    };
+  }
+
+  getFindings(results) {
+    const findings = [];
+
+    for (const result of results) {
+      for (const kind of Object.keys(LIMITS)) {
+        const size = result[kind];
+        if (size.status === 'ok') continue;
+
+        const { eip, label } = LIMITS[kind];
+        const delta = size.delta ? ` (${size.delta > 0 ? '+' : ''}${size.delta.toLocaleString('en-US')} bytes in this pull request)` : '';
+
+        findings.push(size.status === 'over'
+          ? {
+            path: result.file,
+            line: result.line,
+            level: 'failure',
+            title: `${eip} size limit exceeded`,
+            message: `${result.name} ${label} is ${size.size.toLocaleString('en-US')} bytes, ` +
+              `${(size.size - size.limit).toLocaleString('en-US')} over the ${size.limit.toLocaleString('en-US')} byte ` +
+              `${eip} limit${delta}. It cannot be deployed to Ethereum mainnet.`,
+          }
+          : {
+            path: result.file,
+            line: result.line,
+            level: 'warning',
+            title: `Approaching ${eip} size limit`,
+            message: `${result.name} ${label} is ${size.size.toLocaleString('en-US')} bytes, ` +
+              `${size.percent.toFixed(1)}% of the ${size.limit.toLocaleString('en-US')} byte ${eip} limit${delta}.`,
+          });
+      }
+    }
+
+    return findings;
+  }
+
+  getKey(contract) {
+    return `${contract.file}:${contract.name}`;
+  }
+}
+
+module.exports = new ContractSizeService();
@@ -0,0 +1,127 @@
+class GasDiffService {
+  compare(baseAnalysis, headAnalysis) {
+    const baseContracts = this.indexContracts(baseAnalysis?.contracts || []);
+    const headContracts = this.indexContracts(headAnalysis?.contracts || []);
+    const contracts = [];
+
+    for (const [key, head] of headContracts) {
+      const base = baseContracts.get(key) || this.findMoved(baseContracts, headContracts, head);
+      if (base) baseContracts.delete(this.getKey(base));
+
+      contracts.push({
+        name: head.name,
+        file: head.file,
+        line: head.line,
+        status: base ? 'changed' : 'added',
+        deployment: this.compareValues(base?.deploymentGas, head.deploymentGas),
+        bytecodeSize: this.compareValues(base?.bytecodeSize, head.bytecodeSize),
+        functions: this.compareFunctions(base?.functions || [], head.functions),
+      });
+    }
+
+    for (const base of baseContracts.values()) {
+      contracts.push({
+        name: base.name,
+        file: base.file,
+        line: null,
+        status: 'removed',
+        deployment: this.compareValues(base.deploymentGas, undefined),
+        bytecodeSize: this.compareValues(base.bytecodeSize, undefined),
+        functions: this.compareFunctions(base.functions, []),
+      });
+    }
+
+    for (const contract of contracts) {
+      if (contract.status === 'changed' && !this.hasChanges(contract)) {
+        contract.status = 'unchanged';
+      }
+    }
+
+    return {
+      baseRef: baseAnalysis?.ref || null,
+      headRef: headAnalysis?.ref || null,
+      contracts,
+    };
+  }
+
+  compareFunctions(baseFunctions, headFunctions) {
+    const baseBySignature = new Map(baseFunctions.map(fn => [fn.signature, fn]));
+    const functions = [];
+
+    for (const head of headFunctions) {
+      const base = baseBySignature.get(head.signature);
+      baseBySignature.delete(head.signature);
+
+      functions.push({
+        signature: head.signature,
+        status: base ? 'changed' : 'added',
+        ...this.compareValues(base?.gas, head.gas),
+      });
+    }
+
+    for (const base of baseBySignature.values()) {
+      functions.push({
+        signature: base.signature,
+        status: 'removed',
+        ...this.compareValues(base.gas, undefined),
+      });
+    }
+
+    return functions;
+  }
+
+  compareValues(base, head) {
+    // null means "infinite" (unbounded) and undefined means "not present"
+    const comparable = typeof base === 'number' && typeof head === 'number';
+    const delta = comparable ? head - base : null;
+
+    return {
+      base,
+      head,
+      delta,
+      percent: comparable && base !== 0 ? (delta / base) * 100 : null,
+    };
+  }
+
+  hasChanges(contract) {
+    return contract.deployment.base !== contract.deployment.head ||
+      contract.bytecodeSize.base !== contract.bytecodeSize.head ||
+      contract.functions.some(fn => fn.base !== fn.head);
+  }
+
+  getRegressions(diff, percentThreshold) {
+    const regressions = [];
+
+    for (const contract of diff.contracts) {
+      if (contract.deployment.percent !== null && contract.deployment.percent > percentThreshold) {
+        regressions.push({ contract, target: 'deployment', ...contract.deployment });
+      }
+
+      for (const fn of contract.functions) {
+        if (fn.percent !== null && fn.percent > percentThreshold) {
+          regressions.push({ contract, target: fn.signature, ...fn });
+        }
+      }
+    }
+
+    return regressions;
+  }
+
+  indexContracts(contracts) {
+    return new Map(contracts.map(contract => [this.getKey(contract), contract]));
+  }
+
+  findMoved(baseContracts, headContracts, head) {
+    // Match a contract whose file was renamed, as long as the name is unambiguous
+    const candidates = Array.from(baseContracts.values()).filter(base =>
+      base.name === head.name && !headContracts.has(this.getKey(base))
+    );
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  getKey(contract) {
+    return `${contract.file}:${contract.name}`;
+  }
+}
+
+module.exports = new GasDiffService();
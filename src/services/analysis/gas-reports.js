@@ -0,0 +1,193 @@
+const path = require('path');
+const gasDiff = require('./gas-diff');
+
+// Foundry: "CounterTest:test_Increment() (gas: 31303)" or fuzz "(runs: 256, μ: 30721, ~: 31288)"
+const FOUNDRY_LINE = /^(.+?):(.+?)\s+\((.+)\)\s*$/;
+
+// hardhat-gas-reporter tables use these characters as column separators
+const TABLE_SEPARATOR = /[|│·║]/;
+
+class GasReportService {
+  isGasReportFile(filename, reportPaths) {
+    const basename = path.posix.basename(filename);
+    return reportPaths.some(reportPath =>
+      filename === reportPath || basename === path.posix.basename(reportPath)
+    );
+  }
+
+  parse(filename, content) {
+    if (!content) return null;
+
+    const basename = path.posix.basename(filename);
+    if (basename.endsWith('.gas-snapshot')) {
+      return this.parseFoundrySnapshot(content);
+    }
+
+    if (basename.endsWith('.json')) {
+      return this.parseHardhatJson(content);
+    }
+
+    return this.parseHardhatText(content);
+  }
+
+  parseFoundrySnapshot(content) {
+    const entries = new Map();
+
+    content.split('\n').forEach((line, index) => {
+      const match = line.trim().match(FOUNDRY_LINE);
+      if (!match) return;
+
+      const [, group, test, details] = match;
+      const values = Object.fromEntries(details.split(',').map(part => {
+        const [key, value] = part.split(':').map(item => item.trim());
+        return [key, parseInt(value, 10)];
+      }));
+
+      // Invariant tests have no gas figure, fuzz tests report mean (μ) and median (~)
+      const gas = values.gas ?? values['μ'] ?? values['~'];
+      if (gas === undefined || Number.isNaN(gas)) return;
+
+      entries.set(`${group}:${test}`, {
+        name: `${group}:${test}`,
+        group,
+        gas,
+        line: index + 1,
+      });
+    });
+
+    return { format: 'foundry', entries };
+  }
+
+  parseHardhatJson(content) {
+    let report;
+    try {
+      report = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid hardhat-gas-reporter JSON: ${error.message}`);
+    }
+
+    // v1 keeps results under "info", v2 under "data"
+    const data = report.info || report.data || {};
+    const entries = new Map();
+
+    for (const method of Object.values(data.methods || {})) {
+      const gas = this.getAverageGas(method);
+      if (gas === null) continue;
+
+      const name = `${method.contract}.${method.fnSig || method.method}`;
+      entries.set(name, { name, group: method.contract, gas, line: null });
+    }
+
+    for (const deployment of data.deployments || []) {
+      const gas = this.getAverageGas(deployment);
+      if (gas === null) continue;
+
+      const name = `${deployment.name} (deployment)`;
+      entries.set(name, { name, group: deployment.name, gas, line: null });
+    }
+
+    return { format: 'hardhat-json', entries };
+  }
+
+  getAverageGas(item) {
+    if (typeof item.executionGasAverage === 'number') {
+      return Math.round(item.executionGasAverage);
+    }
+
+    const gasData = (item.gasData || []).filter(value => typeof value === 'number');
+    if (gasData.length === 0) return null;
+
+    return Math.round(gasData.reduce((sum, value) => sum + value, 0) / gasData.length);
+  }
+
+  parseHardhatText(content) {
+    const entries = new Map();
+    let section = null;
+    let currentContract = null;
+
+    content.split('\n').forEach((line, index) => {
+      if (!TABLE_SEPARATOR.test(line)) return;
+
+      const cells = line.split(TABLE_SEPARATOR).map(cell => cell.trim());
+      // Drop the empty cells produced by the table's outer borders
+      if (cells[0] === '') cells.shift();
+      if (cells[cells.length - 1] === '') cells.pop();
+      if (cells.length === 0 || cells.every(cell => /^[-·.=\s]*$/.test(cell))) return;
+
+      const label = cells[0];
+      if (/^(Contracts \/ )?Methods$/i.test(label) || /^Contract$/i.test(label)) {
+        section = 'methods';
+        return;
+      }
+      if (/^Deployments$/i.test(label)) {
+        section = 'deployments';
+        return;
+      }
+
+      if (section === 'methods') {
+        // v1 rows: contract · method · min · max · avg · calls · usd
+        if (cells.length >= 5 && /^[A-Za-z_$]/.test(cells[1])) {
+          const avg = this.parseNumber(cells[4]);
+          if (avg !== null) {
+            const name = `${label}.${cells[1]}`;
+            entries.set(name, { name, group: label, gas: avg, line: index + 1 });
+          }
+          return;
+        }
+
+        // v2 rows: a contract name row followed by indented method rows
+        if (cells.slice(1).every(cell => cell === '')) {
+          currentContract = label;
+          return;
+        }
+
+        const avg = this.parseNumber(cells[3]);
+        if (currentContract && avg !== null) {
+          const name = `${currentContract}.${label}`;
+          entries.set(name, { name, group: currentContract, gas: avg, line: index + 1 });
+        }
+        return;
+      }
+
+      if (section === 'deployments') {
+        const avg = this.parseNumber(cells[3]);
+        if (avg !== null) {
+          const name = `${label} (deployment)`;
+          entries.set(name, { name, group: label, gas: avg, line: index + 1 });
+        }
+      }
+    });
+
+    return { format: 'hardhat-text', entries };
+  }
+
+  compare(baseReport, headReport) {
+    const baseEntries = baseReport?.entries || new Map();
+    const headEntries = headReport?.entries || new Map();
+    const names = new Set([...baseEntries.keys(), ...headEntries.keys()]);
+    const rows = [];
+
+    for (const name of names) {
+      const base = baseEntries.get(name);
+      const head = headEntries.get(name);
+
+      rows.push({
+        name,
+        line: head?.line || null,
+        status: !base ? 'added' : !head ? 'removed' : 'changed',
+        ...gasDiff.compareValues(base?.gas, head?.gas),
+      });
+    }
+
+    return rows.filter(row => row.base !== row.head);
+  }
+
+  parseNumber(value) {
+    if (!value) return null;
+
+    const normalized = value.replace(/,/g, '');
+    return /^\d+(\.\d+)?$/.test(normalized) ? Math.round(parseFloat(normalized)) : null;
+  }
+}
+
+module.exports = new GasReportService();
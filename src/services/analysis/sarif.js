@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const solidityLint = require('./solidity-lint');
+const securityScanner = require('./security-scanner');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'Crypto Intel';
+const FINGERPRINT_KEY = 'cryptoIntelFindingHash/v1';
+
+const SARIF_LEVELS = {
+  failure: 'error',
+  warning: 'warning',
+  notice: 'note',
+};
+
+// GitHub sorts and filters alerts by this 0-10 score
+const SECURITY_SEVERITY = {
+  high: '8.0',
+  medium: '5.0',
+  low: '2.0',
+};
+
+class SarifService {
+  getRules() {
+    const lintRules = solidityLint.getRuleIds().map(ruleId => {
+      const rule = solidityLint.getRule(ruleId);
+      return {
+        id: `gas/${ruleId}`,
+        name: ruleId,
+        shortDescription: { text: rule.title },
+        fullDescription: { text: rule.recommendation },
+        defaultConfiguration: { level: 'note' },
+        properties: { tags: ['gas', 'solidity'] },
+      };
+    });
+
+    const securityRules = securityScanner.getRuleIds().map(ruleId => {
+      const rule = securityScanner.getRule(ruleId);
+      return {
+        id: `security/${ruleId}`,
+        name: ruleId,
+        shortDescription: { text: rule.title },
+        defaultConfiguration: { level: rule.severity === 'high' ? 'error' : 'warning' },
+        properties: {
+          tags: ['security', 'solidity'],
+          'security-severity': SECURITY_SEVERITY[rule.severity],
+        },
+      };
+    });
+
+    return [...securityRules, ...lintRules];
+  }
+
+  // Security findings carry a severity; gas lint findings do not
+  getRuleId(finding) {
+    return `${finding.severity ? 'security' : 'gas'}/${finding.ruleId}`;
+  }
+
+  build(findings, sources, options = {}) {
+    const rules = this.getRules();
+    const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+    const occurrences = new Map();
+
+    const results = findings.map(finding => {
+      const ruleId = this.getRuleId(finding);
+      const fingerprint = this.getFingerprint(finding, ruleId, sources[finding.path]?.content, occurrences);
+
+      return {
+        ruleId,
+        ruleIndex: ruleIndexes.get(ruleId),
+        level: SARIF_LEVELS[finding.level] || 'note',
+        message: { text: finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.path, uriBaseId: '%SRCROOT%' },
+            region: {
+              startLine: finding.line,
+              endLine: finding.endLine || finding.line,
+            },
+          },
+        }],
+        partialFingerprints: { [FINGERPRINT_KEY]: fingerprint },
+      };
+    });
+
+    const run = {
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version: options.toolVersion,
+          informationUri: options.informationUri,
+          rules,
+        },
+      },
+      results,
+      columnKind: 'utf16CodeUnits',
+    };
+
+    if (options.category) {
+      run.automationDetails = { id: `${options.category}/` };
+    }
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [run],
+    };
+  }
+
+  // Based on the flagged source text rather than the line number, so alerts survive unrelated edits
+  getFingerprint(finding, ruleId, content, occurrences) {
+    const text = ((content || '').split('\n')[finding.line - 1] || '').replace(/\s+/g, ' ').trim();
+
+    const base = `${ruleId}:${finding.path}:${text}`;
+    const occurrence = occurrences.get(base) || 0;
+    occurrences.set(base, occurrence + 1);
+
+    return crypto.createHash('sha256').update(`${base}:${occurrence}`).digest('hex').substring(0, 32);
+  }
+}
+
+module.exports = new SarifService();
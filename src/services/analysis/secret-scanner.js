@@ -0,0 +1,183 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { minimatch } = require('minimatch');
+const { getAddedLines } = require('../../utils/diff');
+
+// Public development mnemonic behind the default Hardhat and Anvil accounts
+const DEV_MNEMONIC = 'test test test test test test test test test test test junk';
+const DEV_ACCOUNT_COUNT = 20;
+
+const MNEMONIC_LENGTHS = [24, 21, 18, 15, 12];
+
+const HEX_KEY = '(?:0x)?([0-9a-fA-F]{64})';
+
+const PRIVATE_KEY_PATTERNS = [
+  // PRIVATE_KEY=..., deployerKey: '...', const pk = '...'
+  new RegExp(`(?:private[_-]?key|priv[_-]?key|secret[_-]?key|signer[_-]?key|deployer[_-]?key|wallet[_-]?key|\\bpk\\b)` +
+    `["']?\\s*[:=]\\s*["'\`]?${HEX_KEY}\\b`, 'i'),
+  new RegExp(`(?:Wallet|privateKeyToAccount|fromPrivateKey|SigningKey)\\s*\\(\\s*["'\`]${HEX_KEY}["'\`]`),
+  // Hardhat network accounts
+  new RegExp(`accounts\\s*:\\s*\\[\\s*["'\`]${HEX_KEY}["'\`]`),
+];
+
+// In .env files any bare 64 character hex value is treated as a key
+const ENV_KEY_PATTERN = new RegExp(`^\\s*(?:export\\s+)?\\w+\\s*=\\s*["']?${HEX_KEY}["']?\\s*$`);
+
+const RPC_KEY_PATTERNS = [
+  { provider: 'Infura', pattern: /https?:\/\/[\w.-]*infura\.io\/v3\/[0-9a-f]{32}\b/i },
+  { provider: 'Alchemy', pattern: /https?:\/\/[\w.-]*alchemy(?:api)?\.(?:com|io)\/v2\/[\w-]{20,}/i },
+  { provider: 'QuickNode', pattern: /https?:\/\/[\w.-]+\.quiknode\.pro\/[0-9a-f]{20,}/i },
+];
+
+// Etherscan-family explorers issue 34 character upper-case keys
+const EXPLORER_KEY_PATTERNS = [
+  /\b[A-Z_]*SCAN[A-Z_]*API[_-]?KEY["']?\s*[:=]\s*["'`]?[A-Z0-9]{34}\b/i,
+  /\bapiKey\s*:\s*["'`][A-Z0-9]{34}["'`]/,
+  /\b(?:etherscan|polygonscan|bscscan|arbiscan|basescan|snowtrace|ftmscan)\.[a-z.]+\/api\?\S*apikey=[A-Z0-9]{34}\b/i,
+];
+
+const RULES = {
+  'private-key': {
+    title: 'Private key committed',
+    message: 'A private key was added here. Treat it as compromised: move any funds and rotate the key, ' +
+      'since it stays in the git history even after the line is removed.',
+  },
+  mnemonic: {
+    title: 'Seed phrase committed',
+    message: 'A valid BIP-39 seed phrase was added here. Every account derived from it is compromised: ' +
+      'move any funds to a new wallet and remove the phrase from the git history.',
+  },
+  keystore: {
+    title: 'Encrypted keystore committed',
+    message: 'An encrypted keystore file was added. Its password is the only protection left, ' +
+      'so keep keystores out of the repository and rotate the account if the password is weak or shared.',
+  },
+  'rpc-api-key': {
+    title: 'RPC API key committed',
+    message: 'An RPC URL with an embedded API key was added here. Revoke the key with the provider and ' +
+      'load the URL from an environment variable instead.',
+  },
+  'explorer-api-key': {
+    title: 'Block explorer API key committed',
+    message: 'A block explorer API key was added here. Revoke it and load it from an environment variable instead.',
+  },
+};
+
+class SecretScannerService {
+  constructor() {
+    this.devKeys = null;
+    this.wordlist = ethers.LangEn.wordlist();
+  }
+
+  getRuleIds() {
+    return Object.keys(RULES);
+  }
+
+  // Files are pull request or compare API entries carrying a `patch`
+  scanFiles(files, options = {}) {
+    const exclude = options.exclude || [];
+    const findings = [];
+
+    for (const file of files) {
+      if (file.status === 'removed' || !file.patch) continue;
+      if (exclude.some(pattern => minimatch(file.filename, pattern, { dot: true }))) continue;
+
+      findings.push(...this.scanPatch(file.filename, file.patch));
+    }
+
+    return findings;
+  }
+
+  scanPatch(file, patch) {
+    const added = getAddedLines(patch);
+    const findings = [];
+    const isEnvFile = /^\.env|\.env$/.test(path.posix.basename(file));
+
+    for (const { line, text } of added) {
+      const ruleId = this.scanLine(text, isEnvFile);
+      if (ruleId) findings.push(this.createFinding(ruleId, file, line));
+    }
+
+    // Web3 Secret Storage files: {"crypto": {"ciphertext": ..., "kdf": ...}}
+    const ciphertext = added.find(({ text }) => /"ciphertext"\s*:/.test(text));
+    if (ciphertext && added.some(({ text }) => /"(?:kdf|kdfparams|cipherparams)"\s*:/.test(text))) {
+      findings.push(this.createFinding('keystore', file, ciphertext.line));
+    }
+
+    return findings;
+  }
+
+  scanLine(text, isEnvFile) {
+    const patterns = isEnvFile ? [...PRIVATE_KEY_PATTERNS, ENV_KEY_PATTERN] : PRIVATE_KEY_PATTERNS;
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match && this.isRealKey(match[1])) return 'private-key';
+    }
+
+    if (this.containsMnemonic(text)) return 'mnemonic';
+    if (RPC_KEY_PATTERNS.some(({ pattern }) => pattern.test(text))) return 'rpc-api-key';
+    if (EXPLORER_KEY_PATTERNS.some(pattern => pattern.test(text))) return 'explorer-api-key';
+
+    return null;
+  }
+
+  isRealKey(hex) {
+    const key = hex.toLowerCase();
+    // Placeholders such as 0x000...0 or 0xabab...ab
+    if (new Set(key).size < 8) return false;
+    return !this.getDevKeys().has(key);
+  }
+
+  getDevKeys() {
+    if (!this.devKeys) {
+      const mnemonic = ethers.Mnemonic.fromPhrase(DEV_MNEMONIC);
+      this.devKeys = new Set();
+      for (let i = 0; i < DEV_ACCOUNT_COUNT; i++) {
+        const wallet = ethers.HDNodeWallet.fromMnemonic(mnemonic, `m/44'/60'/0'/0/${i}`);
+        this.devKeys.add(wallet.privateKey.substring(2));
+      }
+    }
+    return this.devKeys;
+  }
+
+  containsMnemonic(text) {
+    // Runs of consecutive BIP-39 words long enough to be a seed phrase
+    const words = text.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+    let run = [];
+
+    for (const word of [...words, '']) {
+      if (word && this.wordlist.getWordIndex(word) !== -1) {
+        run.push(word);
+        continue;
+      }
+      if (run.length >= 12 && this.findMnemonic(run)) return true;
+      run = [];
+    }
+
+    return false;
+  }
+
+  findMnemonic(words) {
+    for (const length of MNEMONIC_LENGTHS) {
+      for (let start = 0; start + length <= words.length; start++) {
+        const phrase = words.slice(start, start + length).join(' ');
+        if (phrase !== DEV_MNEMONIC && ethers.Mnemonic.isValidMnemonic(phrase)) return true;
+      }
+    }
+    return false;
+  }
+
+  // Findings describe the kind of secret only; the value must never reach a comment or log
+  createFinding(ruleId, file, line) {
+    return {
+      path: file,
+      line,
+      level: 'failure',
+      ruleId,
+      title: RULES[ruleId].title,
+      message: RULES[ruleId].message,
+    };
+  }
+}
+
+module.exports = new SecretScannerService();
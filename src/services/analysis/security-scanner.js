@@ -0,0 +1,345 @@
+const solidityAst = require('../../utils/solidity-ast');
+
+const RULES = {
+  'tx-origin-auth': {
+    title: 'Authorization through tx.origin',
+    severity: 'high',
+  },
+  'delegatecall-user-input': {
+    title: 'Delegatecall to user-supplied input',
+    severity: 'high',
+  },
+  reentrancy: {
+    title: 'State change after external call',
+    severity: 'high',
+  },
+  'unchecked-call': {
+    title: 'Unchecked low-level call',
+    severity: 'medium',
+  },
+  selfdestruct: {
+    title: 'Use of selfdestruct',
+    severity: 'medium',
+  },
+  'unprotected-initializer': {
+    title: 'Unprotected initializer',
+    severity: 'high',
+  },
+  'weak-randomness': {
+    title: 'Weak randomness from block data',
+    severity: 'medium',
+  },
+};
+
+// Check run levels used for each severity
+const SEVERITY_LEVELS = {
+  high: 'failure',
+  medium: 'warning',
+  low: 'notice',
+};
+
+const LOW_LEVEL_CALLS = ['call', 'delegatecall', 'staticcall', 'send'];
+
+const REENTRANCY_GUARDS = /nonReentrant|noReentrancy|reentrancyGuard|lock|mutex/i;
+
+const INITIALIZER_NAMES = /^(initialize|init)([A-Z_]\w*)?$/;
+
+const BLOCK_RANDOMNESS = ['timestamp', 'difficulty', 'prevrandao', 'number', 'coinbase'];
+
+class SecurityScannerService {
+  getRuleIds() {
+    return Object.keys(RULES);
+  }
+
+  getRule(ruleId) {
+    return RULES[ruleId];
+  }
+
+  scanSources(sources, files, securityConfig = {}) {
+    const findings = [];
+    const errors = [];
+
+    for (const file of files) {
+      const content = sources[file]?.content;
+      if (!content || !file.endsWith('.sol')) continue;
+
+      const result = this.scanSource(file, content, securityConfig);
+      findings.push(...result.findings);
+      errors.push(...result.errors);
+    }
+
+    return { findings, errors };
+  }
+
+  scanSource(file, content, securityConfig = {}) {
+    let ast;
+    try {
+      ast = solidityAst.parse(content);
+    } catch (error) {
+      return { findings: [], errors: [{ file, line: null, message: error.message }] };
+    }
+
+    if (ast.errors?.length > 0) {
+      return {
+        findings: [],
+        errors: ast.errors.map(error => ({ file, line: error.line || null, message: error.message })),
+      };
+    }
+
+    const disabled = new Set(securityConfig.disabledRules || []);
+    const contracts = new Map(solidityAst.getContracts(ast).map(contract => [contract.name, contract]));
+    const context = { file, contracts, findings: [] };
+
+    for (const contract of contracts.values()) {
+      if (contract.kind === 'interface') continue;
+
+      const stateVariables = solidityAst.getStateVariables(contract, contracts);
+
+      for (const fn of contract.subNodes) {
+        const isCallable = fn.type === 'FunctionDefinition' || fn.type === 'ModifierDefinition';
+        if (!isCallable || !fn.body) continue;
+
+        const scope = this.createScope(fn, stateVariables);
+
+        this.checkTxOrigin(fn, context);
+        this.checkLowLevelCalls(fn, scope, context);
+        this.checkSelfdestruct(fn, scope, context);
+        this.checkWeakRandomness(fn, context);
+
+        if (fn.type === 'FunctionDefinition') {
+          this.checkReentrancy(fn, scope, context);
+          this.checkInitializer(fn, scope, context);
+        }
+      }
+    }
+
+    return {
+      findings: context.findings
+        .filter(finding => !disabled.has(finding.ruleId))
+        .sort((a, b) => a.line - b.line),
+      errors: [],
+    };
+  }
+
+  // Types of every name visible in a function, with locals shadowing state variables
+  createScope(fn, stateVariables) {
+    const types = new Map();
+    const parameters = new Set();
+    const storagePointers = new Set();
+
+    for (const [name, variable] of stateVariables) {
+      if (!variable.isConstant) types.set(name, { typeName: variable.typeName, isState: true });
+    }
+
+    for (const param of fn.parameters || []) {
+      if (!param.name) continue;
+      parameters.add(param.name);
+      types.set(param.name, { typeName: param.typeName, isState: false });
+    }
+
+    solidityAst.traverse(fn.body, (node) => {
+      if (node.type !== 'VariableDeclaration' || !node.name) return;
+      types.set(node.name, { typeName: node.typeName, isState: false });
+      if (node.storageLocation === 'storage') storagePointers.add(node.name);
+    });
+
+    for (const param of fn.returnParameters || []) {
+      if (param.name) types.set(param.name, { typeName: param.typeName, isState: false });
+    }
+
+    return { types, parameters, storagePointers };
+  }
+
+  isStateReference(name, scope) {
+    return Boolean(scope.types.get(name)?.isState) || scope.storagePointers.has(name);
+  }
+
+  addFinding(context, ruleId, node, message, severity = RULES[ruleId].severity) {
+    const { title } = RULES[ruleId];
+
+    context.findings.push({
+      ruleId,
+      severity,
+      path: context.file,
+      line: node.loc.start.line,
+      endLine: node.loc.end.line,
+      level: SEVERITY_LEVELS[severity],
+      title,
+      message,
+    });
+  }
+
+  checkTxOrigin(fn, context) {
+    solidityAst.traverse(fn.body, (node) => {
+      if (node.type !== 'BinaryOperation' || !['==', '!='].includes(node.operator)) return;
+
+      const sides = [node.left, node.right];
+      const origin = sides.find(side => solidityAst.isGlobalMember(side, 'tx', 'origin'));
+      // `tx.origin == msg.sender` is the usual "caller is an EOA" check, not authorization
+      if (!origin || sides.some(side => solidityAst.isGlobalMember(side, 'msg', 'sender'))) return;
+
+      this.addFinding(context, 'tx-origin-auth', node,
+        'Access control based on `tx.origin` can be bypassed by a malicious contract the authorized ' +
+        'account interacts with (phishing). Compare against `msg.sender` instead.');
+    });
+  }
+
+  checkLowLevelCalls(fn, scope, context) {
+    const isPublic = fn.type === 'FunctionDefinition' && ['public', 'external', 'default'].includes(fn.visibility);
+
+    solidityAst.traverse(fn.body, (node, ancestors) => {
+      const callee = solidityAst.getCallee(node);
+      if (callee?.type !== 'MemberAccess' || !LOW_LEVEL_CALLS.includes(callee.memberName)) return;
+
+      // Forwarding msg.data to a stored implementation is the normal proxy pattern; a caller-chosen target is not
+      if (callee.memberName === 'delegatecall' && isPublic &&
+          scope.parameters.has(solidityAst.getRootIdentifier(callee.expression))) {
+        this.addFinding(context, 'delegatecall-user-input', node,
+          '`delegatecall` runs code at a caller-supplied address in the context of this contract, letting the ' +
+          'caller overwrite storage or drain funds. Restrict the target to trusted implementations.');
+      }
+
+      if (this.isResultIgnored(node, ancestors, fn)) {
+        this.addFinding(context, 'unchecked-call', node,
+          `The return value of \`${callee.memberName}\` is not checked, so a failed call is silently ignored. ` +
+          'Check the returned `bool` and revert on failure.');
+      }
+    });
+  }
+
+  isResultIgnored(call, ancestors, fn) {
+    const parent = ancestors[ancestors.length - 1];
+    if (parent?.type === 'ExpressionStatement') return true;
+    if (parent?.type !== 'VariableDeclarationStatement' || parent.initialValue !== call) return false;
+
+    const success = parent.variables[0];
+    if (!success) return true;
+
+    let used = false;
+    solidityAst.traverse(fn.body, (node) => {
+      if (node.type === 'Identifier' && node.name === success.name) used = true;
+    });
+    return !used;
+  }
+
+  checkSelfdestruct(fn, scope, context) {
+    solidityAst.traverse(fn.body, (node) => {
+      const name = solidityAst.getCalleeName(node);
+      if (solidityAst.getCallee(node)?.type !== 'Identifier' || !['selfdestruct', 'suicide'].includes(name)) return;
+
+      const unprotected = fn.type === 'FunctionDefinition' &&
+        ['public', 'external', 'default'].includes(fn.visibility) &&
+        !this.hasAccessControl(fn, scope);
+
+      this.addFinding(context, 'selfdestruct', node,
+        (unprotected ? 'Anyone can call this function and destroy the contract. ' : '') +
+        '`selfdestruct` is deprecated (EIP-6780) and no longer removes code outside the creating transaction; ' +
+        'use an explicit pause or withdrawal mechanism instead.',
+      unprotected ? 'high' : undefined);
+    });
+  }
+
+  checkWeakRandomness(fn, context) {
+    const reported = new Set();
+
+    solidityAst.traverse(fn.body, (node, ancestors) => {
+      const isBlockValue = solidityAst.isGlobalMember(node, 'block', BLOCK_RANDOMNESS) ||
+        (node.type === 'Identifier' && node.name === 'now') ||
+        solidityAst.getCalleeName(node) === 'blockhash';
+      if (!isBlockValue) return;
+
+      // Block values become "random" once hashed or reduced modulo a range
+      const sink = [...ancestors].reverse().find(ancestor =>
+        solidityAst.getCalleeName(ancestor) === 'keccak256' ||
+        (ancestor.type === 'BinaryOperation' && ancestor.operator === '%' && !ancestor.right.subdenomination)
+      );
+      if (!sink || reported.has(sink)) return;
+      reported.add(sink);
+
+      this.addFinding(context, 'weak-randomness', sink,
+        'Block properties are known to, and partly controlled by, block producers, so values derived from ' +
+        'them are predictable. Use a verifiable randomness source such as Chainlink VRF or commit-reveal.');
+    });
+  }
+
+  checkReentrancy(fn, scope, context) {
+    if (['view', 'pure'].includes(fn.stateMutability)) return;
+    if (fn.modifiers.some(modifier => REENTRANCY_GUARDS.test(modifier.name))) return;
+
+    const calls = [];
+    const writes = [];
+
+    solidityAst.traverse(fn.body, (node) => {
+      if (this.isExternalCall(node, scope)) calls.push(node);
+
+      const target = solidityAst.isAssignment(node) ? node.left
+        : node.type === 'UnaryOperation' && ['++', '--', 'delete'].includes(node.operator) ? node.subExpression
+          : null;
+      const name = target && solidityAst.getRootIdentifier(target);
+      if (name && this.isStateReference(name, scope)) writes.push({ name, node });
+    });
+
+    for (const call of calls) {
+      const write = writes.find(candidate => candidate.node.range[0] > call.range[1]);
+      if (!write) continue;
+
+      this.addFinding(context, 'reentrancy', call,
+        `\`${write.name}\` is updated on line ${write.node.loc.start.line}, after this external call. ` +
+        'The callee can re-enter the contract and observe or exploit the stale state. ' +
+        'Follow checks-effects-interactions or add a reentrancy guard.');
+    }
+  }
+
+  isExternalCall(node, scope) {
+    const callee = solidityAst.getCallee(node);
+    if (callee?.type !== 'MemberAccess') return false;
+
+    // `transfer` and `send` forward too little gas to re-enter
+    if (['call', 'delegatecall'].includes(callee.memberName)) return true;
+
+    const base = callee.expression;
+    if (base.type === 'Identifier') {
+      const typeName = scope.types.get(base.name)?.typeName;
+      return typeName?.type === 'UserDefinedTypeName';
+    }
+
+    // Calls through an interface cast such as `IERC20(token).transfer(...)`
+    return base.type === 'FunctionCall' && base.expression.type === 'Identifier' &&
+      /^[A-Z]/.test(base.expression.name);
+  }
+
+  checkInitializer(fn, scope, context) {
+    if (!INITIALIZER_NAMES.test(fn.name || '')) return;
+    if (!['public', 'external', 'default'].includes(fn.visibility)) return;
+    if (this.hasAccessControl(fn, scope)) return;
+
+    this.addFinding(context, 'unprotected-initializer', fn,
+      `\`${fn.name}\` can be called by anyone, any number of times. An attacker can front-run it or call it ` +
+      'again later to take ownership. Protect it with an `initializer` modifier or a one-time flag.');
+  }
+
+  // Modifiers, or conditions on the caller or contract state, before anything happens
+  hasAccessControl(fn, scope) {
+    if (fn.modifiers.length > 0) return true;
+
+    let guarded = false;
+    solidityAst.traverse(fn.body, (node) => {
+      const name = solidityAst.getCalleeName(node);
+      const condition = ['require', 'assert'].includes(name) ? node.arguments[0]
+        : node.type === 'IfStatement' ? node.condition
+          : null;
+      if (!condition) return;
+
+      solidityAst.traverse(condition, (child) => {
+        if (solidityAst.isGlobalMember(child, 'msg', 'sender') ||
+            (child.type === 'Identifier' && this.isStateReference(child.name, scope))) {
+          guarded = true;
+        }
+      });
+    });
+
+    return guarded;
+  }
+}
+
+module.exports = new SecurityScannerService();
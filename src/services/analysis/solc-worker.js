@@ -0,0 +1,42 @@
+const { parentPort, workerData } = require('worker_threads');
+const solc = require('solc');
+
+// Runs solc-js off the main thread; compilation is synchronous and can take minutes on large projects
+// Downloaded compilers take tens of MB each, so only the most recently used ones are kept
+const compilers = new Map();
+const maxCachedVersions = workerData.maxCachedVersions;
+
+function loadCompiler(remoteVersion) {
+  if (!remoteVersion) return solc;
+
+  if (compilers.has(remoteVersion)) {
+    const compiler = compilers.get(remoteVersion);
+    compilers.delete(remoteVersion);
+    compilers.set(remoteVersion, compiler);
+    return compiler;
+  }
+
+  return new Promise((resolve, reject) => {
+    solc.loadRemoteVersion(remoteVersion, (error, snapshot) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      compilers.set(remoteVersion, snapshot);
+      // Maps iterate in insertion order, so the first key is the least recently used
+      while (compilers.size > maxCachedVersions) {
+        compilers.delete(compilers.keys().next().value);
+      }
+      resolve(snapshot);
+    });
+  });
+}
+
+parentPort.on('message', async ({ id, remoteVersion, input }) => {
+  try {
+    const compiler = await loadCompiler(remoteVersion);
+    parentPort.postMessage({ id, output: compiler.compile(input) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message || String(error) });
+  }
+});
@@ -0,0 +1,241 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const semver = require('semver');
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+const PRAGMA_PATTERN = /^\s*pragma\s+solidity\s+([^;]+);/gm;
+
+const DEFAULT_OUTPUT_SELECTION = [
+  'abi',
+  'evm.bytecode.object',
+  'evm.deployedBytecode.object',
+  'evm.gasEstimates',
+  'storageLayout',
+];
+
+class SolidityCompilerService {
+  constructor() {
+    // The solc package is published under the compiler version it bundles
+    this.bundledVersion = semver.coerce(require('solc/package.json').version).version;
+    this.timeoutMs = config.analysis.solc.timeoutMs;
+    this.releases = null;
+
+    // Compilers are loaded and run in one worker thread, one compilation at a time
+    this.worker = null;
+    this.requests = new Map();
+    this.nextRequestId = 0;
+    this.queue = Promise.resolve();
+  }
+
+  getPragmas(sources) {
+    const pragmas = {};
+
+    for (const [file, { content }] of Object.entries(sources)) {
+      const ranges = Array.from(content.matchAll(PRAGMA_PATTERN), match => match[1].trim());
+      if (ranges.length > 0) {
+        pragmas[file] = ranges;
+      }
+    }
+
+    return pragmas;
+  }
+
+  async resolveVersion(sources, compilerConfig = {}) {
+    if (compilerConfig.version) {
+      return compilerConfig.version;
+    }
+
+    const ranges = Object.values(this.getPragmas(sources)).flat();
+    const satisfiesAll = (version) => ranges.every(range =>
+      semver.satisfies(version, range, { loose: true })
+    );
+
+    if (satisfiesAll(this.bundledVersion)) {
+      return this.bundledVersion;
+    }
+
+    if (!config.analysis.solc.allowRemoteVersions) {
+      throw new Error(
+        `Bundled solc ${this.bundledVersion} does not satisfy pragma(s): ${[...new Set(ranges)].join(', ')}; ` +
+        'set SOLC_ALLOW_REMOTE_VERSIONS=true to download a matching compiler'
+      );
+    }
+
+    const releases = await this.getReleases();
+    const version = Object.keys(releases)
+      .sort(semver.rcompare)
+      .find(satisfiesAll);
+
+    if (!version) {
+      throw new Error(`No solc release satisfies pragma(s): ${[...new Set(ranges)].join(', ')}`);
+    }
+
+    return version;
+  }
+
+  async getReleases() {
+    if (this.releases) return this.releases;
+
+    const response = await axios.get(config.analysis.solc.versionListUrl, { timeout: 15000 });
+    this.releases = response.data.releases;
+    return this.releases;
+  }
+
+  // Null for the bundled compiler, otherwise the soljson build the worker downloads
+  async getRemoteVersion(version) {
+    if (version === this.bundledVersion) return null;
+
+    const releases = await this.getReleases();
+    const build = releases[version];
+    if (!build) {
+      throw new Error(`Unknown solc version: ${version}`);
+    }
+
+    // "soljson-v0.8.20+commit.a1b79de6.js" -> "v0.8.20+commit.a1b79de6"
+    return build.replace(/^soljson-/, '').replace(/\.js$/, '');
+  }
+
+  async compileSources(sources, options = {}) {
+    const compilerConfig = options.compilerConfig || {};
+    const version = await this.resolveVersion(sources, compilerConfig);
+    const remoteVersion = await this.getRemoteVersion(version);
+
+    const input = {
+      language: 'Solidity',
+      sources,
+      settings: {
+        remappings: options.remappings || [],
+        optimizer: {
+          enabled: compilerConfig.optimizer !== false,
+          runs: compilerConfig.runs || 200,
+        },
+        outputSelection: {
+          '*': {
+            '*': options.outputSelection || DEFAULT_OUTPUT_SELECTION,
+          },
+        },
+      },
+    };
+
+    if (compilerConfig.evmVersion) {
+      input.settings.evmVersion = compilerConfig.evmVersion;
+    }
+    if (compilerConfig.viaIR) {
+      input.settings.viaIR = true;
+    }
+
+    const startTime = Date.now();
+    const output = JSON.parse(await this.compile(remoteVersion, JSON.stringify(input)));
+    logger.performance('Solidity compilation', Date.now() - startTime, {
+      version,
+      sourceCount: Object.keys(sources).length,
+    });
+
+    const diagnostics = (output.errors || []).map(error => this.toDiagnostic(error, sources));
+
+    return {
+      version,
+      output,
+      errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error'),
+      warnings: diagnostics.filter(diagnostic => diagnostic.severity !== 'error'),
+    };
+  }
+
+  compile(remoteVersion, input) {
+    const run = this.queue.then(() => this.runInWorker(remoteVersion, input));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  runInWorker(remoteVersion, input) {
+    const worker = this.getWorker();
+    const id = ++this.nextRequestId;
+
+    return new Promise((resolve, reject) => {
+      // A compilation that hangs takes the worker with it; the next one starts a fresh worker
+      const timer = setTimeout(() => {
+        this.requests.delete(id);
+        reject(new Error(`solc timed out after ${this.timeoutMs} ms`));
+        this.terminateWorker(worker);
+      }, this.timeoutMs);
+
+      this.requests.set(id, {
+        worker,
+        resolve: (output) => {
+          clearTimeout(timer);
+          resolve(output);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+      worker.postMessage({ id, remoteVersion, input });
+    });
+  }
+
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    const worker = new Worker(path.join(__dirname, 'solc-worker.js'), {
+      workerData: { maxCachedVersions: config.analysis.solc.maxCachedVersions },
+    });
+    worker.on('message', ({ id, output, error }) => {
+      const request = this.requests.get(id);
+      if (!request) return;
+
+      this.requests.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve(output);
+    });
+    worker.on('error', (error) => {
+      logger.error('solc worker failed:', error);
+      this.failRequests(worker, error);
+    });
+    worker.on('exit', (code) => {
+      if (this.worker === worker) this.worker = null;
+      this.failRequests(worker, new Error(`solc worker exited with code ${code}`));
+    });
+    // An idle worker does not keep the process alive
+    worker.unref();
+
+    this.worker = worker;
+    return worker;
+  }
+
+  terminateWorker(worker) {
+    if (this.worker === worker) this.worker = null;
+    worker.terminate().catch(() => {});
+  }
+
+  failRequests(worker, error) {
+    for (const [id, request] of this.requests) {
+      if (request.worker !== worker) continue;
+      this.requests.delete(id);
+      request.reject(error);
+    }
+  }
+
+  toDiagnostic(error, sources) {
+    const location = error.sourceLocation;
+    const content = location && sources[location.file]?.content;
+
+    return {
+      severity: error.severity,
+      type: error.type,
+      message: error.message,
+      file: location?.file || null,
+      line: content ? this.getLineNumber(content, location.start) : null,
+    };
+  }
+
+  getLineNumber(content, offset) {
+    if (offset === undefined || offset < 0) return null;
+    // solc reports byte offsets, which differ from string indices for non-ASCII sources
+    return Buffer.from(content).subarray(0, offset).toString('utf8').split('\n').length;
+  }
+}
+
+module.exports = new SolidityCompilerService();
@@ -0,0 +1,400 @@
+const semver = require('semver');
+const solidityAst = require('../../utils/solidity-ast');
+
+const RULES = {
+  'storage-read-in-loop': {
+    title: 'Storage read in loop',
+    recommendation: 'Cache storage variables read inside loops in local variables',
+  },
+  'public-to-external': {
+    title: 'Public function could be external',
+    recommendation: 'Declare functions that are never called internally as `external`',
+  },
+  'struct-packing': {
+    title: 'Struct can be packed tighter',
+    recommendation: 'Reorder struct members so that small types share storage slots',
+  },
+  'custom-errors': {
+    title: 'Revert string instead of custom error',
+    recommendation: 'Replace revert strings with custom errors',
+  },
+  'redundant-sload': {
+    title: 'Repeated storage read',
+    recommendation: 'Read storage variables used several times in a function once into a local variable',
+  },
+  'prefix-increment': {
+    title: 'Postfix increment',
+    recommendation: 'Use `++i` / `--i` instead of `i++` / `i--` when the old value is not used',
+  },
+  'unbounded-array-loop': {
+    title: 'Loop over unbounded array',
+    recommendation: 'Avoid iterating over storage arrays that can grow without limit',
+  },
+};
+
+// Custom errors were introduced in Solidity 0.8.4
+const CUSTOM_ERRORS_VERSION = '0.8.4';
+
+const SLOT_SIZE = 32;
+
+class SolidityLintService {
+  getRuleIds() {
+    return Object.keys(RULES);
+  }
+
+  getRule(ruleId) {
+    return RULES[ruleId];
+  }
+
+  lintSources(sources, files, lintConfig = {}) {
+    const findings = [];
+    const errors = [];
+
+    for (const file of files) {
+      const content = sources[file]?.content;
+      if (!content || !file.endsWith('.sol')) continue;
+
+      const result = this.lintSource(file, content, lintConfig);
+      findings.push(...result.findings);
+      errors.push(...result.errors);
+    }
+
+    return { findings, errors };
+  }
+
+  lintSource(file, content, lintConfig = {}) {
+    let ast;
+    try {
+      ast = solidityAst.parse(content);
+    } catch (error) {
+      return { findings: [], errors: [{ file, line: null, message: error.message }] };
+    }
+
+    // The compiler reports syntax errors with better messages than a partial AST would give
+    if (ast.errors?.length > 0) {
+      return {
+        findings: [],
+        errors: ast.errors.map(error => ({ file, line: error.line || null, message: error.message })),
+      };
+    }
+
+    const disabled = new Set(lintConfig.disabledRules || []);
+    const context = this.createContext(file, ast);
+
+    for (const contract of solidityAst.getContracts(ast)) {
+      if (contract.kind === 'interface') continue;
+
+      this.checkStructPacking(contract, context);
+      this.checkPublicFunctions(contract, context);
+
+      for (const node of contract.subNodes) {
+        const isCallable = node.type === 'FunctionDefinition' || node.type === 'ModifierDefinition';
+        if (!isCallable || !node.body) continue;
+
+        this.checkLoops(contract, node, context);
+        this.checkRedundantReads(contract, node, context);
+        this.checkRevertStrings(node, context);
+        this.checkPostfixIncrements(node, context);
+      }
+    }
+
+    return {
+      findings: context.findings
+        .filter(finding => !disabled.has(finding.ruleId))
+        .sort((a, b) => a.line - b.line),
+      errors: [],
+    };
+  }
+
+  createContext(file, ast) {
+    const contracts = new Map(solidityAst.getContracts(ast).map(contract => [contract.name, contract]));
+    const enums = new Set();
+
+    solidityAst.traverse(ast, (node) => {
+      if (node.type === 'EnumDefinition') enums.add(node.name);
+    });
+
+    return {
+      file,
+      ast,
+      contracts,
+      enums,
+      pragmas: solidityAst.getPragmaVersions(ast),
+      findings: [],
+    };
+  }
+
+  addFinding(context, ruleId, node, message) {
+    context.findings.push({
+      ruleId,
+      path: context.file,
+      line: node.loc.start.line,
+      endLine: node.loc.end.line,
+      level: 'notice',
+      title: RULES[ruleId].title,
+      message,
+    });
+  }
+
+  // Reads of value-type state variables and storage array lengths, keyed by what they load
+  getStorageReads(root, stateVariables, locals, options = {}) {
+    const reads = [];
+
+    solidityAst.traverse(root, (node) => {
+      if (options.skipLoops && node !== root && solidityAst.isLoop(node)) return false;
+
+      if (node.type === 'MemberAccess' && node.memberName === 'length' && node.expression.type === 'Identifier') {
+        const variable = this.getStorageVariable(node.expression.name, stateVariables, locals);
+        if (variable && variable.typeName.type === 'ArrayTypeName') {
+          reads.push({ key: `${variable.name}.length`, name: variable.name, node });
+          return false;
+        }
+      }
+
+      if (node.type === 'Identifier') {
+        const variable = this.getStorageVariable(node.name, stateVariables, locals);
+        if (variable && variable.typeName.type === 'ElementaryTypeName') {
+          reads.push({ key: variable.name, name: variable.name, node });
+        }
+      }
+
+      return undefined;
+    });
+
+    return reads;
+  }
+
+  getStorageVariable(name, stateVariables, locals) {
+    if (locals.has(name)) return null;
+
+    const variable = stateVariables.get(name);
+    return variable && !variable.isConstant ? variable : null;
+  }
+
+  groupReads(reads) {
+    const groups = new Map();
+    for (const read of reads) {
+      if (!groups.has(read.key)) groups.set(read.key, []);
+      groups.get(read.key).push(read);
+    }
+    return groups;
+  }
+
+  checkLoops(contract, fn, context) {
+    const stateVariables = solidityAst.getStateVariables(contract, context.contracts);
+    const locals = solidityAst.getLocalNames(fn);
+
+    solidityAst.traverse(fn.body, (node, ancestors) => {
+      if (!solidityAst.isLoop(node)) return;
+
+      const unbounded = this.getUnboundedArrays(node, stateVariables, locals);
+      for (const name of unbounded) {
+        this.addFinding(context, 'unbounded-array-loop', node,
+          `This loop iterates over the storage array \`${name}\`, whose length is not bounded. ` +
+          'Once the array grows large enough the call will run out of gas.');
+      }
+
+      // Nested loops are covered by the outermost one
+      if (ancestors.some(solidityAst.isLoop)) return;
+
+      const written = solidityAst.getWrittenNames(node);
+      const reads = this.getStorageReads(node, stateVariables, locals)
+        .filter(read => !written.has(read.name) && !unbounded.includes(read.name));
+
+      for (const [key, group] of this.groupReads(reads)) {
+        this.addFinding(context, 'storage-read-in-loop', group[0].node,
+          `\`${key}\` is read from storage on every iteration. ` +
+          'Copy it to a local variable before the loop to avoid repeated `SLOAD`s.');
+      }
+    });
+  }
+
+  getUnboundedArrays(loop, stateVariables, locals) {
+    const names = [];
+
+    solidityAst.traverse(solidityAst.getLoopCondition(loop), (node) => {
+      if (node.type !== 'MemberAccess' || node.memberName !== 'length' || node.expression.type !== 'Identifier') {
+        return;
+      }
+
+      const variable = this.getStorageVariable(node.expression.name, stateVariables, locals);
+      if (variable && variable.typeName.type === 'ArrayTypeName' && !variable.typeName.length) {
+        names.push(variable.name);
+      }
+    });
+
+    return names;
+  }
+
+  checkRedundantReads(contract, fn, context) {
+    const stateVariables = solidityAst.getStateVariables(contract, context.contracts);
+    const locals = solidityAst.getLocalNames(fn);
+    const written = solidityAst.getWrittenNames(fn.body);
+
+    // Reads inside loops are reported by storage-read-in-loop
+    const reads = this.getStorageReads(fn.body, stateVariables, locals, { skipLoops: true })
+      .filter(read => !written.has(read.name));
+
+    for (const [key, group] of this.groupReads(reads)) {
+      if (group.length < 2) continue;
+
+      this.addFinding(context, 'redundant-sload', group[0].node,
+        `\`${key}\` is read from storage ${group.length} times in \`${fn.name || 'constructor'}\`. ` +
+        'Read it once into a local variable.');
+    }
+  }
+
+  checkRevertStrings(fn, context) {
+    if (!this.supportsCustomErrors(context.pragmas)) return;
+
+    solidityAst.traverse(fn.body, (node) => {
+      if (node.type !== 'FunctionCall' || node.expression.type !== 'Identifier') return;
+
+      const callee = node.expression.name;
+      const reason = callee === 'require' ? node.arguments[1]
+        : callee === 'revert' ? node.arguments[0]
+          : null;
+
+      if (reason?.type === 'StringLiteral') {
+        this.addFinding(context, 'custom-errors', node,
+          `\`${callee}\` with the reason string "${reason.value}" stores the string in the bytecode ` +
+          'and costs more gas on revert. Use a custom error instead.');
+      }
+    });
+  }
+
+  supportsCustomErrors(pragmas) {
+    return pragmas.every(range => {
+      try {
+        const minimum = semver.minVersion(range, { loose: true });
+        return !minimum || semver.gte(minimum, CUSTOM_ERRORS_VERSION);
+      } catch (error) {
+        return true;
+      }
+    });
+  }
+
+  checkPostfixIncrements(fn, context) {
+    solidityAst.traverse(fn.body, (node, ancestors) => {
+      if (node.type !== 'UnaryOperation' || node.isPrefix || !['++', '--'].includes(node.operator)) return;
+
+      // Only flag increments whose result is discarded
+      if (ancestors[ancestors.length - 1]?.type !== 'ExpressionStatement') return;
+
+      const target = solidityAst.getRootIdentifier(node.subExpression) || 'i';
+      this.addFinding(context, 'prefix-increment', node,
+        `Use \`${node.operator}${target}\` instead of \`${target}${node.operator}\`; ` +
+        'the prefix form does not keep a copy of the old value.');
+    });
+  }
+
+  checkPublicFunctions(contract, context) {
+    const referenced = new Set();
+
+    // Any reference inside the file (including from derived contracts) keeps a function public
+    for (const other of context.contracts.values()) {
+      for (const node of other.subNodes) {
+        if (!node.body) continue;
+        solidityAst.traverse(node.body, (child) => {
+          if (child.type === 'Identifier') referenced.add(child.name);
+          if (child.type === 'MemberAccess' && child.expression.type === 'Identifier' &&
+              child.expression.name === 'super') {
+            referenced.add(child.memberName);
+          }
+        });
+      }
+    }
+
+    for (const fn of solidityAst.getFunctions(contract)) {
+      if (fn.visibility !== 'public' || fn.isConstructor || fn.isReceiveEther || fn.isFallback) continue;
+      // Overrides must keep the visibility of the base, and virtual functions may be called by children
+      if (fn.isVirtual || fn.override || referenced.has(fn.name)) continue;
+
+      const memoryParams = fn.parameters.filter(param => param.storageLocation === 'memory');
+      this.addFinding(context, 'public-to-external', fn,
+        `\`${fn.name}\` is never called from inside the contract and can be declared \`external\`` +
+        (memoryParams.length > 0
+          ? `, which lets ${memoryParams.map(param => `\`${param.name}\``).join(', ')} use \`calldata\` instead of \`memory\`.`
+          : '.'));
+    }
+  }
+
+  checkStructPacking(contract, context) {
+    for (const node of contract.subNodes) {
+      if (node.type !== 'StructDefinition') continue;
+
+      const sizes = node.members.map(member => this.getStorageSize(member.typeName, context));
+      const current = this.countSlots(sizes);
+      const packed = this.countSlots([...sizes].sort((a, b) => b - a), true);
+
+      if (packed < current) {
+        this.addFinding(context, 'struct-packing', node,
+          `Struct \`${node.name}\` uses ${current} storage slots; ordering its members by size ` +
+          `would fit it in ${packed}.`);
+      }
+    }
+  }
+
+  getStorageSize(typeName, context) {
+    if (typeName.type === 'ElementaryTypeName') {
+      const { name } = typeName;
+      if (name === 'bool' || name === 'byte') return 1;
+      if (name.startsWith('address')) return 20;
+
+      const integer = name.match(/^u?int(\d+)$/);
+      if (integer) return parseInt(integer[1], 10) / 8;
+
+      const fixedBytes = name.match(/^bytes(\d+)$/);
+      if (fixedBytes) return parseInt(fixedBytes[1], 10);
+
+      return SLOT_SIZE;
+    }
+
+    if (typeName.type === 'UserDefinedTypeName') {
+      if (context.enums.has(typeName.namePath)) return 1;
+      // Contract and interface types are stored as addresses
+      if (context.contracts.has(typeName.namePath)) return 20;
+    }
+
+    // Mappings, arrays, strings, bytes and structs always start a new slot
+    return SLOT_SIZE;
+  }
+
+  countSlots(sizes, firstFit = false) {
+    const slots = [];
+
+    for (const size of sizes) {
+      if (firstFit) {
+        const slot = slots.findIndex(used => used + size <= SLOT_SIZE);
+        if (slot !== -1 && size < SLOT_SIZE) {
+          slots[slot] += size;
+          continue;
+        }
+      } else if (slots.length > 0 && size < SLOT_SIZE && slots[slots.length - 1] + size <= SLOT_SIZE) {
+        slots[slots.length - 1] += size;
+        continue;
+      }
+
+      slots.push(size);
+    }
+
+    return slots.length;
+  }
+
+  getRecommendations(findings) {
+    const byRule = new Map();
+    for (const finding of findings) {
+      if (!byRule.has(finding.ruleId)) byRule.set(finding.ruleId, []);
+      byRule.get(finding.ruleId).push(finding);
+    }
+
+    return Array.from(byRule, ([ruleId, ruleFindings]) => {
+      const allLocations = [...new Set(ruleFindings.map(finding => `${finding.path}:${finding.line}`))];
+      const locations = allLocations.slice(0, 3);
+      const more = allLocations.length > locations.length ? `, +${allLocations.length - locations.length} more` : '';
+      return `${RULES[ruleId].recommendation} (${locations.join(', ')}${more})`;
+    });
+  }
+}
+
+module.exports = new SolidityLintService();
@@ -0,0 +1,236 @@
+const { parse, getContracts } = require('../../utils/solidity-ast');
+
+const SLOT_SIZE = 32;
+
+// OpenZeppelin reserves storage for future variables with `uint256[N] private __gap`
+const GAP_PATTERN = /^__gap/;
+
+class StorageLayoutService {
+  // Maps every contract name defined in `sources` to the names of all its ancestors
+  getInheritance(sources) {
+    const definitions = new Map();
+
+    for (const { content } of Object.values(sources)) {
+      let ast;
+      try {
+        ast = parse(content);
+      } catch (error) {
+        continue;
+      }
+
+      for (const contract of getContracts(ast)) {
+        definitions.set(contract.name, contract);
+      }
+    }
+
+    const inheritance = new Map();
+    for (const name of definitions.keys()) {
+      inheritance.set(name, Array.from(this.collectBases(name, definitions, new Set())));
+    }
+
+    return inheritance;
+  }
+
+  collectBases(name, definitions, bases) {
+    for (const base of definitions.get(name)?.baseContracts || []) {
+      // Qualified names such as `Lib.Base` resolve to the last segment
+      const baseName = base.baseName.namePath.split('.').pop();
+      if (bases.has(baseName)) continue;
+
+      bases.add(baseName);
+      this.collectBases(baseName, definitions, bases);
+    }
+
+    return bases;
+  }
+
+  isUpgradeable(contract, upgradeableBases) {
+    return (contract.bases || []).some(base => upgradeableBases.includes(base));
+  }
+
+  getVariables(layout) {
+    const occurrences = new Map();
+
+    return (layout?.storage || []).map(entry => {
+      const type = layout.types?.[entry.type] || {};
+      // Private variables of different base contracts may share a name, like OpenZeppelin's `__gap`
+      const occurrence = (occurrences.get(entry.label) || 0) + 1;
+      occurrences.set(entry.label, occurrence);
+
+      return {
+        key: `${entry.label}#${occurrence}`,
+        label: entry.label,
+        slot: parseInt(entry.slot, 10),
+        offset: entry.offset,
+        type: type.label || entry.type,
+        bytes: parseInt(type.numberOfBytes || SLOT_SIZE, 10),
+        gap: GAP_PATTERN.test(entry.label),
+      };
+    });
+  }
+
+  getSlotCount(variable) {
+    return Math.max(1, Math.ceil(variable.bytes / SLOT_SIZE));
+  }
+
+  compare(baseLayout, headLayout) {
+    const baseVariables = this.getVariables(baseLayout);
+    const headVariables = this.getVariables(headLayout);
+    const baseByKey = new Map(baseVariables.map(variable => [variable.key, variable]));
+    const headByKey = new Map(headVariables.map(variable => [variable.key, variable]));
+    const headByPosition = new Map(headVariables.map(variable => [this.getPosition(variable), variable]));
+    const renamed = new Map();
+    const changes = [];
+
+    for (const base of baseVariables) {
+      const head = headByKey.get(base.key);
+
+      if (base.gap) {
+        const change = this.compareGap(base, head);
+        if (change) changes.push(change);
+        continue;
+      }
+
+      if (!head) {
+        const occupant = headByPosition.get(this.getPosition(base));
+        if (occupant && !baseByKey.has(occupant.key) && !occupant.gap && occupant.type === base.type) {
+          renamed.set(occupant.key, base);
+          changes.push({
+            kind: 'renamed',
+            breaking: false,
+            variables: [base.key, occupant.key],
+            message: `\`${base.label}\` was renamed to \`${occupant.label}\`; the slot is unchanged but off-chain readers ` +
+              'relying on the name need updating',
+          });
+        } else {
+          changes.push({
+            kind: 'removed',
+            breaking: true,
+            variables: [base.key],
+            message: `\`${base.type} ${base.label}\` in slot ${this.formatPosition(base)} was removed, ` +
+              'leaving its data to be misread by whatever now occupies the slot',
+          });
+        }
+        continue;
+      }
+
+      if (head.slot !== base.slot || head.offset !== base.offset) {
+        changes.push({
+          kind: 'moved',
+          breaking: true,
+          variables: [base.key],
+          message: `\`${base.label}\` moved from slot ${this.formatPosition(base)} to ${this.formatPosition(head)}`,
+        });
+      }
+
+      if (head.type !== base.type || head.bytes !== base.bytes) {
+        changes.push({
+          kind: 'retyped',
+          breaking: true,
+          variables: [base.key],
+          message: `\`${base.label}\` changed type from \`${base.type}\` to \`${head.type}\``,
+        });
+      }
+    }
+
+    for (const head of headVariables) {
+      if (baseByKey.has(head.key) || renamed.has(head.key)) continue;
+
+      changes.push({
+        kind: 'added',
+        breaking: false,
+        variables: [head.key],
+        message: `\`${head.type} ${head.label}\` was added in slot ${this.formatPosition(head)}`,
+      });
+    }
+
+    return {
+      changes,
+      rows: this.getRows(baseVariables, headVariables, changes),
+      breaking: changes.some(change => change.breaking),
+    };
+  }
+
+  // Shrinking a gap is only safe when the new variables use exactly the freed slots
+  compareGap(base, head) {
+    if (!head) {
+      return {
+        kind: 'gap-removed',
+        breaking: false,
+        variables: [base.key],
+        message: `Storage gap \`${base.label}\` at slot ${base.slot} (${this.getSlotCount(base)} slots) was removed, ` +
+          'so this contract can no longer add variables in future upgrades',
+      };
+    }
+
+    const baseSlots = this.getSlotCount(base);
+    const headSlots = this.getSlotCount(head);
+    const shift = (head.slot + headSlots) - (base.slot + baseSlots);
+
+    if (shift === 0 && baseSlots === headSlots) return null;
+
+    if (shift === 0) {
+      return {
+        kind: 'gap-shrunk',
+        breaking: false,
+        variables: [base.key],
+        message: `Storage gap \`${base.label}\` at slot ${base.slot} shrank from ${baseSlots} to ${headSlots} slots ` +
+          'to make room for new variables; the slots after it are unchanged',
+      };
+    }
+
+    return {
+      kind: headSlots < baseSlots ? 'gap-shrunk' : 'gap-resized',
+      breaking: true,
+      variables: [base.key],
+      message: `Storage gap \`${base.label}\` at slot ${base.slot} changed from ${baseSlots} to ${headSlots} slots, ` +
+        `which moves every slot after it by ${shift > 0 ? '+' : ''}${shift}`,
+    };
+  }
+
+  getRows(baseVariables, headVariables, changes) {
+    const rows = new Map();
+
+    for (const [side, variables] of [['base', baseVariables], ['head', headVariables]]) {
+      for (const variable of variables) {
+        const position = this.getPosition(variable);
+        if (!rows.has(position)) {
+          rows.set(position, { slot: variable.slot, offset: variable.offset, base: null, head: null });
+        }
+        rows.get(position)[side] = variable;
+      }
+    }
+
+    const byVariable = new Map();
+    for (const change of changes) {
+      for (const key of change.variables) {
+        if (!byVariable.has(key) || change.breaking) byVariable.set(key, change);
+      }
+    }
+
+    return Array.from(rows.values())
+      .sort((a, b) => a.slot - b.slot || a.offset - b.offset)
+      .map(row => {
+        const rowChanges = [row.base, row.head]
+          .filter(Boolean)
+          .map(variable => byVariable.get(variable.key))
+          .filter(Boolean);
+
+        return {
+          ...row,
+          status: rowChanges.some(change => change.breaking) ? 'breaking'
+            : rowChanges.length > 0 ? rowChanges[0].kind : 'unchanged',
+        };
+      });
+  }
+
+  getPosition(variable) {
+    return `${variable.slot}:${variable.offset}`;
+  }
+
+  formatPosition(variable) {
+    return variable.offset > 0 ? `${variable.slot} (offset ${variable.offset})` : `${variable.slot}`;
+  }
+}
+
+module.exports = new StorageLayoutService();
@@ -0,0 +1,164 @@
+const { spawn } = require('child_process');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+const DEFAULT_OUTPUT_SELECTION = [
+  'abi',
+  'evm.bytecode.object',
+  'evm.deployedBytecode.object',
+  'layout',
+];
+
+const SLOT_SIZE = 32;
+
+class VyperCompilerService {
+  constructor() {
+    this.binaryPath = config.analysis.vyper.path;
+    this.timeoutMs = config.analysis.vyper.timeoutMs;
+    this.version = undefined;
+  }
+
+  // Resolves to null when no vyper binary is installed, so Solidity analysis can go on without it
+  async getVersion() {
+    if (this.version !== undefined) return this.version;
+
+    try {
+      const { stdout } = await this.run(['--version']);
+      // "0.3.10+commit.91361694" or "0.4.0+commit.e9db8d9"
+      this.version = stdout.trim().split('+')[0] || null;
+    } catch (error) {
+      logger.warn(`Vyper compiler not available at ${this.binaryPath}: ${error.message}`);
+      this.version = null;
+    }
+
+    return this.version;
+  }
+
+  async compileSources(sources, options = {}) {
+    const version = await this.getVersion();
+    if (!version) {
+      throw new Error(`No vyper compiler found at "${this.binaryPath}"; set VYPER_PATH to analyze Vyper contracts`);
+    }
+
+    const compilerConfig = options.compilerConfig || {};
+    const outputSelection = {};
+    for (const file of options.entryFiles || Object.keys(sources)) {
+      outputSelection[file] = options.outputSelection || DEFAULT_OUTPUT_SELECTION;
+    }
+
+    const input = {
+      language: 'Vyper',
+      sources,
+      interfaces: options.interfaces || {},
+      settings: {
+        outputSelection,
+        // Absolute imports are resolved against the project's source directories
+        search_paths: options.searchPaths || ['.'],
+      },
+    };
+
+    if (compilerConfig.evmVersion) {
+      input.settings.evmVersion = compilerConfig.evmVersion;
+    }
+
+    const startTime = Date.now();
+    const { stdout } = await this.run(['--standard-json'], JSON.stringify(input));
+    const output = JSON.parse(stdout);
+    logger.performance('Vyper compilation', Date.now() - startTime, {
+      version,
+      sourceCount: Object.keys(sources).length,
+    });
+
+    const diagnostics = (output.errors || []).map(error => this.toDiagnostic(error));
+
+    return {
+      version,
+      output,
+      errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error'),
+      warnings: diagnostics.filter(diagnostic => diagnostic.severity !== 'error'),
+    };
+  }
+
+  run(args, input = null) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binaryPath, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`vyper timed out after ${this.timeoutMs} ms`));
+      }, this.timeoutMs);
+
+      child.stdout.on('data', (chunk) => { stdout += chunk; });
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        // --standard-json reports compilation errors in its output, not through the exit code
+        if (code !== 0 && !stdout) {
+          reject(new Error(stderr.trim().split('\n').pop() || `vyper exited with code ${code}`));
+          return;
+        }
+        resolve({ stdout, stderr });
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(input || undefined);
+    });
+  }
+
+  toDiagnostic(error) {
+    const location = error.sourceLocation;
+
+    return {
+      severity: error.severity || 'error',
+      type: error.type,
+      message: error.message,
+      file: location?.file || null,
+      line: location?.lineno || null,
+    };
+  }
+
+  // Converts vyper's `storage_layout` into solc's storageLayout shape used by the storage layout checks
+  toStorageLayout(layout, contractName) {
+    const variables = layout?.storage_layout;
+    if (!variables) return null;
+
+    const storage = [];
+    const types = {};
+
+    const visit = (entries, prefix) => {
+      for (const [name, entry] of Object.entries(entries)) {
+        // Module storage in vyper 0.4 is nested under the module's name
+        if (entry.slot === undefined) {
+          visit(entry, `${prefix}${name}.`);
+          continue;
+        }
+
+        const typeId = `t_vyper_${entry.type}`;
+        types[typeId] = {
+          label: entry.type,
+          numberOfBytes: String((entry.n_slots || 1) * SLOT_SIZE),
+        };
+        storage.push({
+          label: `${prefix}${name}`,
+          slot: String(entry.slot),
+          offset: 0,
+          type: typeId,
+          contract: contractName,
+        });
+      }
+    };
+
+    visit(variables, '');
+    storage.sort((a, b) => parseInt(a.slot, 10) - parseInt(b.slot, 10));
+
+    return { storage, types };
+  }
+}
+
+module.exports = new VyperCompilerService();
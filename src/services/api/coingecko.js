@@ -109,7 +109,7 @@ class CoinGeckoService {
     if (cached) return cached;
 
     try {
-      const data = await this.makeRequest(`/coins/${coinId}`, {
+      const data = await this.makeRequest(`/coins/${encodeURIComponent(coinId)}`, {
         localization: false,
         tickers: false,
         market_data: true,
@@ -288,7 +288,7 @@ class CoinGeckoService {
 
   async getCoinHistory(coinId, days = 30) {
     try {
-      const data = await this.makeRequest(`/coins/${coinId}/market_chart`, {
+      const data = await this.makeRequest(`/coins/${encodeURIComponent(coinId)}/market_chart`, {
         vs_currency: 'usd',
         days,
         interval: days > 30 ? 'daily' : 'hourly',
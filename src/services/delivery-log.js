@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Headers worth keeping to tell deliveries apart; signatures are not stored
+const STORED_HEADERS = [
+  'x-github-event',
+  'x-github-delivery',
+  'x-github-hook-id',
+  'x-github-hook-installation-target-id',
+  'x-github-hook-installation-target-type',
+  'user-agent',
+  'content-type',
+  'content-length',
+];
+
+// Runs kept per delivery, so a redelivery loop cannot grow a record without bound
+const MAX_RUNS = 50;
+
+const PAYLOAD_SUFFIX = '.payload.json';
+
+class DeliveryLog {
+  constructor() {
+    this.dir = config.deliveries.dir;
+    this.retentionMs = config.deliveries.retentionDays * 24 * 60 * 60 * 1000;
+    this.maxEntries = config.deliveries.maxEntries;
+
+    // Delivery metadata by id; payloads stay on disk
+    this.deliveries = new Map();
+    this.pruneTimer = null;
+    this.loaded = false;
+  }
+
+  load() {
+    if (this.loaded) return;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json') || file.endsWith(PAYLOAD_SUFFIX)) continue;
+
+      try {
+        const { payload, ...delivery } = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        // Records written before payloads had their own file keep them inline; they are moved out once
+        if (payload !== undefined) {
+          this.writeFileSync(this.getPayloadPath(delivery.id), payload);
+          this.writeSync(delivery);
+        }
+        this.deliveries.set(delivery.id, delivery);
+      } catch (error) {
+        logger.error(`Skipping unreadable delivery log file ${file}:`, error);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  start() {
+    this.load();
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.pruneTimer);
+  }
+
+  // Logging never fails a delivery, so storage errors are only reported
+  record({ id, event, headers = {}, payload, status }) {
+    try {
+      this.load();
+
+      const delivery = {
+        id,
+        event,
+        action: payload.action || null,
+        repository: payload.repository?.full_name || null,
+        installationId: payload.installation?.id || null,
+        headers: Object.fromEntries(STORED_HEADERS.filter(name => headers[name]).map(name => [name, headers[name]])),
+        status,
+        receivedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        runs: [],
+      };
+
+      // The payload gets its own file so recording runs never rewrites it
+      this.writeFileSync(this.getPayloadPath(id), payload);
+      this.writeSync(delivery);
+      this.deliveries.set(id, delivery);
+      return delivery;
+    } catch (error) {
+      logger.error(`Failed to record delivery ${id}:`, error);
+      return null;
+    }
+  }
+
+  // Appends one handler run: { source, outcome, durationMs, error, dryRun, ... }
+  addRun(id, run) {
+    const delivery = this.deliveries.get(id);
+    if (!delivery) return null;
+
+    try {
+      const entry = { at: new Date().toISOString(), ...run };
+      delivery.runs = [...delivery.runs, entry].slice(-MAX_RUNS);
+      // Dry runs leave the delivery's own outcome alone
+      if (!run.dryRun) {
+        delivery.status = run.outcome;
+      }
+      delivery.updatedAt = entry.at;
+
+      this.writeSync(delivery);
+      return entry;
+    } catch (error) {
+      logger.error(`Failed to update delivery ${id}:`, error);
+      return null;
+    }
+  }
+
+  get(id, { includePayload = false } = {}) {
+    this.load();
+
+    const delivery = this.deliveries.get(id);
+    if (!delivery) return null;
+
+    return includePayload ? { ...delivery, payload: this.readPayload(id) } : { ...delivery };
+  }
+
+  // Newest first; filters match exactly, repository case-insensitively
+  list({ event, action, repository, status, installationId, limit = 50 } = {}) {
+    this.load();
+
+    return Array.from(this.deliveries.values())
+      .filter(delivery => !event || delivery.event === event)
+      .filter(delivery => !action || delivery.action === action)
+      .filter(delivery => !repository || delivery.repository?.toLowerCase() === repository.toLowerCase())
+      .filter(delivery => !status || delivery.status === status)
+      .filter(delivery => !installationId || String(delivery.installationId) === String(installationId))
+      .sort((a, b) => Date.parse(b.receivedAt) - Date.parse(a.receivedAt))
+      .slice(0, limit)
+      .map(({ runs, ...delivery }) => ({ ...delivery, runCount: runs.length, lastRun: runs[runs.length - 1] || null }));
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    const byAge = Array.from(this.deliveries.values())
+      .sort((a, b) => Date.parse(a.receivedAt) - Date.parse(b.receivedAt));
+    const overflow = Math.max(byAge.length - this.maxEntries, 0);
+    let pruned = 0;
+
+    byAge.forEach((delivery, index) => {
+      if (index < overflow || Date.parse(delivery.receivedAt) < cutoff) {
+        fs.rmSync(this.getFilePath(delivery.id), { force: true });
+        fs.rmSync(this.getPayloadPath(delivery.id), { force: true });
+        this.deliveries.delete(delivery.id);
+        pruned++;
+      }
+    });
+
+    if (pruned > 0) {
+      logger.info(`Pruned ${pruned} webhook deliveries from the log`);
+    }
+  }
+
+  readPayload(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this.getPayloadPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  writeSync(delivery) {
+    this.writeFileSync(this.getFilePath(delivery.id), delivery);
+  }
+
+  // Written to a temporary file first so a crash never leaves a half-written record
+  writeFileSync(file, value) {
+    const temp = `${file}.${process.pid}.tmp`;
+
+    fs.writeFileSync(temp, JSON.stringify(value));
+    fs.renameSync(temp, file);
+  }
+
+  getFilePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  getPayloadPath(id) {
+    return path.join(this.dir, `${id}${PAYLOAD_SUFFIX}`);
+  }
+}
+
+module.exports = new DeliveryLog();
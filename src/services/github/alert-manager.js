@@ -0,0 +1,310 @@
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const repoConfig = require('./repo-config');
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+const TITLES = {
+  high_gas_price: 'High gas price',
+  high_deployment_activity: 'High deployment activity',
+  pump: 'Market-wide pump',
+  dump: 'Market-wide dump',
+  strong_uptrend: 'Strong Bitcoin uptrend',
+  strong_downtrend: 'Strong Bitcoin downtrend',
+  high_volatility: 'High Bitcoin volatility',
+  high_whale_activity: 'High whale activity',
+};
+
+// Hidden in every alert issue so open issues are found again after a restart
+const MARKER_PATTERN = /<!-- crypto-intel-alert key=(\S+) source=(\S+) -->/;
+
+class AlertManager {
+  constructor() {
+    // Tracked alerts by repository, then by alert key; a missing repository has not been loaded yet
+    this.issues = new Map();
+    // Repositories that opted in, with their settings, recorded whenever their configuration is loaded
+    this.repositories = new Map();
+    this.discovery = null;
+    repoConfig.onLoad((installationId, owner, repo, { config: settings }) => {
+      this.track(installationId, owner, repo, settings);
+    });
+    // Sources report on their own schedules; one run at a time keeps the issue bookkeeping consistent
+    this.queue = Promise.resolve();
+  }
+
+  // Alerts a source reported in one run; tracked alerts of that source missing from it have cleared.
+  // Sources whose alerts depend on repository settings pass a function of the settings instead of a list.
+  // Sources that watch several networks list the ones they could read, so a failed network clears nothing
+  processAlerts(source, alerts, githubApp, observedNetworks = null) {
+    const run = this.queue.then(() => this.reconcileAll(source, alerts, githubApp, observedNetworks));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async reconcileAll(source, alerts, githubApp, observedNetworks = null) {
+    await this.discover(githubApp);
+    const summary = { repositories: 0, opened: 0, updated: 0, closed: 0 };
+
+    for (const { installationId, owner, repo, settings } of Array.from(this.repositories.values())) {
+      try {
+        const octokit = await githubApp.getInstallationOctokit(installationId);
+        const reported = typeof alerts === 'function' ? alerts(settings) : alerts;
+        const result = await this.reconcile(
+          octokit, owner, repo, source, this.filterAlerts(reported, settings), settings.alerts, Date.now(), observedNetworks
+        );
+        summary.repositories++;
+        summary.opened += result.opened;
+        summary.updated += result.updated;
+        summary.closed += result.closed;
+      } catch (error) {
+        logger.error(`Failed to update ${source} alert issues for ${owner}/${repo}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  async reconcile(octokit, owner, repo, source, alerts, settings, now = Date.now(), observedNetworks = null) {
+    const tracked = await this.loadIssues(octokit, owner, repo, settings);
+    const result = { opened: 0, updated: 0, closed: 0 };
+
+    for (const alert of alerts) {
+      const key = this.getAlertKey(alert);
+      const entry = tracked.get(key);
+
+      if (!entry) {
+        tracked.set(key, await this.openIssue(octokit, owner, repo, source, alert, settings, now));
+        result.opened++;
+        continue;
+      }
+
+      const recurred = entry.clearedSince !== null;
+      const escalated = SEVERITIES.indexOf(alert.severity) > SEVERITIES.indexOf(entry.severity);
+      entry.lastSeen = now;
+      entry.clearedSince = null;
+      if (!recurred && !escalated) continue;
+
+      entry.occurrences += recurred ? 1 : 0;
+      entry.severity = escalated ? alert.severity : entry.severity;
+
+      // Somebody closed the issue while the alert was quiet; it comes back as a new one
+      if (!await this.isOpen(octokit, owner, repo, entry.issueNumber)) {
+        tracked.set(key, await this.openIssue(octokit, owner, repo, source, alert, settings, now));
+        result.opened++;
+        continue;
+      }
+
+      await octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: entry.issueNumber,
+        body: recurred
+          ? `🔁 **Alert recurred** (occurrence ${entry.occurrences}): ${alert.message}`
+          : `⬆️ **Severity raised to ${alert.severity}:** ${alert.message}`,
+      });
+      logger.githubAction('alert_issue_updated', owner, repo, { key, issue: entry.issueNumber, recurred, escalated });
+      result.updated++;
+    }
+
+    const active = new Set(alerts.map(alert => this.getAlertKey(alert)));
+    for (const [key, entry] of tracked) {
+      if (entry.source !== source || active.has(key)) continue;
+      if (observedNetworks && !observedNetworks.includes(this.getKeyNetwork(key))) continue;
+
+      entry.clearedSince = entry.clearedSince ?? now;
+      if (now - entry.clearedSince < settings.resolveAfterMinutes * 60 * 1000) continue;
+
+      await this.closeIssue(octokit, owner, repo, entry, settings);
+      tracked.delete(key);
+      result.closed++;
+    }
+
+    return result;
+  }
+
+  async openIssue(octokit, owner, repo, source, alert, settings, now) {
+    const key = this.getAlertKey(alert);
+
+    const { data: issue } = await octokit.rest.issues.create({
+      owner,
+      repo,
+      title: this.formatTitle(alert),
+      body: this.formatIssueBody(key, source, alert, now, settings.resolveAfterMinutes),
+      labels: settings.labels,
+    });
+
+    logger.githubAction('alert_issue_opened', owner, repo, { key, issue: issue.number, severity: alert.severity });
+    return this.createEntry(key, source, issue.number, alert.severity, now);
+  }
+
+  async closeIssue(octokit, owner, repo, entry, settings) {
+    if (await this.isOpen(octokit, owner, repo, entry.issueNumber)) {
+      await octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: entry.issueNumber,
+        body: `✅ **Alert cleared** at ${new Date(entry.clearedSince).toISOString()} and has not recurred ` +
+          `for ${settings.resolveAfterMinutes} minutes. Closing.`,
+      });
+      await octokit.rest.issues.update({
+        owner,
+        repo,
+        issue_number: entry.issueNumber,
+        state: 'closed',
+        state_reason: 'completed',
+      });
+    }
+
+    logger.githubAction('alert_issue_closed', owner, repo, { key: entry.key, issue: entry.issueNumber });
+  }
+
+  async isOpen(octokit, owner, repo, issueNumber) {
+    const { data: issue } = await octokit.rest.issues.get({ owner, repo, issue_number: issueNumber });
+    return issue.state === 'open';
+  }
+
+  // Tracking starts from the open alert issues, so a restart comments on them instead of opening duplicates
+  async loadIssues(octokit, owner, repo, settings) {
+    const repoKey = `${owner}/${repo}`;
+
+    if (!this.issues.has(repoKey)) {
+      const issues = await octokit.paginate(octokit.rest.issues.listForRepo, {
+        owner,
+        repo,
+        state: 'open',
+        labels: settings.labels[0],
+        per_page: 100,
+      });
+
+      const tracked = new Map();
+      for (const issue of issues) {
+        const match = !issue.pull_request && MARKER_PATTERN.exec(issue.body || '');
+        if (!match || tracked.has(match[1])) continue;
+
+        tracked.set(match[1], this.createEntry(match[1], match[2], issue.number, this.parseSeverity(issue.body),
+          Date.parse(issue.created_at)));
+      }
+      this.issues.set(repoKey, tracked);
+    }
+
+    return this.issues.get(repoKey);
+  }
+
+  createEntry(key, source, issueNumber, severity, now) {
+    return {
+      key,
+      source,
+      issueNumber,
+      severity,
+      firstSeen: now,
+      lastSeen: now,
+      clearedSince: null,
+      occurrences: 1,
+    };
+  }
+
+  // Keeps the alerts the repository asked for, one per key with the highest severity
+  filterAlerts(alerts, settings) {
+    const { types, minSeverity } = settings.alerts;
+    const byKey = new Map();
+
+    for (const alert of alerts || []) {
+      if (types.length > 0 && !types.includes(alert.type)) continue;
+      if (alert.network && !settings.networks.includes(alert.network)) continue;
+      if (SEVERITIES.indexOf(alert.severity) < SEVERITIES.indexOf(minSeverity)) continue;
+
+      const key = this.getAlertKey(alert);
+      const existing = byKey.get(key);
+      if (!existing || SEVERITIES.indexOf(alert.severity) > SEVERITIES.indexOf(existing.severity)) {
+        byKey.set(key, alert);
+      }
+    }
+
+    return Array.from(byKey.values());
+  }
+
+  // Market-wide alerts have no network and share one issue per type
+  getAlertKey(alert) {
+    return `${alert.type}:${alert.network || 'global'}`;
+  }
+
+  getKeyNetwork(key) {
+    return key.substring(key.indexOf(':') + 1);
+  }
+
+  formatTitle(alert) {
+    const title = TITLES[alert.type] || alert.type.replace(/_/g, ' ').replace(/^./, c => c.toUpperCase());
+    const network = alert.network && (config.blockchain.networks[alert.network]?.name || alert.network);
+    return `Crypto Intel alert: ${title}${network ? ` on ${network}` : ''}`;
+  }
+
+  formatIssueBody(key, source, alert, now, resolveAfterMinutes) {
+    return [
+      `<!-- crypto-intel-alert key=${key} source=${source} -->`,
+      `**${alert.message}**`,
+      '',
+      '| | |',
+      '|---|---|',
+      `| Severity | ${alert.severity} |`,
+      `| Network | ${alert.network || 'all'} |`,
+      `| First seen | ${new Date(now).toISOString()} |`,
+      '',
+      `Recurrences are added as comments. This issue is closed automatically once the alert has been clear for ${resolveAfterMinutes} minutes.`,
+    ].join('\n');
+  }
+
+  parseSeverity(body) {
+    const match = /\| Severity \| (\w+) \|/.exec(body || '');
+    return match && SEVERITIES.includes(match[1]) ? match[1] : 'medium';
+  }
+
+  // An invalid configuration has no settings, so the repository is left out until it is fixed
+  track(installationId, owner, repo, settings) {
+    const repoKey = `${owner}/${repo}`;
+
+    if (settings?.alerts.enabled) {
+      this.repositories.set(repoKey, { installationId, owner, repo, settings });
+    } else {
+      this.repositories.delete(repoKey);
+    }
+  }
+
+  // Webhooks keep the opted-in repositories current; once after a start, every accessible repository's
+  // configuration is loaded so repositories without recent activity are found too
+  discover(githubApp) {
+    if (!this.discovery) {
+      this.discovery = this.loadConfigurations(githubApp).catch(error => {
+        this.discovery = null;
+        throw error;
+      });
+    }
+    return this.discovery;
+  }
+
+  async loadConfigurations(githubApp) {
+    for await (const { octokit, installation } of githubApp.eachInstallation.iterator()) {
+      const accessible = await octokit.paginate(octokit.rest.apps.listReposAccessibleToInstallation, { per_page: 100 });
+      for (const repository of accessible) {
+        if (repository.archived) continue;
+
+        const [owner, repo] = repository.full_name.split('/');
+        try {
+          await repoConfig.getConfig(octokit, installation.id, owner, repo);
+        } catch (error) {
+          logger.error(`Failed to load the configuration of ${owner}/${repo}:`, error);
+        }
+      }
+    }
+  }
+
+  getTrackedAlerts(owner, repo) {
+    return Array.from(this.issues.get(`${owner}/${repo}`)?.values() || []).map(entry => ({ ...entry }));
+  }
+
+  purgeRepository(owner, repo) {
+    this.issues.delete(`${owner}/${repo}`);
+    this.repositories.delete(`${owner}/${repo}`);
+  }
+}
+
+module.exports = new AlertManager();
@@ -0,0 +1,624 @@
+const { ethers } = require('ethers');
+const Joi = require('joi');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const coingecko = require('../api/coingecko');
+const arkhamIntel = require('../api/arkham-intel');
+const gasEstimation = require('../monitoring/gas-estimation');
+const networkMonitoring = require('../monitoring/network-monitoring');
+const { extractCommands: parseCommands } = require('../../utils/command-parser');
+
+const BOT_MENTION = '@crypto-intel-bot';
+const SLASH_COMMAND = '/crypto-intel';
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const EVM_TX_HASH = /^0x[0-9a-fA-F]{64}$/;
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const SOLANA_SIGNATURE = /^[1-9A-HJ-NP-Za-km-z]{64,88}$/;
+const HEX_DATA = /^0x(?:[0-9a-fA-F]{2})*$/;
+const COIN_ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Network keys, chain IDs and display names all resolve to the configured network key
+const network = Joi.string().custom((value, helpers) => {
+  const networks = config.blockchain.networks;
+  const query = value.toLowerCase();
+  const name = Object.keys(networks).find(key =>
+    key === query || String(networks[key].chainId) === query || networks[key].name.toLowerCase() === query
+  );
+  return name || helpers.error('network.unknown');
+}).messages({
+  'network.unknown': `{{#label}} must be one of ${Object.keys(config.blockchain.networks).join(', ')}`,
+});
+
+// Arguments can be given in order or as `--name value`; options only as flags.
+// `permission` is the lowest repository role that may run a command: anyone who can comment has
+// read, so commands that fan out to compilers, paid APIs or RPC polling ask for more
+const COMMANDS = {
+  analyze: {
+    description: 'Compile a branch and report its gas usage, optionally priced on a network',
+    permission: 'write',
+    options: {
+      ref: Joi.string().max(255).description('branch, tag or commit to analyze (default branch if omitted)'),
+      network: network.description('network to price deployments on'),
+    },
+  },
+  monitor: {
+    description: 'Activate network monitoring or show the monitored networks',
+    permission: 'write',
+    subcommands: {
+      start: { description: 'Activate network monitoring for this repository' },
+      status: { description: 'Show block height and gas price of the monitored networks', permission: 'triage' },
+    },
+    defaultSubcommand: 'start',
+  },
+  status: { description: 'Show the status of all services', permission: 'triage' },
+  price: {
+    description: 'Current price and 24h market data, e.g. `price eth --vs eur`',
+    permission: 'read',
+    args: {
+      coin: Joi.string().required().description('CoinGecko ID, symbol or name'),
+      vs: Joi.string().lowercase().default('usd').description('quote currency'),
+    },
+  },
+  gas: {
+    description: 'Current gas prices on one or all networks',
+    permission: 'read',
+    args: { network },
+  },
+  estimate: {
+    description: 'Estimate the gas and cost of a call',
+    permission: 'triage',
+    args: {
+      to: Joi.string().pattern(EVM_ADDRESS).required()
+        .messages({ 'string.pattern.base': '{{#label}} must be a 0x-prefixed 20-byte address' }),
+      data: Joi.string().pattern(HEX_DATA).required()
+        .messages({ 'string.pattern.base': '{{#label}} must be 0x-prefixed hex call data' }),
+      network: network.default('ethereum'),
+    },
+    options: {
+      value: Joi.string().pattern(/^\d+(?:\.\d+)?$/).default('0')
+        .messages({ 'string.pattern.base': '{{#label}} must be an amount of the native token, e.g. 0.1' })
+        .description('native token amount sent with the call'),
+    },
+  },
+  address: {
+    description: 'Labels, balance and contract details of an address',
+    permission: 'triage',
+    args: {
+      address: Joi.string().required(),
+      chain: network.default('ethereum'),
+    },
+    aliases: { network: 'chain' },
+  },
+  tx: {
+    description: 'Status, transfers and risk insights of a transaction',
+    permission: 'triage',
+    args: {
+      hash: Joi.string().required(),
+      chain: network.default('ethereum'),
+    },
+    aliases: { network: 'chain' },
+  },
+  help: {
+    description: 'List the available commands or explain one',
+    permission: 'read',
+    args: { command: Joi.string().lowercase() },
+  },
+};
+
+class BotCommandService {
+  getCommandNames() {
+    return Object.keys(COMMANDS);
+  }
+
+  isKnownCommand(cmd) {
+    return Object.prototype.hasOwnProperty.call(COMMANDS, cmd);
+  }
+
+  mentionsBot(body) {
+    return parseCommands(body || '', { mention: BOT_MENTION, slash: SLASH_COMMAND }).length > 0;
+  }
+
+  // Returns { name, subcommand, params } per command, or { name, error } when it cannot be run as written
+  parse(body) {
+    return parseCommands(body || '', { mention: BOT_MENTION, slash: SLASH_COMMAND }).map(({ name, tokens, error }) => {
+      if (error || !this.isKnownCommand(name)) {
+        return { name, error: error || null, params: {} };
+      }
+
+      try {
+        return { name, ...this.parseArguments(name, tokens) };
+      } catch (parseError) {
+        return { name, error: parseError.message, params: {} };
+      }
+    });
+  }
+
+  parseArguments(name, tokens) {
+    const definition = COMMANDS[name];
+    const remaining = [...tokens];
+    let subcommand = null;
+
+    if (definition.subcommands) {
+      subcommand = remaining[0] && definition.subcommands[remaining[0].toLowerCase()]
+        ? remaining.shift().toLowerCase()
+        : definition.defaultSubcommand;
+      if (!subcommand) {
+        throw new Error(`Choose one of: ${Object.keys(definition.subcommands).join(', ')}`);
+      }
+    }
+
+    const schemas = { ...(definition.args || {}), ...(definition.options || {}) };
+    const positional = Object.keys(definition.args || {});
+    const values = {};
+    const extra = [];
+
+    while (remaining.length > 0) {
+      const token = remaining.shift();
+      const flag = token.match(/^--([a-z][\w-]*)(?:=(.*))?$/i);
+
+      if (!flag) {
+        extra.push(token);
+        continue;
+      }
+
+      const key = this.toParamName(definition, flag[1]);
+      if (!schemas[key]) {
+        throw new Error(`Unknown option \`--${flag[1]}\``);
+      }
+
+      if (flag[2] !== undefined) {
+        values[key] = flag[2];
+      } else if (schemas[key].type === 'boolean') {
+        values[key] = true;
+      } else if (remaining.length > 0 && !remaining[0].startsWith('--')) {
+        values[key] = remaining.shift();
+      } else {
+        throw new Error(`Option \`--${flag[1]}\` needs a value`);
+      }
+    }
+
+    // Positional words fill the arguments not already given as flags, in order
+    const open = positional.filter(key => values[key] === undefined);
+    if (extra.length > open.length) {
+      throw new Error(`Unexpected argument \`${extra[open.length]}\``);
+    }
+    extra.forEach((value, index) => { values[open[index]] = value; });
+
+    const { value, error } = Joi.object(schemas).validate(values, {
+      abortEarly: true,
+      errors: { wrap: { label: '`' } },
+    });
+    if (error) {
+      throw new Error(error.details[0].message);
+    }
+
+    return { subcommand, params: value };
+  }
+
+  toParamName(definition, flag) {
+    const key = flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    return definition.aliases?.[key] || key;
+  }
+
+  getUsage(name) {
+    const definition = COMMANDS[name];
+    const args = Object.entries(definition.args || {})
+      .map(([key, schema]) => (this.isRequired(schema) ? `<${key}>` : `[${key}]`));
+    const options = Object.keys(definition.options || {}).map(key => `[--${key} <${key}>]`);
+    const subcommands = definition.subcommands ? [`[${Object.keys(definition.subcommands).join('|')}]`] : [];
+
+    return [BOT_MENTION, name, ...subcommands, ...args, ...options].join(' ');
+  }
+
+  isRequired(schema) {
+    return schema.describe().flags?.presence === 'required';
+  }
+
+  // Per-repository overrides in `commands.permissions` replace the command's default, subcommands included
+  getRequiredPermission(name, subcommand = null, overrides = {}) {
+    const definition = COMMANDS[name];
+    if (overrides[name]) return overrides[name];
+
+    return definition.subcommands?.[subcommand]?.permission || definition.permission;
+  }
+
+  formatPermissionDenied(name, subcommand, required, user) {
+    const command = subcommand ? `${name} ${subcommand}` : name;
+    return `🔒 Sorry @${user}, \`${command}\` can only be run by people with **${required}** access to this repository. ` +
+      'Ask a maintainer to run it for you.';
+  }
+
+  formatUsageError(name, error) {
+    return `❌ ${error}\n\nUsage: \`${this.getUsage(name)}\`\n\nSee \`${BOT_MENTION} help ${name}\` for details.`;
+  }
+
+  help(enabledCommands, params = {}, permissions = {}) {
+    if (params.command) {
+      return this.helpCommand(params.command, enabledCommands, permissions);
+    }
+
+    const rows = Object.entries(COMMANDS)
+      .filter(([name]) => enabledCommands.includes(name))
+      .map(([name, command]) =>
+        `| \`${this.getUsage(name)}\` | ${command.description} | ${this.getRequiredPermission(name, null, permissions)} |`);
+
+    return [
+      '🤖 **Crypto Intel commands**',
+      '',
+      '| Command | Description | Access |',
+      '|---|---|---|',
+      ...rows,
+      '',
+      `Commands can also be written as \`${SLASH_COMMAND} <command>\` at the start of a line. ` +
+        'Arguments can be passed in order or as `--name value`; quote values that contain spaces.',
+      '',
+      `Networks: ${Object.keys(config.blockchain.networks).map(key => `\`${key}\``).join(', ')}`,
+    ].join('\n');
+  }
+
+  helpCommand(name, enabledCommands, permissions = {}) {
+    if (!this.isKnownCommand(name) || !enabledCommands.includes(name)) {
+      throw new Error(`Unknown command \`${name}\`. Available commands: ${enabledCommands.join(', ')}`);
+    }
+
+    const definition = COMMANDS[name];
+    const describe = ([key, schema]) => {
+      const { flags = {} } = schema.describe();
+      const note = flags.presence === 'required' ? ''
+        : flags.default !== undefined ? ` (default \`${flags.default}\`)` : ' (optional)';
+      return `- \`${key}\`${note}${flags.description ? `: ${flags.description}` : ''}`;
+    };
+    const lines = [
+      `🤖 \`${this.getUsage(name)}\``,
+      '',
+      definition.description,
+      '',
+      `**Requires:** ${this.getRequiredPermission(name, definition.defaultSubcommand, permissions)} access`,
+    ];
+
+    if (definition.subcommands) {
+      lines.push('', '**Subcommands:**', ...Object.entries(definition.subcommands)
+        .map(([key, subcommand]) => `- \`${key}\`${key === definition.defaultSubcommand ? ' (default)' : ''}: ` +
+          `${subcommand.description} (${this.getRequiredPermission(name, key, permissions)} access)`));
+    }
+    if (definition.args) {
+      lines.push('', '**Arguments:**', ...Object.entries(definition.args).map(describe));
+    }
+    if (definition.options) {
+      lines.push('', '**Options:**', ...Object.entries(definition.options).map(describe));
+    }
+
+    return lines.join('\n');
+  }
+
+  async price({ coin: query, vs: currency }) {
+    const coin = await this.resolveCoin(query);
+    const market = coin.market_data || {};
+    const price = market.current_price?.[currency];
+
+    if (price === undefined) {
+      throw new Error(`CoinGecko has no \`${currency.toUpperCase()}\` price for ${coin.name}`);
+    }
+
+    const change = market.price_change_percentage_24h;
+    const low = market.low_24h?.[currency];
+    const high = market.high_24h?.[currency];
+    const marketCap = market.market_cap?.[currency];
+    const volume = market.total_volume?.[currency];
+    const rows = [
+      ['Price', this.formatMoney(price, currency)],
+      typeof change === 'number' && ['24h change', `${change >= 0 ? '📈 +' : '📉 '}${change.toFixed(2)}%`],
+      low !== undefined && high !== undefined &&
+        ['24h range', `${this.formatMoney(low, currency)} – ${this.formatMoney(high, currency)}`],
+      marketCap !== undefined &&
+        ['Market cap', `${this.formatMoney(marketCap, currency)}${coin.market_cap_rank ? ` (rank #${coin.market_cap_rank})` : ''}`],
+      volume !== undefined && ['24h volume', this.formatMoney(volume, currency)],
+    ].filter(Boolean);
+
+    return [
+      `💰 **${coin.name} (${coin.symbol.toUpperCase()})**`,
+      '',
+      '| | |',
+      '|---|---:|',
+      ...rows.map(([label, value]) => `| ${label} | ${value} |`),
+      '',
+      `[View on CoinGecko](https://www.coingecko.com/en/coins/${coin.id})` +
+        (market.last_updated ? ` · updated ${market.last_updated}` : ''),
+    ].join('\n');
+  }
+
+  // Accepts CoinGecko IDs (`ethereum`) as well as symbols and names (`eth`, `Ether`)
+  async resolveCoin(query) {
+    const id = query.toLowerCase();
+
+    // Only something shaped like a CoinGecko ID is looked up directly; anything else goes through search
+    if (COIN_ID_PATTERN.test(id)) {
+      try {
+        return await coingecko.getCoinData(id);
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+
+    const { coins = [] } = await coingecko.searchCoins(query);
+    const rank = (coin) => coin.market_cap_rank || Number.MAX_SAFE_INTEGER;
+    const match = coins
+      .filter(coin => coin.symbol.toLowerCase() === id || coin.name.toLowerCase() === id)
+      .sort((a, b) => rank(a) - rank(b))[0] || coins[0];
+
+    if (!match) throw new Error(`No coin found for \`${query}\``);
+    return coingecko.getCoinData(match.id);
+  }
+
+  async gas({ network: name }) {
+    if (name) {
+      this.requireEvm(name);
+      const gasData = await gasEstimation.getGasPrice(name);
+      const rows = [
+        ['Gas price', gasData.gasPrice],
+        ['Base fee', gasData.baseFee],
+        ['Max fee', gasData.maxFeePerGas],
+        ['Priority fee', gasData.maxPriorityFeePerGas],
+      ].filter(([, value]) => value !== null);
+
+      return [
+        `⛽ **Gas on ${this.getNetworkName(name)}**`,
+        '',
+        '| | gwei |',
+        '|---|---:|',
+        ...rows.map(([label, value]) => `| ${label} | ${this.formatGwei(value)} |`),
+      ].join('\n');
+    }
+
+    const prices = (await gasEstimation.getAllNetworkGasPrices())
+      .filter(gasData => this.isEvmNetwork(gasData.network));
+
+    if (prices.length === 0) {
+      return '⛽ _No networks are configured for gas price lookups._';
+    }
+
+    return [
+      '⛽ **Current gas prices**',
+      '',
+      '| Network | Gas price (gwei) | Priority fee (gwei) |',
+      '|---|---:|---:|',
+      ...prices.map(gasData => gasData.error
+        ? `| ${this.getNetworkName(gasData.network)} | _unavailable_ | |`
+        : `| ${this.getNetworkName(gasData.network)} | ${this.formatGwei(gasData.gasPrice)} | ` +
+          `${gasData.maxPriorityFeePerGas === null ? '—' : this.formatGwei(gasData.maxPriorityFeePerGas)} |`),
+    ].join('\n');
+  }
+
+  async estimate({ to, data, network: name, value }) {
+    this.requireEvm(name);
+    const estimate = await gasEstimation.estimateTransactionCost(to, data, value, name);
+    const currency = config.blockchain.networks[name].currency;
+    const { legacy, eip1559 } = estimate.estimatedCosts;
+
+    const lines = [
+      `🧮 **Call estimate on ${this.getNetworkName(name)}**`,
+      '',
+      `To: ${this.formatLink(name, 'address', to)}` +
+        (data.length > 2 ? ` · selector \`${data.substring(0, 10)}\`` : '') +
+        (parseFloat(value) > 0 ? ` · value ${this.formatAmount(value)} ${currency}` : ''),
+      '',
+      '| | |',
+      '|---|---:|',
+      `| Gas limit | ${Number(estimate.gasLimit).toLocaleString('en-US')} |`,
+    ];
+
+    if (legacy) {
+      lines.push(`| Cost at ${this.formatGwei(legacy.gasPrice)} gwei | ${this.formatAmount(legacy.costEth)} ${currency} |`);
+    }
+    if (eip1559) {
+      lines.push(`| Max cost at ${this.formatGwei(eip1559.maxFeePerGas)} gwei | ${this.formatAmount(eip1559.maxCostEth)} ${currency} |`);
+    }
+
+    return lines.join('\n');
+  }
+
+  async monitorStatus(networks) {
+    const results = await Promise.allSettled(
+      networks
+        .filter(name => this.isEvmNetwork(name) && networkMonitoring.providers[name])
+        .map(name => networkMonitoring.getNetworkStatus(name))
+    );
+    const statuses = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+    if (statuses.length === 0) {
+      return '📡 _None of the monitored networks are reachable._';
+    }
+
+    return [
+      '📡 **Monitored networks**',
+      '',
+      '| Network | Block | Gas price (gwei) |',
+      '|---|---:|---:|',
+      ...statuses.map(status => `| ${this.getNetworkName(status.network)} | ` +
+        `${status.blockNumber.toLocaleString('en-US')} | ${status.gasPrice ? this.formatGwei(status.gasPrice) : '—'} |`),
+      ...(statuses.length < results.length ? ['', `_${results.length - statuses.length} network(s) unavailable._`] : []),
+    ].join('\n');
+  }
+
+  // Prices each contract's deployment gas at the network's current gas price
+  async formatDeploymentCosts(analysis, network) {
+    this.requireEvm(network);
+    const gasData = await gasEstimation.getGasPrice(network);
+    const gasPrice = gasData.gasPrice && ethers.parseUnits(gasData.gasPrice, 'gwei');
+    const currency = config.blockchain.networks[network].currency;
+    const contracts = analysis.contracts.filter(contract => contract.deploymentGas !== null);
+
+    if (!gasPrice || contracts.length === 0) return null;
+
+    return [
+      `**Deployment cost on ${this.getNetworkName(network)}** at ${this.formatGwei(gasData.gasPrice)} gwei`,
+      '',
+      `| Contract | Cost (${currency}) |`,
+      '|---|---:|',
+      ...contracts.map(contract =>
+        `| \`${contract.name}\` | ${this.formatAmount(ethers.formatEther(BigInt(contract.deploymentGas) * gasPrice))} |`),
+    ].join('\n');
+  }
+
+  async address({ address, chain: network }) {
+    const evm = this.isEvmNetwork(network);
+    if (evm ? !EVM_ADDRESS.test(address) : !SOLANA_ADDRESS.test(address)) {
+      throw new Error(`\`${address}\` is not a valid ${this.getNetworkName(network)} address`);
+    }
+
+    const rows = [];
+
+    if (evm && networkMonitoring.providers[network]) {
+      try {
+        const [info, balance] = await Promise.all([
+          networkMonitoring.getAddressInfo(address, network),
+          networkMonitoring.providers[network].getBalance(address),
+        ]);
+        rows.push(['Type', info.hasCode ? 'Contract' : 'Externally owned account']);
+        if (info.contractName) rows.push(['Verified as', `\`${info.contractName}\``]);
+        rows.push(['Balance', `${this.formatAmount(ethers.formatEther(balance))} ${config.blockchain.networks[network].currency}`]);
+      } catch (error) {
+        logger.warn(`On-chain lookup failed for ${address} on ${network}: ${error.message}`);
+      }
+    }
+
+    const intel = await this.getIntel(() => arkhamIntel.analyzeAddress(address, network));
+    if (intel) {
+      const entity = intel.arkhamEntity?.name || intel.entity?.name || (typeof intel.entity === 'string' ? intel.entity : null);
+      const labels = (intel.labels || [intel.arkhamLabel].filter(Boolean))
+        .map(label => (typeof label === 'string' ? label : label.name))
+        .filter(Boolean);
+      const valueUsd = intel.totalValueUsd ?? intel.portfolio?.totalValueUsd ?? intel.balanceUsd;
+      const riskScore = intel.riskScore ?? intel.risk_score;
+
+      if (entity) rows.push(['Entity', entity]);
+      if (labels.length > 0) rows.push(['Labels', labels.join(', ')]);
+      if (valueUsd !== undefined && valueUsd !== null) rows.push(['Portfolio value', this.formatMoney(valueUsd, 'usd')]);
+      if (intel.transactionCount !== undefined) rows.push(['Transactions', Number(intel.transactionCount).toLocaleString('en-US')]);
+      if (riskScore !== undefined && riskScore !== null) rows.push(['Risk score', String(riskScore)]);
+    }
+
+    return [
+      `🔎 **Address on ${this.getNetworkName(network)}**`,
+      '',
+      this.formatLink(network, 'address', address),
+      '',
+      ...(rows.length > 0
+        ? ['| | |', '|---|---|', ...rows.map(([label, value]) => `| ${label} | ${value} |`)]
+        : ['_No details are available for this address._']),
+    ].join('\n');
+  }
+
+  async tx({ hash, chain: network }) {
+    const evm = this.isEvmNetwork(network);
+    if (evm ? !EVM_TX_HASH.test(hash) : !SOLANA_SIGNATURE.test(hash)) {
+      throw new Error(`\`${hash}\` is not a valid ${this.getNetworkName(network)} transaction hash`);
+    }
+
+    const rows = [];
+    const provider = networkMonitoring.providers[network];
+
+    if (evm && provider) {
+      try {
+        const [transaction, receipt] = await Promise.all([
+          provider.getTransaction(hash),
+          provider.getTransactionReceipt(hash),
+        ]);
+
+        if (transaction) {
+          const currency = config.blockchain.networks[network].currency;
+          rows.push(['Status', !receipt ? '⏳ Pending' : receipt.status === 1 ? '✅ Success' : '❌ Reverted']);
+          if (receipt) rows.push(['Block', receipt.blockNumber.toLocaleString('en-US')]);
+          rows.push(['From', this.formatLink(network, 'address', transaction.from)]);
+          rows.push(['To', transaction.to ? this.formatLink(network, 'address', transaction.to) : '_contract creation_']);
+          rows.push(['Value', `${this.formatAmount(ethers.formatEther(transaction.value))} ${currency}`]);
+          if (receipt) {
+            const fee = receipt.gasUsed * (receipt.gasPrice ?? transaction.gasPrice ?? 0n);
+            rows.push(['Gas used', receipt.gasUsed.toLocaleString('en-US')]);
+            rows.push(['Fee', `${this.formatAmount(ethers.formatEther(fee))} ${currency}`]);
+          }
+        } else {
+          rows.push(['Status', '_Not found on this network_']);
+        }
+      } catch (error) {
+        logger.warn(`On-chain lookup failed for ${hash} on ${network}: ${error.message}`);
+      }
+    }
+
+    const intel = await this.getIntel(() => arkhamIntel.getTransactionInsights(hash, network));
+    if (intel) {
+      const riskScore = intel.riskScore ?? intel.risk_score;
+      const transfers = intel.transfers || intel.flows || [];
+
+      if (riskScore !== undefined && riskScore !== null) rows.push(['Risk score', String(riskScore)]);
+      if (intel.summary) rows.push(['Summary', intel.summary]);
+      if (transfers.length > 0) rows.push(['Transfers', String(transfers.length)]);
+    }
+
+    return [
+      `🧾 **Transaction on ${this.getNetworkName(network)}**`,
+      '',
+      this.formatLink(network, 'tx', hash),
+      '',
+      ...(rows.length > 0
+        ? ['| | |', '|---|---|', ...rows.map(([label, value]) => `| ${label} | ${value} |`)]
+        : ['_No details are available for this transaction._']),
+    ].join('\n');
+  }
+
+  // Arkham insights are optional extras; replies still work without an API key
+  async getIntel(request) {
+    if (!arkhamIntel.apiKey) return null;
+
+    try {
+      return await request();
+    } catch (error) {
+      logger.warn(`Arkham Intel lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  requireEvm(network) {
+    if (!this.isEvmNetwork(network)) {
+      throw new Error(`${this.getNetworkName(network)} is not supported for this command`);
+    }
+  }
+
+  isEvmNetwork(network) {
+    return typeof config.blockchain.networks[network]?.chainId === 'number';
+  }
+
+  getNetworkName(network) {
+    return config.blockchain.networks[network]?.name || network;
+  }
+
+  getExplorerUrl(network, kind, id) {
+    const { explorer } = config.blockchain.networks[network];
+    // Solscan calls addresses accounts
+    const path = kind === 'address' && !this.isEvmNetwork(network) ? 'account' : kind;
+    return `${explorer}/${path}/${id}`;
+  }
+
+  formatLink(network, kind, id) {
+    const label = id.length > 20 ? `${id.substring(0, 10)}…${id.substring(id.length - 8)}` : id;
+    return `[\`${label}\`](${this.getExplorerUrl(network, kind, id)})`;
+  }
+
+  formatMoney(value, currency) {
+    if (value === undefined || value === null) return '—';
+
+    const digits = Math.abs(value) < 1 ? 6 : 2;
+    const amount = value.toLocaleString('en-US', { maximumFractionDigits: digits });
+    return currency === 'usd' ? `$${amount}` : `${amount} ${currency.toUpperCase()}`;
+  }
+
+  formatAmount(value) {
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: 6 });
+  }
+
+  formatGwei(value) {
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: 3 });
+  }
+}
+
+module.exports = new BotCommandService();
@@ -0,0 +1,177 @@
+const logger = require('../../utils/logger');
+
+// GitHub accepts at most 50 annotations per create/update request
+const ANNOTATION_BATCH_SIZE = 50;
+const MAX_SUMMARY_LENGTH = 65535;
+
+const LEVEL_RANK = {
+  notice: 1,
+  warning: 2,
+  failure: 3,
+};
+
+class CheckRunService {
+  async create(octokit, owner, repo, headSha, name) {
+    const { data } = await octokit.rest.checks.create({
+      owner,
+      repo,
+      name,
+      head_sha: headSha,
+      status: 'queued',
+    });
+
+    logger.githubAction('check_run_created', owner, repo, {
+      checkRunId: data.id,
+      headSha,
+    });
+
+    return data;
+  }
+
+  async start(octokit, owner, repo, checkRunId, title) {
+    await octokit.rest.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      status: 'in_progress',
+      started_at: new Date().toISOString(),
+      output: {
+        title,
+        summary: 'Crypto Intel analysis is running.',
+      },
+    });
+  }
+
+  async progress(octokit, owner, repo, checkRunId, title) {
+    try {
+      await octokit.rest.checks.update({
+        owner,
+        repo,
+        check_run_id: checkRunId,
+        output: {
+          title,
+          summary: 'Crypto Intel analysis is running.',
+        },
+      });
+    } catch (error) {
+      // Progress updates are best-effort; the final update carries the results
+      logger.warn('Failed to update check run progress:', error);
+    }
+  }
+
+  async complete(octokit, owner, repo, checkRunId, report, checksConfig) {
+    const conclusion = this.getConclusion(report.findings, checksConfig);
+    const annotations = this.toAnnotations(report.findings);
+    const summary = this.truncate(report.summary);
+    const title = report.title || this.getTitle(conclusion, report.findings);
+
+    // The first request completes the run, the rest append remaining annotations
+    const batches = [];
+    for (let i = 0; i < annotations.length; i += ANNOTATION_BATCH_SIZE) {
+      batches.push(annotations.slice(i, i + ANNOTATION_BATCH_SIZE));
+    }
+
+    await octokit.rest.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      status: 'completed',
+      conclusion,
+      completed_at: new Date().toISOString(),
+      output: {
+        title,
+        summary,
+        annotations: batches.shift() || [],
+      },
+    });
+
+    for (const batch of batches) {
+      await octokit.rest.checks.update({
+        owner,
+        repo,
+        check_run_id: checkRunId,
+        output: {
+          title,
+          summary,
+          annotations: batch,
+        },
+      });
+    }
+
+    logger.githubAction('check_run_completed', owner, repo, {
+      checkRunId,
+      conclusion,
+      annotations: annotations.length,
+    });
+
+    return conclusion;
+  }
+
+  async fail(octokit, owner, repo, checkRunId, error) {
+    try {
+      await octokit.rest.checks.update({
+        owner,
+        repo,
+        check_run_id: checkRunId,
+        status: 'completed',
+        conclusion: 'failure',
+        completed_at: new Date().toISOString(),
+        output: {
+          title: 'Analysis failed',
+          summary: `Crypto Intel analysis could not be completed: ${error.message}`,
+        },
+      });
+    } catch (updateError) {
+      logger.error('Failed to mark check run as failed:', updateError);
+    }
+  }
+
+  getConclusion(findings, checksConfig) {
+    const highestRank = findings.reduce(
+      (rank, finding) => Math.max(rank, LEVEL_RANK[finding.level] || 0), 0
+    );
+
+    if (checksConfig.failOn !== 'never' && highestRank >= LEVEL_RANK[checksConfig.failOn]) {
+      return 'failure';
+    }
+
+    if (checksConfig.neutralOn !== 'never' && highestRank >= LEVEL_RANK[checksConfig.neutralOn]) {
+      return 'neutral';
+    }
+
+    return 'success';
+  }
+
+  getTitle(conclusion, findings) {
+    const counts = { failure: 0, warning: 0, notice: 0 };
+    findings.forEach(finding => counts[finding.level]++);
+
+    if (conclusion === 'success' && counts.failure === 0 && counts.warning === 0) {
+      return 'No issues found';
+    }
+
+    return `${counts.failure} failure(s), ${counts.warning} warning(s), ${counts.notice} notice(s)`;
+  }
+
+  toAnnotations(findings) {
+    return findings
+      .filter(finding => finding.path)
+      .map(finding => ({
+        path: finding.path,
+        start_line: finding.line || 1,
+        end_line: finding.endLine || finding.line || 1,
+        annotation_level: finding.level,
+        title: finding.title,
+        message: finding.message,
+      }));
+  }
+
+  truncate(text) {
+    if (text.length <= MAX_SUMMARY_LENGTH) return text;
+
+    const notice = '\n\n_Output truncated._';
+    return text.substring(0, MAX_SUMMARY_LENGTH - notice.length) + notice;
+  }
+}
+
+module.exports = new CheckRunService();
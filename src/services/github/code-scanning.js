@@ -0,0 +1,79 @@
+const zlib = require('zlib');
+const logger = require('../../utils/logger');
+const repoSources = require('./repo-sources');
+const repoConfigService = require('./repo-config');
+const projectDetector = require('./project-detector');
+const solidityLint = require('../analysis/solidity-lint');
+const securityScanner = require('../analysis/security-scanner');
+const sarif = require('../analysis/sarif');
+const { version } = require('../../../package.json');
+
+class CodeScanningService {
+  async collectFindings(octokit, owner, repo, ref, repoConfig) {
+    const reader = repoSources.createReader(octokit, owner, repo, ref);
+    const project = await projectDetector.detectFromReader(reader);
+    const files = (await reader.list()).filter(file =>
+      file.endsWith('.sol') && repoConfigService.isContractFile(file, repoConfig, project)
+    );
+
+    const sources = {};
+    for (const file of files) {
+      const content = await reader.read(file);
+      if (content) sources[file] = { content };
+    }
+
+    const findings = [];
+    if (repoConfig.security.enabled) {
+      findings.push(...securityScanner.scanSources(sources, files, repoConfig.security).findings);
+    }
+    if (repoConfig.lint.enabled) {
+      findings.push(...solidityLint.lintSources(sources, files, repoConfig.lint).findings);
+    }
+
+    return { findings, sources };
+  }
+
+  // Uploads every finding for the commit, so alerts missing from a later analysis are closed by GitHub
+  async publish(octokit, owner, repo, commitSha, ref, repoConfig) {
+    if (!repoConfig.codeScanning.enabled) return null;
+
+    const { findings, sources } = await this.collectFindings(octokit, owner, repo, commitSha, repoConfig);
+    const report = sarif.build(findings, sources, {
+      toolVersion: version,
+      category: repoConfig.codeScanning.category,
+    });
+
+    return this.upload(octokit, owner, repo, commitSha, ref, report);
+  }
+
+  async upload(octokit, owner, repo, commitSha, ref, report) {
+    try {
+      const { data } = await octokit.rest.codeScanning.uploadSarif({
+        owner,
+        repo,
+        commit_sha: commitSha,
+        ref,
+        sarif: zlib.gzipSync(JSON.stringify(report)).toString('base64'),
+        tool_name: 'Crypto Intel',
+      });
+
+      logger.githubAction('sarif_uploaded', owner, repo, {
+        ref,
+        commitSha,
+        sarifId: data.id,
+        results: report.runs[0].results.length,
+      });
+
+      return data;
+    } catch (error) {
+      // Code scanning is unavailable without GitHub Advanced Security or the security_events permission
+      if (error.status === 403 || error.status === 404) {
+        logger.warn(`Code scanning upload not permitted for ${owner}/${repo}: ${error.message}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new CodeScanningService();
@@ -0,0 +1,206 @@
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const repoConfig = require('./repo-config');
+const projectDetector = require('./project-detector');
+
+const ONBOARDING_BRANCH = 'crypto-intel/onboarding';
+const ONBOARDING_TITLE = 'Configure Crypto Intel';
+// Hidden in the welcome issue so a retried installation event does not open it again
+const ONBOARDING_MARKER = '<!-- crypto-intel-onboarding -->';
+
+// Proposed on install; the commented keys are the ones most repositories tune first
+const STARTER_CONFIG = `# Crypto Intel configuration. Every key is optional; omitted keys keep their defaults.
+
+# Networks used for gas pricing, address checks and deployment monitoring
+networks: [ethereum, polygon, arbitrum, optimism]
+
+contracts:
+  # Defaults to the detected Hardhat, Foundry, Truffle, Ape or Brownie source directories
+  # paths: ['contracts/**/*.sol']
+  exclude: ['node_modules/**', 'lib/**']
+
+thresholds:
+  gasRegressionPercent: 5          # highlight gas increases above this percentage
+  # gasRegressionBudgetPercent: 15 # fail the check above this percentage
+
+checks:
+  failOn: failure     # notice | warning | failure | never
+
+commands:
+  enabled: [analyze, monitor, status, price, gas, estimate, address, tx, help]
+  # permissions:
+  #   analyze: maintain
+`;
+
+class InstallationService {
+  constructor() {
+    this.mode = config.onboarding.mode;
+    this.maxRepositories = config.onboarding.maxRepositories;
+  }
+
+  // Returns 'pull_request', 'issue' or the reason nothing was opened
+  async onboard(octokit, owner, repo) {
+    if (this.mode === 'none') return 'disabled';
+
+    const { data: repository } = await octokit.rest.repos.get({ owner, repo });
+    if (repository.archived || repository.size === 0) {
+      return 'skipped';
+    }
+
+    if (await this.hasFile(octokit, owner, repo, repoConfig.configPath)) {
+      return 'configured';
+    }
+
+    const result = this.mode === 'issue'
+      ? await this.openWelcomeIssue(octokit, owner, repo, repository.default_branch)
+      : await this.openOnboardingPullRequest(octokit, owner, repo, repository.default_branch);
+
+    logger.githubAction('onboarding', owner, repo, { mode: this.mode, result });
+    return result;
+  }
+
+  async openOnboardingPullRequest(octokit, owner, repo, defaultBranch) {
+    // An existing branch means the repository was onboarded before and the PR closed or merged
+    try {
+      await octokit.rest.git.getRef({ owner, repo, ref: `heads/${ONBOARDING_BRANCH}` });
+      return 'exists';
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+
+    const { data: base } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${defaultBranch}` });
+    await octokit.rest.git.createRef({
+      owner,
+      repo,
+      ref: `refs/heads/${ONBOARDING_BRANCH}`,
+      sha: base.object.sha,
+    });
+
+    // Without the pull request the branch would make every later attempt report 'exists'
+    try {
+      await octokit.rest.repos.createOrUpdateFileContents({
+        owner,
+        repo,
+        path: repoConfig.configPath,
+        message: `Add ${repoConfig.configPath}`,
+        content: Buffer.from(STARTER_CONFIG).toString('base64'),
+        branch: ONBOARDING_BRANCH,
+      });
+
+      const project = await this.detectProject(octokit, owner, repo, defaultBranch);
+      await octokit.rest.pulls.create({
+        owner,
+        repo,
+        title: ONBOARDING_TITLE,
+        head: ONBOARDING_BRANCH,
+        base: defaultBranch,
+        body: this.formatWelcome(project,
+          `Merge this pull request to add a starter \`${repoConfig.configPath}\`, or close it to keep the defaults.`),
+      });
+    } catch (error) {
+      await this.deleteOnboardingBranch(octokit, owner, repo);
+      throw error;
+    }
+
+    return 'pull_request';
+  }
+
+  async deleteOnboardingBranch(octokit, owner, repo) {
+    try {
+      await octokit.rest.git.deleteRef({ owner, repo, ref: `heads/${ONBOARDING_BRANCH}` });
+    } catch (error) {
+      logger.error(`Failed to delete the onboarding branch of ${owner}/${repo}:`, error);
+    }
+  }
+
+  async openWelcomeIssue(octokit, owner, repo, defaultBranch) {
+    if (await this.hasWelcomeIssue(octokit, owner, repo)) {
+      return 'exists';
+    }
+
+    const project = await this.detectProject(octokit, owner, repo, defaultBranch);
+
+    await octokit.rest.issues.create({
+      owner,
+      repo,
+      title: ONBOARDING_TITLE,
+      body: `${ONBOARDING_MARKER}\n${this.formatWelcome(project,
+        `Add \`${repoConfig.configPath}\` to tune the analysis, for example:\n\n\`\`\`yaml\n${STARTER_CONFIG}\`\`\``)}`,
+    });
+
+    return 'issue';
+  }
+
+  // Open or closed; retries follow within minutes, so the most recent issues are enough to look at
+  async hasWelcomeIssue(octokit, owner, repo) {
+    const { data: issues } = await octokit.rest.issues.listForRepo({
+      owner,
+      repo,
+      state: 'all',
+      sort: 'created',
+      direction: 'desc',
+      per_page: 100,
+    });
+
+    return issues.some(issue => !issue.pull_request && (issue.body || '').includes(ONBOARDING_MARKER));
+  }
+
+  formatWelcome(project, instructions) {
+    const detected = projectDetector.describe(project);
+
+    return [
+      '👋 **Crypto Intel is installed on this repository.**',
+      '',
+      'Pull requests that touch contracts get a `Crypto Intel` check with gas usage, lint and security findings, ' +
+        'ABI, storage layout and contract size changes, and leaked secrets.',
+      '',
+      detected ? `**Detected project:** ${detected}` : '**Detected project:** none yet; all `.sol` and `.vy` files are analyzed.',
+      '',
+      instructions,
+      '',
+      'Comment `@crypto-intel-bot help` on any issue or pull request to see the bot commands.',
+    ].join('\n');
+  }
+
+  async detectProject(octokit, owner, repo, ref) {
+    try {
+      return await projectDetector.detect(octokit, owner, repo, ref);
+    } catch (error) {
+      logger.warn(`Project detection failed for ${owner}/${repo}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async hasFile(octokit, owner, repo, path) {
+    try {
+      await octokit.rest.repos.getContent({ owner, repo, path });
+      return true;
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+  }
+
+  // Installations as GitHub reports them, authenticated as the app
+  async listInstallations(appOctokit) {
+    const installations = await appOctokit.paginate(appOctokit.rest.apps.listInstallations, { per_page: 100 });
+
+    return installations.map(installation => ({
+      id: installation.id,
+      account: installation.account?.login,
+      accountType: installation.account?.type,
+      repositorySelection: installation.repository_selection,
+      suspended: Boolean(installation.suspended_at),
+      suspendedAt: installation.suspended_at,
+      createdAt: installation.created_at,
+      updatedAt: installation.updated_at,
+    }));
+  }
+
+  async listRepositories(octokit) {
+    const repositories = await octokit.paginate(octokit.rest.apps.listReposAccessibleToInstallation, { per_page: 100 });
+    return repositories.map(repository => repository.full_name);
+  }
+}
+
+module.exports = new InstallationService();
@@ -0,0 +1,100 @@
+const logger = require('../../utils/logger');
+const { isRetryableError } = require('../../utils/errors');
+
+// GitHub repository roles, lowest first
+const LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+// Associations that never come with more than read access to the repository
+const OUTSIDE_ASSOCIATIONS = ['NONE', 'FIRST_TIMER', 'FIRST_TIME_CONTRIBUTOR', 'CONTRIBUTOR', 'MANNEQUIN'];
+
+class PermissionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  getLevels() {
+    return LEVELS;
+  }
+
+  isValidLevel(level) {
+    return LEVELS.includes(level);
+  }
+
+  satisfies(permission, required) {
+    return LEVELS.indexOf(permission) >= LEVELS.indexOf(required);
+  }
+
+  // Resolves a commenter's role on the repository, using the comment's author_association to
+  // skip the collaborators API where it already settles the answer
+  async getPermission(octokit, owner, repo, user, association) {
+    if (association === 'OWNER') {
+      return 'admin';
+    }
+    if (!user?.login || OUTSIDE_ASSOCIATIONS.includes(association)) {
+      return 'read';
+    }
+
+    const cacheKey = `permission-${owner}/${repo}-${user.login.toLowerCase()}`;
+    const cached = this.getCachedData(cacheKey, 5 * 60 * 1000); // 5 minute cache
+
+    if (cached) return cached;
+
+    try {
+      const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({
+        owner,
+        repo,
+        username: user.login,
+      });
+      // role_name distinguishes triage and maintain, which `permission` folds into read and write
+      const permission = LEVELS.includes(data.role_name) ? data.role_name : data.permission;
+
+      this.setCachedData(cacheKey, permission);
+      return permission;
+    } catch (error) {
+      // Not a collaborator; fall back to what anyone who can comment has
+      if (error.status === 404) {
+        this.setCachedData(cacheKey, 'read');
+        return 'read';
+      }
+      // Rate limits and outages say nothing about the user, so the command is retried instead of refused
+      if (isRetryableError(error)) throw error;
+
+      logger.warn(`Failed to check ${user.login}'s permission on ${owner}/${repo}: ${error.message}`);
+      return 'none';
+    }
+  }
+
+  purgeRepository(owner, repo) {
+    const prefix = `permission-${owner}/${repo}-`.toLowerCase();
+    for (const key of this.cache.keys()) {
+      if (key.toLowerCase().startsWith(prefix)) this.cache.delete(key);
+    }
+  }
+
+  getCachedData(key, maxAge) {
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    if (Date.now() - cached.timestamp > maxAge) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return cached.data;
+  }
+
+  setCachedData(key, data) {
+    this.cache.set(key, {
+      data,
+      timestamp: Date.now(),
+    });
+
+    // Clean old cache entries periodically
+    if (this.cache.size > 500) {
+      const oldestKeys = Array.from(this.cache.keys()).slice(0, 100);
+      oldestKeys.forEach(key => this.cache.delete(key));
+    }
+  }
+}
+
+module.exports = new PermissionService();
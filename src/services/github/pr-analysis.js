@@ -0,0 +1,842 @@
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const gasEstimation = require('../monitoring/gas-estimation');
+const networkMonitoring = require('../monitoring/network-monitoring');
+const gasDiff = require('../analysis/gas-diff');
+const gasReports = require('../analysis/gas-reports');
+const solidityLint = require('../analysis/solidity-lint');
+const securityScanner = require('../analysis/security-scanner');
+const compilerPolicy = require('../analysis/compiler-policy');
+const abiDiff = require('../analysis/abi-diff');
+const storageLayout = require('../analysis/storage-layout');
+const contractSize = require('../analysis/contract-size');
+const addressChecks = require('../analysis/address-checks');
+const repoSources = require('./repo-sources');
+const repoConfigService = require('./repo-config');
+const projectDetector = require('./project-detector');
+
+const MAX_ADDRESS_ROWS = 30;
+
+class PullRequestAnalysisService {
+  isRelevant(files, repoConfig, project = null) {
+    return this.getContractFiles(files, repoConfig, project).length > 0 ||
+      this.getGasReportFiles(files, repoConfig).length > 0 ||
+      (repoConfig.abi.enabled && this.getAbiFiles(files, repoConfig).length > 0) ||
+      (repoConfig.addresses.enabled && addressChecks.extract(files, repoConfig.addresses).length > 0);
+  }
+
+  getContractFiles(files, repoConfig, project = null) {
+    return files.filter(file => repoConfigService.isContractFile(file.filename, repoConfig, project));
+  }
+
+  getGasReportFiles(files, repoConfig) {
+    return files.filter(file => gasReports.isGasReportFile(file.filename, repoConfig.gasReports.paths));
+  }
+
+  getAbiFiles(files, repoConfig) {
+    return files.filter(file => repoConfigService.isAbiFile(file.filename, repoConfig));
+  }
+
+  // `project` is detected by the caller, which falls back to null when detection fails
+  async analyze(octokit, owner, repo, pullRequest, files, repoConfig, project = null, onProgress = async () => {}) {
+    const contractFiles = this.getContractFiles(files, repoConfig, project);
+    const report = {
+      pullRequest: pullRequest.number,
+      headSha: pullRequest.head.sha,
+      project,
+      contractFiles: contractFiles.map(file => file.filename),
+      sections: [],
+      findings: [],
+      timestamp: new Date().toISOString(),
+    };
+
+    report.findings.push(...this.getChangedFileFindings(contractFiles));
+
+    if (contractFiles.length > 0) {
+      const sources = await this.readSoliditySources(octokit, owner, repo, pullRequest.head.sha, contractFiles);
+
+      await onProgress('Running gas estimation');
+      await this.addGasAnalysis(report, octokit, owner, repo, pullRequest.head.sha, repoConfig);
+
+      if (repoConfig.compilerPolicy.enabled) {
+        await onProgress('Checking compiler versions');
+        await this.addCompilerPolicy(report, octokit, owner, repo, pullRequest.head.sha, sources, repoConfig);
+      }
+
+      await onProgress('Comparing gas usage with the base branch');
+      await this.addGasDiff(report, octokit, owner, repo, pullRequest.base.sha, repoConfig);
+
+      if (repoConfig.contractSize.enabled) {
+        await onProgress('Checking contract size limits');
+        this.addContractSizes(report, repoConfig);
+      }
+
+      if (repoConfig.storageLayout.enabled) {
+        await onProgress('Comparing storage layouts of upgradeable contracts');
+        this.addStorageLayoutDiff(report, repoConfig);
+      }
+
+      if (repoConfig.security.enabled) {
+        await onProgress('Scanning for security issues');
+        this.addSecurityScan(report, sources, repoConfig);
+      }
+
+      if (repoConfig.lint.enabled) {
+        await onProgress('Looking for gas optimizations');
+        this.addLint(report, sources, repoConfig);
+      }
+    }
+
+    if (repoConfig.abi.enabled) {
+      await onProgress('Checking for breaking ABI changes');
+      await this.addAbiDiff(report, octokit, owner, repo, pullRequest, repoConfig);
+    }
+
+    if (repoConfig.addresses.enabled) {
+      await onProgress('Checking hardcoded addresses');
+      await this.addAddressChecks(report, files, repoConfig);
+    }
+
+    await onProgress('Comparing gas reports');
+    await this.addGasReports(report, octokit, owner, repo, pullRequest, files, repoConfig);
+
+    await onProgress('Checking network conditions');
+    await this.addNetworkChecks(report, repoConfig);
+
+    report.summary = this.formatReport(report);
+
+    logger.githubAction('pull_request_analyzed', owner, repo, {
+      prNumber: pullRequest.number,
+      findings: report.findings.length,
+    });
+
+    return report;
+  }
+
+  getChangedFileFindings(contractFiles) {
+    return contractFiles
+      .filter(file => file.status !== 'removed')
+      .map(file => ({
+        path: file.filename,
+        line: 1,
+        level: 'notice',
+        title: 'Smart contract changed',
+        message: `${file.filename} was ${file.status} (+${file.additions}/-${file.deletions}).`,
+      }));
+  }
+
+  async addGasAnalysis(report, octokit, owner, repo, ref, repoConfig) {
+    let analysis;
+    try {
+      analysis = await gasEstimation.analyzeAndUpdate(owner, repo, { octokit, ref, repoConfig, project: report.project });
+    } catch (error) {
+      // Gas reports and network checks are still useful when compilation is impossible
+      report.findings.push({
+        level: 'warning',
+        title: 'Gas analysis failed',
+        message: `Gas analysis failed: ${error.message}`,
+      });
+      report.sections.push({
+        title: '⛽ Gas Estimation',
+        body: `_Could not compile the contracts: ${error.message}_`,
+      });
+      return;
+    }
+
+    for (const error of analysis.errors) {
+      report.findings.push({
+        path: error.file,
+        line: error.line,
+        level: 'warning',
+        title: error.type || 'Compilation error',
+        message: error.message,
+      });
+    }
+
+    for (const contract of analysis.contracts) {
+      if (!report.contractFiles.includes(contract.file)) continue;
+
+      report.findings.push({
+        path: contract.file,
+        line: contract.line,
+        level: 'notice',
+        title: `Gas estimate for ${contract.name}`,
+        message: `Deployment: ${this.formatGas(contract.deploymentGas)} gas, ` +
+          `runtime bytecode: ${contract.bytecodeSize} bytes`,
+      });
+    }
+
+    report.gasAnalysis = analysis;
+    report.sections.push({
+      title: '⛽ Gas Estimation',
+      body: this.formatGasAnalysis(analysis),
+    });
+  }
+
+  async addGasDiff(report, octokit, owner, repo, baseSha, repoConfig) {
+    if (!report.gasAnalysis) return;
+
+    let baseAnalysis;
+    try {
+      // The head's project layout, so both sides resolve the same source roots and contracts
+      baseAnalysis = await gasEstimation.analyzeRepository(owner, repo, {
+        octokit,
+        ref: baseSha,
+        repoConfig,
+        project: report.project,
+      });
+    } catch (error) {
+      logger.warn(`Base analysis failed for ${owner}/${repo}@${baseSha}:`, error);
+      report.sections.push({
+        title: '📈 Gas Changes',
+        body: `_Could not analyze the base commit: ${error.message}_`,
+      });
+      return;
+    }
+
+    report.baseAnalysis = baseAnalysis;
+    const diff = gasDiff.compare(baseAnalysis, report.gasAnalysis);
+    const { gasRegressionPercent, gasRegressionBudgetPercent } = repoConfig.thresholds;
+
+    for (const regression of gasDiff.getRegressions(diff, gasRegressionPercent)) {
+      const target = regression.target === 'deployment' ? 'deployment' : `\`${regression.target}\``;
+      report.findings.push(this.getRegressionFinding(
+        regression.contract.file,
+        regression.contract.line,
+        `${regression.contract.name} ${target}`,
+        regression,
+        gasRegressionBudgetPercent
+      ));
+    }
+
+    report.gasDiff = diff;
+    report.sections.push({
+      title: '📈 Gas Changes',
+      body: this.formatGasDiff(diff, gasRegressionPercent),
+    });
+  }
+
+  getRegressionFinding(file, line, label, values, budgetPercent) {
+    const overBudget = budgetPercent !== null && values.percent > budgetPercent;
+
+    return {
+      path: file,
+      line,
+      level: overBudget ? 'failure' : 'warning',
+      title: overBudget ? 'Gas regression over budget' : 'Gas regression',
+      message: `${label} gas increased by ` +
+        `${values.delta.toLocaleString('en-US')} (${this.formatPercent(values.percent)})` +
+        (overBudget ? `, above the ${budgetPercent}% budget` : ''),
+    };
+  }
+
+  addContractSizes(report, repoConfig) {
+    if (!report.gasAnalysis) return;
+
+    const changed = report.gasAnalysis.contracts.filter(contract => report.contractFiles.includes(contract.file));
+    if (changed.length === 0) return;
+
+    const results = contractSize.check(changed, report.baseAnalysis?.contracts, repoConfig.contractSize.warnPercent);
+    report.findings.push(...contractSize.getFindings(results));
+
+    report.contractSizes = results;
+    report.sections.push({
+      title: '📏 Contract Size',
+      body: this.formatContractSizes(results, Boolean(report.baseAnalysis)),
+    });
+  }
+
+  formatContractSizes(results, hasBase) {
+    const statusIcons = { ok: '🟢', near: '🟡', over: '🔴' };
+    const { runtime, initcode } = contractSize.getLimits();
+    const formatSize = (size) => `${statusIcons[size.status]} ${size.size.toLocaleString('en-US')} B` +
+      (hasBase ? ` (${size.base === null ? 'new' : this.formatDelta(size.delta)})` : '') +
+      ` · ${size.percent.toFixed(1)}%`;
+
+    return [
+      `Limits: ${runtime.bytes.toLocaleString('en-US')} B runtime (${runtime.eip}), ` +
+        `${initcode.bytes.toLocaleString('en-US')} B initcode (${initcode.eip}).` +
+        (hasBase ? ' Changes are relative to the base branch.' : ''),
+      '',
+      '| Contract | Runtime | Initcode |',
+      '|---|---:|---:|',
+      ...results.map(result =>
+        `| \`${result.name}\` (${result.file}) | ${formatSize(result.runtime)} | ${formatSize(result.initcode)} |`
+      ),
+    ].join('\n');
+  }
+
+  addStorageLayoutDiff(report, repoConfig) {
+    if (!report.gasAnalysis || !report.baseAnalysis) return;
+
+    const { upgradeableBases } = repoConfig.storageLayout;
+    const baseContracts = new Map(report.baseAnalysis.contracts.map(contract => [contract.name, contract]));
+    const results = [];
+
+    for (const head of report.gasAnalysis.contracts) {
+      const base = baseContracts.get(head.name);
+      if (!base) continue;
+      if (!storageLayout.isUpgradeable(head, upgradeableBases) && !storageLayout.isUpgradeable(base, upgradeableBases)) {
+        continue;
+      }
+
+      if (!base.storageLayout || !head.storageLayout) {
+        results.push({ contract: head, diff: null });
+        continue;
+      }
+
+      const diff = storageLayout.compare(base.storageLayout, head.storageLayout);
+      results.push({ contract: head, diff });
+
+      for (const change of diff.changes.filter(item => item.breaking || item.kind !== 'added')) {
+        report.findings.push({
+          path: head.file,
+          line: head.line,
+          level: change.breaking ? 'failure' : change.kind === 'renamed' || change.kind === 'gap-removed' ? 'warning' : 'notice',
+          title: change.breaking ? 'Storage layout collision' : 'Storage layout change',
+          message: `${head.name}: ${change.message}`,
+        });
+      }
+    }
+
+    if (results.length === 0) return;
+
+    report.storageLayout = results.map(({ contract, diff }) => ({ name: contract.name, file: contract.file, diff }));
+    report.sections.push({
+      title: '🗄️ Storage Layout',
+      body: this.formatStorageLayout(results),
+    });
+  }
+
+  formatStorageLayout(results) {
+    const statusIcons = {
+      breaking: '💥',
+      added: '➕',
+      renamed: '✏️',
+      'gap-shrunk': '📉',
+      'gap-removed': '⚠️',
+    };
+    const formatVariable = (variable) => variable ? `\`${variable.type} ${variable.label}\`` : '—';
+    const formatSlot = (row, variable) => {
+      const slots = variable ? storageLayout.getSlotCount(variable) : 1;
+      const slot = slots > 1 ? `${row.slot}–${row.slot + slots - 1}` : `${row.slot}`;
+      return row.offset > 0 ? `${slot} (+${row.offset})` : slot;
+    };
+
+    const lines = [];
+    const unchanged = [];
+
+    for (const { contract, diff } of results) {
+      if (!diff) {
+        lines.push(`**${contract.name}**: _storage layout unavailable (requires solc 0.5.13 or later)._`, '');
+        continue;
+      }
+
+      if (diff.changes.length === 0) {
+        unchanged.push(contract.name);
+        continue;
+      }
+
+      lines.push(`**${contract.name}**${diff.breaking ? ' ❌ upgrading an existing proxy would corrupt storage' : ''}`);
+      lines.push('', '| Slot | Base | Head | |', '|---|---|---|---|');
+      lines.push(...diff.rows.map(row =>
+        `| ${formatSlot(row, row.base || row.head)} | ${formatVariable(row.base)} | ${formatVariable(row.head)} | ` +
+          `${statusIcons[row.status] || ''} |`
+      ));
+      lines.push('', ...diff.changes.filter(change => change.kind !== 'added').map(change =>
+        `- ${change.breaking ? '💥' : statusIcons[change.kind] || 'ℹ️'} ${change.message}`
+      ), '');
+    }
+
+    if (unchanged.length > 0) {
+      lines.push(`_Storage layout unchanged for ${unchanged.map(name => `\`${name}\``).join(', ')}._`);
+    }
+
+    return lines.join('\n').trim();
+  }
+
+  async addAbiDiff(report, octokit, owner, repo, pullRequest, repoConfig) {
+    // Compiled ABIs are only comparable when both revisions compiled
+    const compiled = Boolean(report.gasAnalysis && report.baseAnalysis);
+    const [baseContracts, headContracts] = await Promise.all([
+      this.getAbiContracts(compiled && report.baseAnalysis, octokit, owner, repo, pullRequest.base.sha, repoConfig),
+      this.getAbiContracts(compiled && report.gasAnalysis, octokit, owner, repo, pullRequest.head.sha, repoConfig),
+    ]);
+
+    if (baseContracts.length === 0 && headContracts.length === 0) return;
+
+    const diff = abiDiff.compare(baseContracts, headContracts);
+    const { overrideLabel } = repoConfig.abi;
+    const overridden = (pullRequest.labels || []).some(label => label.name === overrideLabel);
+
+    for (const contract of diff.contracts) {
+      for (const change of contract.changes.filter(item => item.breaking)) {
+        report.findings.push({
+          path: contract.status === 'removed' ? undefined : contract.file,
+          line: contract.line,
+          level: overridden ? 'notice' : 'failure',
+          title: 'Breaking ABI change',
+          message: `${contract.name}: ${change.message}` +
+            (overridden ? ` (accepted with the \`${overrideLabel}\` label)` : ''),
+        });
+      }
+    }
+
+    report.abiDiff = { ...diff, overridden };
+    report.sections.push({
+      title: '🔌 ABI Changes',
+      body: this.formatAbiDiff(diff, overridden, repoConfig.abi),
+    });
+  }
+
+  async getAbiContracts(analysis, octokit, owner, repo, ref, repoConfig) {
+    const contracts = new Map();
+
+    if (analysis) {
+      for (const contract of analysis.contracts) {
+        contracts.set(contract.name, { name: contract.name, file: contract.file, line: contract.line, abi: contract.abi });
+      }
+    }
+
+    // Committed ABI files cover repositories the bot cannot compile
+    const reader = repoSources.createReader(octokit, owner, repo, ref);
+    const files = (await reader.list()).filter(file => repoConfigService.isAbiFile(file, repoConfig));
+
+    for (const file of files) {
+      const contract = abiDiff.parseAbiFile(file, await reader.read(file));
+      if (contract && !contracts.has(contract.name)) {
+        contracts.set(contract.name, contract);
+      }
+    }
+
+    return Array.from(contracts.values());
+  }
+
+  formatAbiDiff(diff, overridden, abiConfig) {
+    if (diff.contracts.length === 0) {
+      return '_No interface changes compared to the base branch._';
+    }
+
+    const statusLabels = { added: ' _(new)_', removed: ' _(removed)_', changed: '' };
+    const lines = [];
+
+    if (diff.breaking) {
+      lines.push(overridden
+        ? `⚠️ Breaking changes accepted with the \`${abiConfig.overrideLabel}\` label.`
+        : `❌ This pull request breaks the public interface. Add the \`${abiConfig.overrideLabel}\` label to accept it.`);
+      lines.push('');
+    }
+
+    for (const contract of diff.contracts) {
+      lines.push(`**${contract.name}**${statusLabels[contract.status]}`);
+      lines.push(...contract.changes.map(change => {
+        const icon = change.breaking ? '💥' : change.kind.endsWith('-added') ? '➕' : 'ℹ️';
+        return `- ${icon} ${change.message}`;
+      }));
+      lines.push('');
+    }
+
+    return lines.join('\n').trim();
+  }
+
+  async addAddressChecks(report, files, repoConfig) {
+    const entries = addressChecks.extract(files, repoConfig.addresses);
+    if (entries.length === 0) return;
+
+    const { skipped } = await addressChecks.verify(entries, repoConfig.addresses);
+    const findings = addressChecks.getFindings(entries);
+
+    report.findings.push(...findings);
+    report.addressFindings = findings;
+    report.sections.push({
+      title: '📍 Hardcoded Addresses',
+      body: this.formatAddressChecks(entries, findings, skipped),
+    });
+  }
+
+  formatAddressChecks(entries, findings, skipped) {
+    const levelIcons = { failure: '❌', warning: '⚠️', notice: 'ℹ️' };
+    const levels = Object.keys(levelIcons);
+    const getNetworkName = (network) => config.blockchain.networks[network]?.name || network;
+
+    // The most severe finding decides each row's icon
+    const flagged = new Map();
+    for (const finding of findings) {
+      const key = `${finding.path}:${finding.line}`;
+      const current = flagged.get(key);
+      if (!current || levels.indexOf(finding.level) < levels.indexOf(current)) {
+        flagged.set(key, finding.level);
+      }
+    }
+
+    const rows = entries.slice(0, MAX_ADDRESS_ROWS).map(entry => {
+      const onChain = Object.values(entry.results);
+      const code = onChain.length === 0 ? '—'
+        : onChain.map(info => `${getNetworkName(info.network)}: ${info.hasCode ? (info.contractName ? `\`${info.contractName}\`` : 'contract') : 'no code'}`).join(', ');
+      const level = flagged.get(`${entry.path}:${entry.line}`);
+
+      // Addresses on test networks or networks without an RPC URL are not looked up
+      const icon = level ? levelIcons[level] : onChain.length > 0 ? '✅' : '➖';
+
+      return `| ${icon} | \`${entry.address}\` | \`${entry.path}:${entry.line}\` | ` +
+        `${entry.network ? getNetworkName(entry.network) : '_unknown_'} | ${code} |`;
+    });
+
+    const notes = [];
+    if (entries.length > MAX_ADDRESS_ROWS) notes.push(`${entries.length - MAX_ADDRESS_ROWS} more address(es) not shown.`);
+    if (skipped > 0) notes.push(`${skipped} on-chain lookup(s) skipped after reaching the \`addresses.maxLookups\` limit.`);
+
+    return [
+      '| | Address | Location | Network | On-chain |',
+      '|---|---|---|---|---|',
+      ...rows,
+      ...(notes.length > 0 ? ['', `_${notes.join(' ')}_`] : []),
+    ].join('\n');
+  }
+
+  async addCompilerPolicy(report, octokit, owner, repo, ref, sources, repoConfig) {
+    const reader = repoSources.createReader(octokit, owner, repo, ref);
+    const projectCompiler = await compilerPolicy.resolveProjectCompiler(reader, report.project);
+    const { files, findings } = compilerPolicy.evaluate(sources, projectCompiler, repoConfig.compilerPolicy);
+
+    report.findings.push(...findings);
+    report.compilerPolicy = { projectCompiler, files };
+
+    if (files.length === 0) return;
+
+    report.sections.push({
+      title: '🧾 Compiler Versions',
+      body: this.formatCompilerPolicy(files),
+    });
+  }
+
+  formatCompilerPolicy(files) {
+    const rows = files.map(file => {
+      const bugs = file.bugs.length > 0
+        ? file.bugs.map(bug => `${bug.name} (${bug.severity})`).join('<br>')
+        : file.version ? 'none known' : '—';
+      return `| \`${file.file}\` | \`${file.ranges.join(' ')}\` | ${file.version ? `\`${file.version}\`` : '—'} | ` +
+        `${file.source} | ${bugs} |`;
+    });
+
+    return [
+      `Latest known solc release: \`${compilerPolicy.getLatestVersion()}\`.`,
+      '',
+      '| File | Pragma | Compiler | From | Known compiler bugs |',
+      '|---|---|---|---|---|',
+      ...rows,
+    ].join('\n');
+  }
+
+  async readSoliditySources(octokit, owner, repo, ref, contractFiles) {
+    const reader = repoSources.createReader(octokit, owner, repo, ref);
+    const sources = {};
+
+    for (const file of contractFiles) {
+      if (file.status === 'removed' || !file.filename.endsWith('.sol')) continue;
+
+      const content = await reader.read(file.filename);
+      if (content) sources[file.filename] = { content };
+    }
+
+    return sources;
+  }
+
+  addSecurityScan(report, sources, repoConfig) {
+    const { findings } = securityScanner.scanSources(sources, Object.keys(sources), repoConfig.security);
+
+    // Security findings also drive the check conclusion and annotations
+    report.findings.push(...findings);
+    report.securityFindings = findings;
+    report.sections.push({
+      title: '🛡️ Security Scan',
+      body: this.formatSecurityFindings(findings),
+    });
+  }
+
+  formatSecurityFindings(findings) {
+    if (findings.length === 0) {
+      return '_No high-risk patterns found in the changed contracts._';
+    }
+
+    const severityIcons = { high: '🔴', medium: '🟠', low: '🟡' };
+    const order = ['high', 'medium', 'low'];
+    const sorted = [...findings].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+
+    return [
+      '| Severity | Location | Issue |',
+      '|---|---|---|',
+      ...sorted.slice(0, 50).map(finding =>
+        `| ${severityIcons[finding.severity]} ${finding.severity} | \`${finding.path}:${finding.line}\` | ` +
+        `**${finding.title}** (\`${finding.ruleId}\`) |`
+      ),
+      ...(sorted.length > 50 ? ['', `_…and ${sorted.length - 50} more._`] : []),
+      '',
+      '_Static pattern matching can report false positives; see the check run annotations for details._',
+    ].join('\n');
+  }
+
+  addLint(report, sources, repoConfig) {
+    // Syntax errors are left to the compiler, which reports them with better context
+    const { findings } = solidityLint.lintSources(sources, Object.keys(sources), repoConfig.lint);
+
+    report.lintFindings = findings;
+    report.sections.push({
+      title: '🧹 Gas Optimizations',
+      body: this.formatLintFindings(findings, repoConfig.lint.reviewComments),
+    });
+  }
+
+  formatLintFindings(findings, reviewComments) {
+    if (findings.length === 0) {
+      return '_No gas optimization opportunities found in the changed contracts._';
+    }
+
+    const shown = findings.slice(0, 30);
+    return [
+      `${findings.length} opportunity(ies) found in the changed contracts.` +
+        (reviewComments ? ' Those on changed lines are also posted as review comments.' : ''),
+      '',
+      ...shown.map(finding =>
+        `- \`${finding.path}:${finding.line}\` **${finding.title}** (\`${finding.ruleId}\`): ${finding.message}`
+      ),
+      ...(findings.length > shown.length ? ['', `_…and ${findings.length - shown.length} more._`] : []),
+    ].join('\n');
+  }
+
+  async addGasReports(report, octokit, owner, repo, pullRequest, files, repoConfig) {
+    const { gasRegressionPercent, gasRegressionBudgetPercent } = repoConfig.thresholds;
+    const candidates = new Set([
+      ...repoConfig.gasReports.paths,
+      ...this.getGasReportFiles(files, repoConfig).map(file => file.filename),
+    ]);
+
+    const baseReader = repoSources.createReader(octokit, owner, repo, pullRequest.base.sha);
+    const headReader = repoSources.createReader(octokit, owner, repo, pullRequest.head.sha);
+    const results = [];
+
+    for (const file of candidates) {
+      const [baseContent, headContent] = await Promise.all([
+        baseReader.read(file),
+        headReader.read(file),
+      ]);
+      if (!baseContent && !headContent) continue;
+
+      let baseReport;
+      let headReport;
+      try {
+        baseReport = gasReports.parse(file, baseContent);
+        headReport = gasReports.parse(file, headContent);
+      } catch (error) {
+        report.findings.push({
+          path: file,
+          line: 1,
+          level: 'warning',
+          title: 'Unreadable gas report',
+          message: error.message,
+        });
+        continue;
+      }
+
+      const rows = gasReports.compare(baseReport, headReport);
+      results.push({ file, format: (headReport || baseReport).format, rows });
+
+      for (const row of rows.filter(row => row.percent !== null && row.percent > gasRegressionPercent)) {
+        report.findings.push(this.getRegressionFinding(
+          file, row.line, `\`${row.name}\``, row, gasRegressionBudgetPercent
+        ));
+      }
+    }
+
+    if (results.length === 0) return;
+
+    report.gasReports = results;
+    report.sections.push({
+      title: '🧪 Gas Reports',
+      body: results.map(result => this.formatGasReport(result, gasRegressionPercent)).join('\n\n'),
+    });
+  }
+
+  formatGasReport(result, regressionPercent) {
+    const header = `**\`${result.file}\`** (${result.format})`;
+    if (result.rows.length === 0) {
+      return `${header}: no changes compared to the base branch.`;
+    }
+
+    // Largest relative changes first; added and removed entries last
+    const magnitude = (row) => (row.percent === null ? -1 : Math.abs(row.percent));
+    const rows = [...result.rows].sort((a, b) => magnitude(b) - magnitude(a));
+    const shown = rows.slice(0, 50);
+
+    return [
+      header,
+      '',
+      '| Test / method | Base | Head | Δ | Δ% |',
+      '|---|---:|---:|---:|---:|',
+      ...shown.map(row => this.formatDiffRow(`\`${row.name}\``, row, regressionPercent)),
+      ...(rows.length > shown.length ? ['', `_…and ${rows.length - shown.length} more change(s)._`] : []),
+    ].join('\n');
+  }
+
+  formatDiffRow(label, values, regressionPercent) {
+    const flag = values.percent !== null && values.percent > regressionPercent ? ' 🔺'
+      : values.delta !== null && values.delta < 0 ? ' 🟢' : '';
+    return `| ${label} | ${this.formatOptionalGas(values.base)} | ${this.formatOptionalGas(values.head)} | ` +
+      `${this.formatDelta(values.delta)} | ${this.formatPercent(values.percent)}${flag} |`;
+  }
+
+  formatGasDiff(diff, regressionPercent) {
+    const rows = [];
+    const formatRow = (label, values) => this.formatDiffRow(label, values, regressionPercent);
+
+    for (const contract of diff.contracts.filter(contract => contract.status !== 'unchanged')) {
+      const suffix = contract.status === 'added' ? ' _(new)_' : contract.status === 'removed' ? ' _(removed)_' : '';
+      rows.push(formatRow(`**${contract.name}** deployment${suffix}`, contract.deployment));
+
+      for (const fn of contract.functions.filter(fn => fn.base !== fn.head)) {
+        rows.push(formatRow(`↳ \`${fn.signature}\``, fn));
+      }
+    }
+
+    if (rows.length === 0) {
+      return '_No gas changes compared to the base branch._';
+    }
+
+    return [
+      `Base \`${(diff.baseRef || '').substring(0, 7)}\` → head \`${(diff.headRef || '').substring(0, 7)}\`. ` +
+        `🔺 marks regressions above ${regressionPercent}%.`,
+      '',
+      '| Contract / function | Base | Head | Δ | Δ% |',
+      '|---|---:|---:|---:|---:|',
+      ...rows,
+    ].join('\n');
+  }
+
+  formatOptionalGas(gas) {
+    return gas === undefined ? '—' : this.formatGas(gas);
+  }
+
+  formatDelta(delta) {
+    if (delta === null) return '—';
+    return `${delta > 0 ? '+' : ''}${delta.toLocaleString('en-US')}`;
+  }
+
+  formatPercent(percent) {
+    if (percent === null) return '—';
+    return `${percent > 0 ? '+' : ''}${percent.toFixed(2)}%`;
+  }
+
+  formatGasAnalysis(analysis) {
+    const lines = [];
+
+    const compilers = [
+      analysis.compiler && `solc \`${analysis.compiler}\``,
+      analysis.vyperCompiler && `vyper \`${analysis.vyperCompiler}\``,
+    ].filter(Boolean);
+    if (compilers.length > 0) {
+      lines.push(`Compiled with ${compilers.join(' and ')}.`, '');
+    }
+
+    if (analysis.contracts.length > 0) {
+      lines.push('| Contract | Deployment gas | Bytecode size |', '|---|---:|---:|');
+      lines.push(...analysis.contracts.map(contract =>
+        `| \`${contract.name}\` (${contract.file}) | ${this.formatGas(contract.deploymentGas)} | ${contract.bytecodeSize.toLocaleString('en-US')} B |`
+      ));
+
+      const withFunctions = analysis.contracts.filter(contract => contract.functions.length > 0);
+      if (withFunctions.length > 0) {
+        lines.push('', '<details>', '<summary>Function gas estimates</summary>', '');
+        for (const contract of withFunctions) {
+          lines.push(`**${contract.name}**`, '', '| Function | Gas |', '|---|---:|');
+          lines.push(...contract.functions.map(fn => `| \`${fn.signature}\` | ${this.formatGas(fn.gas)} |`));
+          lines.push('');
+        }
+        lines.push('</details>');
+      }
+    } else {
+      lines.push(`_${analysis.analysis || 'No deployable contracts found.'}_`);
+    }
+
+    if (analysis.errors.length > 0) {
+      lines.push('', `**${analysis.errors.length} compilation problem(s):**`);
+      lines.push(...analysis.errors.slice(0, 10).map(error =>
+        `- ${error.file ? `\`${error.file}${error.line ? `:${error.line}` : ''}\` ` : ''}${error.message}`
+      ));
+    }
+
+    if (analysis.recommendations?.length > 0) {
+      lines.push('', '**Recommendations:**');
+      lines.push(...analysis.recommendations.map(recommendation => `- ${recommendation}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  formatGas(gas) {
+    // Unbounded estimates (loops, dynamic data) come back as null
+    return gas === null ? '∞' : gas.toLocaleString('en-US');
+  }
+
+  async addNetworkChecks(report, repoConfig) {
+    const results = await Promise.allSettled(
+      repoConfig.networks
+        .filter(network => networkMonitoring.providers[network])
+        .map(network => networkMonitoring.getNetworkStatus(network))
+    );
+
+    const statuses = results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value);
+
+    const threshold = repoConfig.thresholds.gasPriceGwei;
+    const gasAnalysis = gasEstimation.analyzeGasTrends(statuses, threshold);
+
+    for (const alert of gasAnalysis.alerts) {
+      report.findings.push({
+        level: alert.severity === 'high' ? 'warning' : 'notice',
+        title: 'High gas price',
+        message: `${alert.message} (threshold: ${threshold} gwei)`,
+      });
+    }
+
+    const rows = statuses.map(status =>
+      `| ${status.network} | ${status.blockNumber} | ${status.gasPrice ? parseFloat(status.gasPrice).toFixed(2) : 'n/a'} |`
+    );
+    const unavailable = results.length - statuses.length;
+
+    report.sections.push({
+      title: '🌐 Network Conditions',
+      body: rows.length > 0
+        ? ['| Network | Block | Gas price (gwei) |', '|---|---|---|', ...rows].join('\n') +
+          (unavailable > 0 ? `\n\n_${unavailable} network(s) unavailable._` : '')
+        : '_No configured networks are reachable._',
+    });
+  }
+
+  formatReport(report) {
+    const levelIcons = { failure: '❌', warning: '⚠️', notice: 'ℹ️' };
+    const general = report.findings.filter(finding => !finding.path);
+
+    const parts = report.contractFiles.length > 0
+      ? ['**Changed contract files:**', ...report.contractFiles.map(file => `- \`${file}\``)]
+      : ['_No contract sources changed._'];
+
+    const project = projectDetector.describe(report.project);
+    if (project) {
+      parts.unshift(`**Project:** ${project}`, '');
+    }
+
+    if (general.length > 0) {
+      parts.push('', '**Findings:**');
+      parts.push(...general.map(finding => `- ${levelIcons[finding.level]} ${finding.message}`));
+    }
+
+    for (const section of report.sections) {
+      parts.push('', `### ${section.title}`, '', section.body);
+    }
+
+    return parts.join('\n');
+  }
+}
+
+module.exports = new PullRequestAnalysisService();
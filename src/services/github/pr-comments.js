@@ -0,0 +1,168 @@
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+const REPORT_MARKER = '<!-- crypto-intel-report -->';
+const LATEST_START = '<!-- crypto-intel-latest:start -->';
+const LATEST_END = '<!-- crypto-intel-latest:end -->';
+const RUN_START = '<!-- crypto-intel-run:start -->';
+const RUN_END = '<!-- crypto-intel-run:end -->';
+const REPORT_HEADING = '## 🔍 Crypto Intel Bot Analysis';
+
+// GitHub rejects comment bodies longer than 65536 characters
+const MAX_COMMENT_LENGTH = 65000;
+
+class PullRequestCommentService {
+  async upsertReport(octokit, owner, repo, prNumber, latest, commentsConfig) {
+    if (!commentsConfig.sticky) {
+      return this.createComment(octokit, owner, repo, prNumber, this.buildBody(latest, []));
+    }
+
+    const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+      owner,
+      repo,
+      issue_number: prNumber,
+      per_page: 100,
+    });
+
+    const ownComments = comments.filter(comment => this.isOwnComment(comment));
+    const reports = ownComments.filter(comment => comment.body?.includes(REPORT_MARKER));
+    const sticky = reports[0];
+
+    let result;
+    if (sticky) {
+      const history = [this.extractLatest(sticky.body), ...this.extractHistory(sticky.body)]
+        .filter(Boolean)
+        .slice(0, commentsConfig.historySize);
+
+      const { data } = await octokit.rest.issues.updateComment({
+        owner,
+        repo,
+        comment_id: sticky.id,
+        body: this.buildBody(latest, history),
+      });
+      result = data;
+
+      logger.githubAction('pr_report_updated', owner, repo, {
+        prNumber,
+        commentId: sticky.id,
+        historySize: history.length,
+      });
+    } else {
+      result = await this.createComment(octokit, owner, repo, prNumber, this.buildBody(latest, []));
+    }
+
+    if (commentsConfig.minimizeOutdated) {
+      // Duplicate reports and comments posted before reports became sticky
+      const outdated = ownComments.filter(comment =>
+        comment.id !== result.id &&
+        (comment.body?.includes(REPORT_MARKER) || comment.body?.startsWith(REPORT_HEADING))
+      );
+      await this.minimizeComments(octokit, owner, repo, outdated);
+    }
+
+    return result;
+  }
+
+  async createComment(octokit, owner, repo, prNumber, body) {
+    const { data } = await octokit.rest.issues.createComment({
+      owner,
+      repo,
+      issue_number: prNumber,
+      body,
+    });
+
+    logger.githubAction('pr_report_created', owner, repo, {
+      prNumber,
+      commentId: data.id,
+    });
+
+    return data;
+  }
+
+  async minimizeComments(octokit, owner, repo, comments) {
+    for (const comment of comments) {
+      try {
+        await octokit.graphql(`
+          mutation($subjectId: ID!) {
+            minimizeComment(input: { subjectId: $subjectId, classifier: OUTDATED }) {
+              minimizedComment { isMinimized }
+            }
+          }
+        `, { subjectId: comment.node_id });
+      } catch (error) {
+        logger.warn(`Failed to minimize comment ${comment.id} on ${owner}/${repo}:`, error);
+      }
+    }
+  }
+
+  isOwnComment(comment) {
+    if (comment.performed_via_github_app && config.github.appId) {
+      return String(comment.performed_via_github_app.id) === String(config.github.appId);
+    }
+
+    return comment.user?.type === 'Bot';
+  }
+
+  buildBody(latest, history) {
+    const footer = ['', '---', '*This is an automated message from Crypto Intel Bot*'];
+    const frame = [REPORT_MARKER, REPORT_HEADING, '', LATEST_START, '', LATEST_END, ...footer].join('\n');
+    const header = [REPORT_MARKER, REPORT_HEADING, '', LATEST_START, this.truncate(latest, MAX_COMMENT_LENGTH - frame.length), LATEST_END];
+
+    // Drop the oldest runs until the comment fits
+    const runs = [...history];
+    let body;
+    do {
+      body = [...header, ...this.formatHistory(runs), ...footer].join('\n');
+    } while (body.length > MAX_COMMENT_LENGTH && runs.pop() !== undefined);
+
+    return body;
+  }
+
+  // A report too long on its own is cut short, so the comment is still accepted
+  truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+
+    const notice = '\n\n_Report truncated._';
+    return text.substring(0, maxLength - notice.length) + notice;
+  }
+
+  formatHistory(runs) {
+    if (runs.length === 0) return [];
+
+    return [
+      '',
+      '<details>',
+      `<summary>Previous runs (${runs.length})</summary>`,
+      '',
+      ...runs.map(run => `${RUN_START}\n${run}\n${RUN_END}\n`),
+      '</details>',
+    ];
+  }
+
+  extractLatest(body) {
+    const start = body.indexOf(LATEST_START);
+    const end = body.indexOf(LATEST_END);
+    if (start === -1 || end === -1) return null;
+
+    return body.substring(start + LATEST_START.length, end).trim();
+  }
+
+  extractHistory(body) {
+    const runs = [];
+    let cursor = 0;
+
+    while (true) {
+      const start = body.indexOf(RUN_START, cursor);
+      if (start === -1) break;
+      const end = body.indexOf(RUN_END, start);
+      if (end === -1) break;
+
+      runs.push(body.substring(start + RUN_START.length, end).trim());
+      cursor = end + RUN_END.length;
+    }
+
+    return runs;
+  }
+}
+
+module.exports = new PullRequestCommentService();
@@ -0,0 +1,89 @@
+const logger = require('../../utils/logger');
+const { getAddedLines } = require('../../utils/diff');
+
+const FINDING_MARKER_PREFIX = '<!-- crypto-intel-finding:';
+
+// Keep a single review readable; the check run still lists everything
+const MAX_REVIEW_COMMENTS = 50;
+
+class PullRequestReviewService {
+  getChangedLines(patch) {
+    return new Set(getAddedLines(patch).map(added => added.line));
+  }
+
+  getReviewableFindings(findings, files) {
+    const changedLines = new Map(
+      files
+        .filter(file => file.status !== 'removed')
+        .map(file => [file.filename, this.getChangedLines(file.patch)])
+    );
+
+    return findings.filter(finding =>
+      finding.path && finding.line && changedLines.get(finding.path)?.has(finding.line)
+    );
+  }
+
+  async postFindings(octokit, owner, repo, pullRequest, files, findings, title) {
+    const reviewable = this.getReviewableFindings(findings, files);
+    if (reviewable.length === 0) return null;
+
+    const existing = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+      owner,
+      repo,
+      pull_number: pullRequest.number,
+      per_page: 100,
+    });
+
+    // Findings already commented on by an earlier run stay as they are
+    const posted = new Set(existing
+      .filter(comment => comment.body?.includes(FINDING_MARKER_PREFIX))
+      .map(comment => this.getKey(comment.path, comment.line ?? comment.original_line, this.getRuleId(comment.body))));
+
+    const comments = reviewable
+      .filter(finding => !posted.has(this.getKey(finding.path, finding.line, finding.ruleId)))
+      .slice(0, MAX_REVIEW_COMMENTS)
+      .map(finding => ({
+        path: finding.path,
+        line: finding.line,
+        side: 'RIGHT',
+        body: this.formatComment(finding),
+      }));
+
+    if (comments.length === 0) return null;
+
+    const { data } = await octokit.rest.pulls.createReview({
+      owner,
+      repo,
+      pull_number: pullRequest.number,
+      commit_id: pullRequest.head.sha,
+      event: 'COMMENT',
+      body: `**${title}:** ${comments.length} finding(s) on changed lines.`,
+      comments,
+    });
+
+    logger.githubAction('pr_review_posted', owner, repo, {
+      prNumber: pullRequest.number,
+      reviewId: data.id,
+      comments: comments.length,
+    });
+
+    return data;
+  }
+
+  formatComment(finding) {
+    const severity = finding.severity ? ` · ${finding.severity} severity` : '';
+    return `${FINDING_MARKER_PREFIX}${finding.ruleId} -->\n` +
+      `**${finding.title}** (\`${finding.ruleId}\`${severity})\n\n${finding.message}`;
+  }
+
+  getRuleId(body) {
+    const start = body.indexOf(FINDING_MARKER_PREFIX) + FINDING_MARKER_PREFIX.length;
+    return body.substring(start, body.indexOf(' -->', start));
+  }
+
+  getKey(path, line, ruleId) {
+    return `${path}:${line}:${ruleId}`;
+  }
+}
+
+module.exports = new PullRequestReviewService();
@@ -0,0 +1,337 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../../utils/logger');
+const repoSources = require('./repo-sources');
+
+const CONFIG_FILES = {
+  'foundry.toml': 'foundry',
+  'hardhat.config.ts': 'hardhat',
+  'hardhat.config.js': 'hardhat',
+  'hardhat.config.cjs': 'hardhat',
+  'hardhat.config.mjs': 'hardhat',
+  'truffle-config.js': 'truffle',
+  'truffle.js': 'truffle',
+  'ape-config.yaml': 'ape',
+  'ape-config.yml': 'ape',
+  'brownie-config.yaml': 'brownie',
+  'brownie-config.yml': 'brownie',
+};
+
+// Each framework's default layout, overridden by its config file
+const LAYOUTS = {
+  foundry: { sources: ['src'], tests: ['test'], scripts: ['script'], artifacts: ['out', 'cache'], libs: ['lib'] },
+  hardhat: {
+    sources: ['contracts'],
+    tests: ['test'],
+    scripts: ['scripts', 'deploy', 'ignition'],
+    artifacts: ['artifacts', 'cache', 'typechain-types'],
+    libs: ['node_modules'],
+  },
+  truffle: { sources: ['contracts'], tests: ['test'], scripts: ['migrations'], artifacts: ['build'], libs: ['node_modules'] },
+  ape: { sources: ['contracts'], tests: ['tests'], scripts: ['scripts'], artifacts: ['.build', '.cache'], libs: [] },
+  brownie: { sources: ['contracts', 'interfaces'], tests: ['tests'], scripts: ['scripts'], artifacts: ['build'], libs: [] },
+};
+
+const SOURCE_EXTENSIONS = ['.sol', '.vy', '.vyi'];
+
+// Config files inside dependencies belong to other projects
+const IGNORED_ROOTS = ['node_modules/', 'lib/'];
+
+class ProjectDetectionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  async detect(octokit, owner, repo, ref) {
+    return this.detectFromReader(repoSources.createReader(octokit, owner, repo, ref));
+  }
+
+  async detectFromReader(reader) {
+    const tree = await reader.loadTree();
+    // Trees are content-addressed, so one detection per tree is enough
+    const cacheKey = `project-${reader.owner}/${reader.repo}@${tree.sha}`;
+    const cached = this.getCachedData(cacheKey, 60 * 60 * 1000); // 1 hour cache
+
+    if (cached) return cached;
+
+    const configFiles = (await reader.list())
+      .filter(file => CONFIG_FILES[path.posix.basename(file)])
+      .filter(file => !IGNORED_ROOTS.some(root => file.startsWith(root) || file.includes(`/${root}`)))
+      .sort((a, b) => a.split('/').length - b.split('/').length);
+
+    const projects = [];
+    for (const configFile of configFiles) {
+      const framework = CONFIG_FILES[path.posix.basename(configFile)];
+      try {
+        projects.push(await this.parseProject(reader, framework, configFile));
+      } catch (error) {
+        logger.warn(`Failed to parse ${configFile} in ${reader.owner}/${reader.repo}: ${error.message}`);
+        projects.push(this.createProject(framework, configFile, {}));
+      }
+    }
+
+    const project = {
+      framework: projects[0]?.framework || null,
+      frameworks: [...new Set(projects.map(item => item.framework))],
+      projects,
+    };
+
+    this.setCachedData(cacheKey, project);
+    return project;
+  }
+
+  async parseProject(reader, framework, configFile) {
+    const content = await reader.read(configFile);
+    const root = path.posix.dirname(configFile) === '.' ? '' : path.posix.dirname(configFile);
+    const remappingsTxt = await reader.read(this.join(root, 'remappings.txt'));
+
+    const layout = {
+      foundry: () => this.parseFoundry(content),
+      hardhat: () => this.parseHardhat(content),
+      truffle: () => this.parseTruffle(content),
+      ape: () => this.parseApe(content),
+      brownie: () => this.parseBrownie(content),
+    }[framework]();
+
+    if (remappingsTxt) {
+      layout.remappings = [
+        ...(layout.remappings || []),
+        ...remappingsTxt.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#')),
+      ];
+    }
+
+    return this.createProject(framework, configFile, layout);
+  }
+
+  createProject(framework, configFile, layout) {
+    const root = path.posix.dirname(configFile) === '.' ? '' : path.posix.dirname(configFile);
+    const defaults = LAYOUTS[framework];
+    const resolve = (dirs) => [...new Set(dirs.map(dir => this.join(root, this.normalizeDir(dir))))];
+
+    return {
+      framework,
+      configFile,
+      root,
+      sources: resolve(layout.sources || defaults.sources),
+      tests: resolve(layout.tests || defaults.tests),
+      scripts: resolve(layout.scripts || defaults.scripts),
+      artifacts: resolve(layout.artifacts || defaults.artifacts),
+      libs: resolve(layout.libs || defaults.libs),
+      // Remapping targets are relative to the project root
+      remappings: [...new Set((layout.remappings || []).map(remapping => {
+        const [prefix, target] = remapping.split('=');
+        return target === undefined ? remapping : `${prefix}=${this.join(root, target)}`;
+      }))],
+    };
+  }
+
+  parseFoundry(content) {
+    const profile = this.parseTomlSection(content, 'profile.default');
+    const layout = {};
+
+    if (typeof profile.src === 'string') layout.sources = [profile.src];
+    if (typeof profile.test === 'string') layout.tests = [profile.test];
+    if (typeof profile.script === 'string') layout.scripts = [profile.script];
+    if (typeof profile.out === 'string') layout.artifacts = [profile.out, profile.cache_path || 'cache'];
+    if (Array.isArray(profile.libs)) layout.libs = profile.libs;
+    if (Array.isArray(profile.remappings)) layout.remappings = profile.remappings;
+
+    return layout;
+  }
+
+  // Reads `key = "value"` and `key = ["a", "b"]` entries of one TOML table
+  parseTomlSection(content, section) {
+    const values = {};
+    let current = null;
+    let arrayKey = null;
+    let arrayText = '';
+
+    for (const line of content.split('\n')) {
+      const text = line.replace(/\s+#.*$/, '').trim();
+
+      if (arrayKey) {
+        arrayText += text;
+        if (text.includes(']')) {
+          values[arrayKey] = Array.from(arrayText.matchAll(/["']([^"']*)["']/g), match => match[1]);
+          arrayKey = null;
+        }
+        continue;
+      }
+
+      const header = text.match(/^\[([^\]]+)\]$/);
+      if (header) {
+        current = header[1].trim();
+        continue;
+      }
+      if (current !== section) continue;
+
+      const entry = text.match(/^([\w-]+)\s*=\s*(.+)$/);
+      if (!entry) continue;
+
+      if (entry[2].startsWith('[')) {
+        arrayKey = entry[1];
+        arrayText = entry[2];
+        if (entry[2].includes(']')) {
+          values[arrayKey] = Array.from(arrayText.matchAll(/["']([^"']*)["']/g), match => match[1]);
+          arrayKey = null;
+        }
+      } else {
+        const quoted = entry[2].match(/^["']([^"']*)["']/);
+        values[entry[1]] = quoted ? quoted[1] : entry[2];
+      }
+    }
+
+    return values;
+  }
+
+  parseHardhat(content) {
+    // paths: { sources: "./src", tests: "./test/hardhat", artifacts: "./build" }
+    const block = content.match(/\bpaths\s*:\s*\{([^}]*)\}/);
+    if (!block) return {};
+
+    const value = (key) => block[1].match(new RegExp(`\\b${key}\\s*:\\s*["'\`]([^"'\`]+)["'\`]`))?.[1];
+    const layout = {};
+
+    if (value('sources')) layout.sources = [value('sources')];
+    if (value('tests')) layout.tests = [value('tests')];
+    if (value('artifacts')) layout.artifacts = [value('artifacts'), value('cache') || 'cache'];
+
+    return layout;
+  }
+
+  parseTruffle(content) {
+    // contracts_directory: "./src" or path.join(__dirname, "src")
+    const value = (key) => content.match(
+      new RegExp(`\\b${key}\\s*:\\s*(?:path\\.(?:join|resolve)\\([^,]*,\\s*)?["'\`]([^"'\`]+)["'\`]`)
+    )?.[1];
+    const layout = {};
+
+    if (value('contracts_directory')) layout.sources = [value('contracts_directory')];
+    if (value('test_directory')) layout.tests = [value('test_directory')];
+    if (value('migrations_directory')) layout.scripts = [value('migrations_directory')];
+    if (value('contracts_build_directory')) layout.artifacts = [value('contracts_build_directory')];
+
+    return layout;
+  }
+
+  parseApe(content) {
+    const data = yaml.load(content) || {};
+    const layout = {};
+
+    if (data.contracts_folder) layout.sources = [data.contracts_folder];
+
+    const remappings = data.solidity?.import_remapping;
+    if (Array.isArray(remappings)) layout.remappings = remappings;
+
+    return layout;
+  }
+
+  parseBrownie(content) {
+    const data = yaml.load(content) || {};
+    const structure = data.project_structure || {};
+    const layout = {};
+
+    if (structure.contracts || structure.interfaces) {
+      layout.sources = [structure.contracts || 'contracts', structure.interfaces || 'interfaces'];
+    }
+    if (structure.tests) layout.tests = [structure.tests];
+    if (structure.scripts) layout.scripts = [structure.scripts];
+    if (structure.build) layout.artifacts = [structure.build];
+
+    const remappings = data.compiler?.solc?.remappings;
+    if (Array.isArray(remappings)) layout.remappings = remappings;
+    else if (typeof remappings === 'string') layout.remappings = [remappings];
+
+    return layout;
+  }
+
+  // 'source', 'test', 'script', 'artifact', 'dependency' or null for files outside every project
+  getFileRole(project, file) {
+    const roles = [
+      ['artifact', 'artifacts'],
+      ['dependency', 'libs'],
+      ['test', 'tests'],
+      ['script', 'scripts'],
+      ['source', 'sources'],
+    ];
+
+    for (const item of project?.projects || []) {
+      for (const [role, key] of roles) {
+        if (item[key].some(dir => this.isInside(file, dir))) return role;
+      }
+    }
+
+    return null;
+  }
+
+  isSourceFile(project, file) {
+    return SOURCE_EXTENSIONS.includes(path.posix.extname(file)) && this.getFileRole(project, file) === 'source';
+  }
+
+  getRemappings(project) {
+    return [...new Set((project?.projects || []).flatMap(item => item.remappings))];
+  }
+
+  getSourceDirs(project) {
+    return [...new Set((project?.projects || []).flatMap(item => item.sources))];
+  }
+
+  getDependencyRoots(project) {
+    return [...new Set((project?.projects || []).flatMap(item => item.libs))];
+  }
+
+  describe(project) {
+    if (!project?.framework) return null;
+
+    return project.projects.map(item =>
+      `${item.framework} (\`${item.configFile}\`, sources in ${item.sources.map(dir => `\`${dir}/\``).join(', ')})`
+    ).join('; ');
+  }
+
+  // A source directory of "." or "./" normalizes to '.', which is the whole repository
+  isInside(file, dir) {
+    return dir === '' || dir === '.' || file.startsWith(`${dir}/`);
+  }
+
+  normalizeDir(dir) {
+    return dir.replace(/^\.\//, '').replace(/\/+$/, '');
+  }
+
+  join(root, file) {
+    return root ? path.posix.normalize(`${root}/${file}`) : path.posix.normalize(file);
+  }
+
+  purgeRepository(owner, repo) {
+    const prefix = `project-${owner}/${repo}@`.toLowerCase();
+    for (const key of this.cache.keys()) {
+      if (key.toLowerCase().startsWith(prefix)) this.cache.delete(key);
+    }
+  }
+
+  getCachedData(key, maxAge) {
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    if (Date.now() - cached.timestamp > maxAge) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return cached.data;
+  }
+
+  setCachedData(key, data) {
+    this.cache.set(key, {
+      data,
+      timestamp: Date.now(),
+    });
+
+    // Clean old cache entries periodically
+    if (this.cache.size > 200) {
+      const oldestKeys = Array.from(this.cache.keys()).slice(0, 40);
+      oldestKeys.forEach(key => this.cache.delete(key));
+    }
+  }
+}
+
+module.exports = new ProjectDetectionService();
@@ -0,0 +1,400 @@
+const yaml = require('js-yaml');
+const Joi = require('joi');
+const { minimatch } = require('minimatch');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const solidityLint = require('../analysis/solidity-lint');
+const securityScanner = require('../analysis/security-scanner');
+const projectDetector = require('./project-detector');
+
+const CONFIG_PATH = '.github/crypto-intel.yml';
+
+// Used when no paths are configured and no framework project was detected
+const FALLBACK_CONTRACT_PATHS = ['**/*.sol', '**/*.vy', '**/*.vyi'];
+
+const DEFAULT_CONFIG = {
+  contracts: {
+    // null lets the detected Hardhat, Foundry, Truffle, Ape or Brownie layout decide
+    paths: null,
+    exclude: ['node_modules/**'],
+  },
+  compiler: {
+    version: null,
+    optimizer: true,
+    runs: 200,
+    evmVersion: null,
+    viaIR: false,
+    remappings: [],
+  },
+  networks: Object.keys(config.blockchain.networks),
+  labels: {
+    enabled: true,
+    keywords: [
+      'smart contract', 'solidity', 'defi', 'ethereum', 'polygon',
+      'gas', 'wei', 'gwei', 'blockchain', 'web3', 'dapp', 'nft',
+      'token', 'crypto', 'uniswap', 'aave', 'compound',
+    ],
+    apply: ['crypto', 'blockchain'],
+  },
+  thresholds: {
+    gasPriceGwei: config.monitoring.gasPriceThresholdGwei,
+    gasRegressionPercent: 5,
+    gasRegressionBudgetPercent: null,
+  },
+  gasReports: {
+    paths: ['.gas-snapshot', 'gasReporterOutput.json', 'gas-report.txt'],
+  },
+  lint: {
+    enabled: true,
+    disabledRules: [],
+    reviewComments: true,
+  },
+  security: {
+    enabled: true,
+    disabledRules: [],
+    reviewComments: true,
+  },
+  codeScanning: {
+    enabled: false,
+    category: 'crypto-intel',
+  },
+  compilerPolicy: {
+    enabled: true,
+    allowFloating: false,
+    maxPatchesBehind: 5,
+  },
+  abi: {
+    enabled: true,
+    paths: ['abi/**/*.json', 'abis/**/*.json'],
+    label: 'abi-breaking',
+    overrideLabel: 'abi-break-approved',
+  },
+  contractSize: {
+    enabled: true,
+    warnPercent: 90,
+  },
+  storageLayout: {
+    enabled: true,
+    upgradeableBases: ['Initializable', 'UUPSUpgradeable', 'ERC1967Upgrade', 'ERC1967UpgradeUpgradeable'],
+  },
+  addresses: {
+    enabled: true,
+    exclude: ['**/package-lock.json', '**/yarn.lock', '**/pnpm-lock.yaml', 'node_modules/**', 'lib/**'],
+    maxLookups: 50,
+    reviewComments: true,
+  },
+  secrets: {
+    enabled: true,
+    exclude: [],
+    notify: true,
+  },
+  checks: {
+    name: 'Crypto Intel',
+    failOn: 'failure',
+    neutralOn: 'warning',
+  },
+  comments: {
+    sticky: true,
+    historySize: 5,
+    minimizeOutdated: false,
+  },
+  commands: {
+    enabled: ['analyze', 'monitor', 'status', 'price', 'gas', 'estimate', 'address', 'tx', 'help'],
+    // Command name → lowest repository role allowed to run it, overriding the built-in defaults
+    permissions: {},
+  },
+  alerts: {
+    enabled: false,
+    types: [],
+    minSeverity: 'medium',
+    labels: ['crypto-intel-alert'],
+    resolveAfterMinutes: 60,
+  },
+  notifications: {
+    mentions: [],
+  },
+};
+
+const schema = Joi.object({
+  contracts: Joi.object({
+    paths: Joi.array().items(Joi.string()).min(1).allow(null),
+    exclude: Joi.array().items(Joi.string()),
+  }),
+  compiler: Joi.object({
+    version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).allow(null),
+    optimizer: Joi.boolean(),
+    runs: Joi.number().integer().min(1),
+    evmVersion: Joi.string().allow(null),
+    viaIR: Joi.boolean(),
+    remappings: Joi.array().items(Joi.string().pattern(/^[^=]+=.*$/)),
+  }),
+  networks: Joi.array().items(Joi.string().valid(...Object.keys(config.blockchain.networks))).unique(),
+  labels: Joi.object({
+    enabled: Joi.boolean(),
+    keywords: Joi.array().items(Joi.string().lowercase()),
+    apply: Joi.array().items(Joi.string()).max(100),
+  }),
+  thresholds: Joi.object({
+    gasPriceGwei: Joi.number().positive(),
+    gasRegressionPercent: Joi.number().min(0),
+    gasRegressionBudgetPercent: Joi.number().min(0).allow(null),
+  }),
+  gasReports: Joi.object({
+    paths: Joi.array().items(Joi.string()),
+  }),
+  lint: Joi.object({
+    enabled: Joi.boolean(),
+    disabledRules: Joi.array().items(Joi.string().valid(...solidityLint.getRuleIds())).unique(),
+    reviewComments: Joi.boolean(),
+  }),
+  security: Joi.object({
+    enabled: Joi.boolean(),
+    disabledRules: Joi.array().items(Joi.string().valid(...securityScanner.getRuleIds())).unique(),
+    reviewComments: Joi.boolean(),
+  }),
+  codeScanning: Joi.object({
+    enabled: Joi.boolean(),
+    category: Joi.string().pattern(/^[\w.-]+$/).max(100),
+  }),
+  compilerPolicy: Joi.object({
+    enabled: Joi.boolean(),
+    allowFloating: Joi.boolean(),
+    maxPatchesBehind: Joi.number().integer().min(1),
+  }),
+  abi: Joi.object({
+    enabled: Joi.boolean(),
+    paths: Joi.array().items(Joi.string()),
+    label: Joi.string().max(50),
+    overrideLabel: Joi.string().max(50),
+  }),
+  contractSize: Joi.object({
+    enabled: Joi.boolean(),
+    warnPercent: Joi.number().min(0).max(100),
+  }),
+  storageLayout: Joi.object({
+    enabled: Joi.boolean(),
+    upgradeableBases: Joi.array().items(Joi.string().pattern(/^\w+$/)).unique(),
+  }),
+  addresses: Joi.object({
+    enabled: Joi.boolean(),
+    exclude: Joi.array().items(Joi.string()),
+    maxLookups: Joi.number().integer().min(0).max(500),
+    reviewComments: Joi.boolean(),
+  }),
+  secrets: Joi.object({
+    enabled: Joi.boolean(),
+    exclude: Joi.array().items(Joi.string()),
+    notify: Joi.boolean(),
+  }),
+  checks: Joi.object({
+    name: Joi.string().max(100),
+    failOn: Joi.string().valid('notice', 'warning', 'failure', 'never'),
+    neutralOn: Joi.string().valid('notice', 'warning', 'failure', 'never'),
+  }),
+  comments: Joi.object({
+    sticky: Joi.boolean(),
+    historySize: Joi.number().integer().min(0).max(20),
+    minimizeOutdated: Joi.boolean(),
+  }),
+  commands: Joi.object({
+    enabled: Joi.array().items(Joi.string()).unique(),
+    permissions: Joi.object().pattern(Joi.string(), Joi.string().valid('read', 'triage', 'write', 'maintain', 'admin')),
+  }),
+  alerts: Joi.object({
+    enabled: Joi.boolean(),
+    types: Joi.array().items(Joi.string().pattern(/^\w+$/)).unique(),
+    minSeverity: Joi.string().valid('low', 'medium', 'high'),
+    labels: Joi.array().items(Joi.string().max(50)).min(1).unique(),
+    resolveAfterMinutes: Joi.number().integer().min(0).max(7 * 24 * 60),
+  }),
+  notifications: Joi.object({
+    mentions: Joi.array().items(Joi.string().pattern(/^@[\w-]+(\/[\w.-]+)?$/)),
+  }),
+});
+
+class RepoConfigService {
+  constructor() {
+    this.cache = new Map();
+    this.configPath = CONFIG_PATH;
+    // Called with (installationId, owner, repo, result) whenever a configuration is loaded from GitHub
+    this.loadListeners = [];
+  }
+
+  onLoad(listener) {
+    this.loadListeners.push(listener);
+  }
+
+  async getConfig(octokit, installationId, owner, repo) {
+    const cacheKey = this.getCacheKey(installationId, owner, repo);
+    const cached = this.getCachedData(cacheKey, 60 * 60 * 1000); // 1 hour cache, refreshed on push
+
+    if (cached) return cached;
+
+    const result = await this.loadConfig(octokit, owner, repo);
+    this.setCachedData(cacheKey, result);
+    this.loadListeners.forEach(listener => listener(installationId, owner, repo, result));
+    return result;
+  }
+
+  async loadConfig(octokit, owner, repo) {
+    let content;
+
+    try {
+      // No ref means the repository's default branch
+      const { data } = await octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path: this.configPath,
+      });
+      content = Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+    } catch (error) {
+      if (error.status === 404) {
+        return { config: this.getDefaults(), errors: [], source: 'default' };
+      }
+      logger.error(`Failed to fetch ${this.configPath} for ${owner}/${repo}:`, error);
+      throw error;
+    }
+
+    const result = this.parse(content);
+
+    if (result.errors.length > 0) {
+      logger.warn('Invalid repository configuration', {
+        owner,
+        repo,
+        errors: result.errors,
+      });
+    }
+
+    return result;
+  }
+
+  parse(content) {
+    let raw;
+
+    try {
+      raw = yaml.load(content) || {};
+    } catch (error) {
+      return {
+        config: null,
+        errors: [`YAML syntax error: ${error.message}`],
+        source: this.configPath,
+      };
+    }
+
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      return {
+        config: null,
+        errors: ['Configuration must be a YAML mapping'],
+        source: this.configPath,
+      };
+    }
+
+    const { value, error } = schema.validate(raw, { abortEarly: false });
+    if (error) {
+      return {
+        config: null,
+        errors: error.details.map(detail => detail.message),
+        source: this.configPath,
+      };
+    }
+
+    return {
+      config: this.mergeWithDefaults(value),
+      errors: [],
+      source: this.configPath,
+    };
+  }
+
+  mergeWithDefaults(value) {
+    const defaults = this.getDefaults();
+    const merged = { ...defaults, ...value };
+
+    for (const section of ['contracts', 'compiler', 'labels', 'thresholds', 'gasReports', 'lint', 'security', 'codeScanning', 'compilerPolicy', 'abi', 'contractSize', 'storageLayout', 'addresses', 'secrets', 'checks', 'comments', 'commands', 'alerts', 'notifications']) {
+      merged[section] = { ...defaults[section], ...(value[section] || {}) };
+    }
+
+    return merged;
+  }
+
+  getDefaults() {
+    return JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  }
+
+  isContractFile(filename, repoConfig, project = null) {
+    const { paths, exclude } = repoConfig.contracts;
+    const options = { dot: true };
+
+    if (exclude.some(pattern => minimatch(filename, pattern, options))) {
+      return false;
+    }
+
+    if (paths) {
+      return paths.some(pattern => minimatch(filename, pattern, options));
+    }
+
+    if (project?.framework) {
+      return projectDetector.isSourceFile(project, filename);
+    }
+
+    return FALLBACK_CONTRACT_PATHS.some(pattern => minimatch(filename, pattern, options));
+  }
+
+  isAbiFile(filename, repoConfig) {
+    return repoConfig.abi.paths.some(pattern => minimatch(filename, pattern, { dot: true }));
+  }
+
+  touchesConfig(commits) {
+    return commits.some(commit =>
+      [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])]
+        .includes(this.configPath)
+    );
+  }
+
+  formatErrors(errors) {
+    return `The \`${this.configPath}\` file on the default branch is invalid:\n\n` +
+      errors.map(error => `- ${error}`).join('\n') +
+      '\n\nFix the file to re-enable Crypto Intel analysis for this repository.';
+  }
+
+  invalidate(installationId, owner, repo) {
+    this.cache.delete(this.getCacheKey(installationId, owner, repo));
+  }
+
+  purgeRepository(owner, repo) {
+    const suffix = `:${owner}/${repo}`.toLowerCase();
+    for (const key of this.cache.keys()) {
+      if (key.toLowerCase().endsWith(suffix)) this.cache.delete(key);
+    }
+  }
+
+  getCacheKey(installationId, owner, repo) {
+    return `${installationId}:${owner}/${repo}`;
+  }
+
+  getCachedData(key, maxAge) {
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    if (Date.now() - cached.timestamp > maxAge) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return cached.data;
+  }
+
+  setCachedData(key, data) {
+    this.cache.set(key, {
+      data,
+      timestamp: Date.now(),
+    });
+
+    // Clean old cache entries periodically
+    if (this.cache.size > 500) {
+      const oldestKeys = Array.from(this.cache.keys()).slice(0, 100);
+      oldestKeys.forEach(key => this.cache.delete(key));
+    }
+  }
+}
+
+module.exports = new RepoConfigService();
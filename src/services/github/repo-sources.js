@@ -0,0 +1,464 @@
+const path = require('path');
+const logger = require('../../utils/logger');
+const { isRetryableError } = require('../../utils/errors');
+const config = require('../../config');
+
+const IMPORT_PATTERN = /^\s*import\s+(?:[^'"]*?\s+from\s+)?["']([^"']+)["']\s*;/gm;
+// `import a.b as c`, `from a.b import c, d` and relative `from . import c`
+const VYPER_IMPORT_PATTERN = /^\s*(?:from\s+([\w.]+)\s+import\s+\(?([\w\s,]+?)\)?|import\s+([\w.]+))(?:\s+as\s+\w+)?\s*(?:#.*)?$/gm;
+const VYPER_EXTENSIONS = ['.vy', '.vyi', '.json'];
+// Interfaces shipped with the compiler itself
+const VYPER_BUILTIN_ROOTS = ['vyper', 'ethereum'];
+
+// Where Hardhat/Truffle and Foundry projects keep their dependencies
+const DEPENDENCY_ROOTS = ['node_modules', 'lib'];
+
+class RepoReader {
+  constructor(service, octokit, owner, repo, ref) {
+    this.service = service;
+    this.octokit = octokit;
+    this.owner = owner;
+    this.repo = repo;
+    this.ref = ref;
+    this.tree = null;
+    this.submodules = null;
+    this.submoduleReaders = new Map();
+  }
+
+  async loadTree() {
+    if (!this.tree) {
+      this.tree = await this.service.getTree(this.octokit, this.owner, this.repo, this.ref);
+    }
+    return this.tree;
+  }
+
+  async list() {
+    const tree = await this.loadTree();
+    return Array.from(tree.entries.entries())
+      .filter(([, entry]) => entry.type === 'blob')
+      .map(([filePath]) => filePath);
+  }
+
+  async exists(filePath) {
+    const tree = await this.loadTree();
+    const entry = tree.entries.get(filePath);
+    if (entry) return entry.type === 'blob';
+
+    const submodule = await this.findSubmodule(filePath);
+    return submodule ? submodule.reader.exists(submodule.relativePath) : false;
+  }
+
+  async read(filePath) {
+    const tree = await this.loadTree();
+    const entry = tree.entries.get(filePath);
+
+    if (entry && entry.type === 'blob') {
+      return this.service.getBlob(this.octokit, this.owner, this.repo, entry.sha);
+    }
+
+    const submodule = await this.findSubmodule(filePath);
+    return submodule ? submodule.reader.read(submodule.relativePath) : null;
+  }
+
+  async findSubmodule(filePath) {
+    const tree = await this.loadTree();
+
+    for (const [entryPath, entry] of tree.entries) {
+      if (entry.type !== 'commit' || !filePath.startsWith(`${entryPath}/`)) continue;
+
+      const reader = await this.getSubmoduleReader(entryPath, entry.sha);
+      if (!reader) return null;
+
+      return { reader, relativePath: filePath.substring(entryPath.length + 1) };
+    }
+
+    return null;
+  }
+
+  async getSubmoduleReader(submodulePath, sha) {
+    if (this.submoduleReaders.has(submodulePath)) {
+      return this.submoduleReaders.get(submodulePath);
+    }
+
+    if (!this.submodules) {
+      this.submodules = this.service.parseGitmodules(await this.read('.gitmodules'));
+    }
+
+    const target = this.service.parseGitHubUrl(this.submodules[submodulePath]);
+    let reader = target
+      ? new RepoReader(this.service, this.octokit, target.owner, target.repo, sha)
+      : null;
+
+    if (!reader) {
+      logger.debug(`Submodule ${submodulePath} in ${this.owner}/${this.repo} is not hosted on GitHub`);
+    } else {
+      // Private or deleted submodule repositories leave their imports unresolved instead of failing the analysis
+      try {
+        await reader.loadTree();
+      } catch (error) {
+        if ((error.status !== 404 && error.status !== 403) || isRetryableError(error)) throw error;
+
+        logger.debug(`Submodule ${submodulePath} in ${this.owner}/${this.repo} cannot be read: ${error.message}`);
+        reader = null;
+      }
+    }
+
+    this.submoduleReaders.set(submodulePath, reader);
+    return reader;
+  }
+}
+
+class RepoSourceService {
+  constructor() {
+    this.cache = new Map();
+    this.maxSourceFiles = config.analysis.maxSourceFiles;
+  }
+
+  createReader(octokit, owner, repo, ref) {
+    return new RepoReader(this, octokit, owner, repo, ref);
+  }
+
+  async getTree(octokit, owner, repo, ref) {
+    const cacheKey = `tree-${owner}/${repo}@${ref}`;
+    const cached = this.getCachedData(cacheKey, 10 * 60 * 1000); // 10 minutes cache
+
+    if (cached) return cached;
+
+    let treeRef = ref;
+    if (!treeRef) {
+      const { data } = await octokit.rest.repos.get({ owner, repo });
+      treeRef = data.default_branch;
+    }
+
+    const { data } = await octokit.rest.git.getTree({
+      owner,
+      repo,
+      tree_sha: treeRef,
+      recursive: 'true',
+    });
+
+    if (data.truncated) {
+      logger.warn(`Repository tree truncated for ${owner}/${repo}@${treeRef}`);
+    }
+
+    const tree = {
+      sha: data.sha,
+      entries: new Map(data.tree.map(entry => [entry.path, {
+        type: entry.type,
+        sha: entry.sha,
+        size: entry.size,
+      }])),
+    };
+
+    this.setCachedData(cacheKey, tree);
+    return tree;
+  }
+
+  async getBlob(octokit, owner, repo, sha) {
+    // Blobs are content-addressed, so they never go stale
+    const cacheKey = `blob-${sha}`;
+    const cached = this.getCachedData(cacheKey, 24 * 60 * 60 * 1000);
+
+    if (cached) return cached;
+
+    const { data } = await octokit.rest.git.getBlob({
+      owner,
+      repo,
+      file_sha: sha,
+    });
+
+    const content = Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+    this.setCachedData(cacheKey, content);
+    return content;
+  }
+
+  async getRemappings(reader, extraRemappings = []) {
+    const remappings = [...extraRemappings];
+
+    const remappingsTxt = await reader.read('remappings.txt');
+    if (remappingsTxt) {
+      remappings.push(...remappingsTxt.split('\n').map(line => line.trim()).filter(Boolean));
+    }
+
+    const foundryToml = await reader.read('foundry.toml');
+    if (foundryToml) {
+      const match = foundryToml.match(/^\s*remappings\s*=\s*\[([\s\S]*?)\]/m);
+      if (match) {
+        remappings.push(...Array.from(match[1].matchAll(/["']([^"']+)["']/g), m => m[1]));
+      }
+    }
+
+    return this.parseRemappings(remappings);
+  }
+
+  parseRemappings(remappings) {
+    return remappings
+      .map(remapping => {
+        // Optional solc context prefix: "context:prefix=target"
+        const [left, target] = remapping.split('=');
+        if (!left || target === undefined) return null;
+        const prefix = left.includes(':') ? left.split(':')[1] : left;
+        return { prefix, target };
+      })
+      .filter(Boolean);
+  }
+
+  async collectSoliditySources(reader, isEntryFile, options = {}) {
+    const remappings = await this.getRemappings(reader, options.remappings);
+    // Detected projects may keep dependencies somewhere other than the repository root
+    const dependencyRoots = [...new Set([...(options.dependencyRoots || []), ...DEPENDENCY_ROOTS])];
+    const files = await reader.list();
+    const entryFiles = files.filter(file => file.endsWith('.sol') && isEntryFile(file));
+
+    const sources = {};
+    const missing = [];
+    const resolvedRemappings = remappings.map(({ prefix, target }) => `${prefix}=${target}`);
+    const queue = [...entryFiles];
+
+    while (queue.length > 0) {
+      const file = queue.shift();
+      if (sources[file]) continue;
+
+      if (Object.keys(sources).length >= this.maxSourceFiles) {
+        logger.warn(`Source file limit reached for ${reader.owner}/${reader.repo}`, {
+          limit: this.maxSourceFiles,
+        });
+        break;
+      }
+
+      const content = await reader.read(file);
+      if (content === null) continue;
+      sources[file] = { content };
+
+      for (const importPath of this.getImports(content)) {
+        const resolved = await this.resolveImport(reader, file, importPath, remappings, dependencyRoots);
+
+        if (!resolved) {
+          missing.push({ file, importPath });
+          continue;
+        }
+
+        if (resolved.remapping && !resolvedRemappings.includes(resolved.remapping)) {
+          resolvedRemappings.push(resolved.remapping);
+        }
+        queue.push(resolved.path);
+      }
+    }
+
+    return {
+      sources,
+      entryFiles: entryFiles.filter(file => sources[file]),
+      remappings: resolvedRemappings,
+      missing,
+    };
+  }
+
+  async collectVyperSources(reader, isEntryFile, options = {}) {
+    const files = await reader.list();
+    const entryFiles = files.filter(file => file.endsWith('.vy') && isEntryFile(file));
+    const searchPaths = [...new Set([...(options.searchPaths || []), ''])];
+
+    const sources = {};
+    const interfaces = {};
+    const missing = [];
+    const queue = [...entryFiles];
+
+    while (queue.length > 0) {
+      const file = queue.shift();
+      if (sources[file] || interfaces[file]) continue;
+
+      if (Object.keys(sources).length + Object.keys(interfaces).length >= this.maxSourceFiles) {
+        logger.warn(`Source file limit reached for ${reader.owner}/${reader.repo}`, {
+          limit: this.maxSourceFiles,
+        });
+        break;
+      }
+
+      const content = await reader.read(file);
+      if (content === null) continue;
+
+      // JSON ABIs can be imported as interfaces
+      if (file.endsWith('.json')) {
+        try {
+          const abi = JSON.parse(content);
+          interfaces[file] = { abi: Array.isArray(abi) ? abi : abi.abi || [] };
+        } catch (error) {
+          logger.warn(`Invalid interface ABI ${file} in ${reader.owner}/${reader.repo}: ${error.message}`);
+        }
+        continue;
+      }
+
+      sources[file] = { content };
+
+      for (const { importPath, candidates } of this.getVyperImports(content)) {
+        const resolved = await this.resolveVyperImport(reader, file, candidates, searchPaths);
+
+        if (resolved) {
+          queue.push(resolved);
+        } else if (!VYPER_BUILTIN_ROOTS.includes(importPath.split('.')[0])) {
+          missing.push({ file, importPath });
+        }
+      }
+    }
+
+    return {
+      sources,
+      interfaces,
+      entryFiles: entryFiles.filter(file => sources[file]),
+      searchPaths: searchPaths.map(searchPath => searchPath || '.'),
+      missing,
+    };
+  }
+
+  getVyperImports(content) {
+    const imports = [];
+
+    for (const match of content.matchAll(VYPER_IMPORT_PATTERN)) {
+      if (match[3]) {
+        imports.push({ importPath: match[3], candidates: [match[3]] });
+        continue;
+      }
+
+      // `from a import b` imports either the module a/b or the name b from the module a
+      for (const name of match[2].split(',').map(item => item.trim().split(/\s+/)[0]).filter(Boolean)) {
+        imports.push(match[1].endsWith('.')
+          ? { importPath: `${match[1]}${name}`, candidates: [`${match[1]}${name}`] }
+          : { importPath: `${match[1]}.${name}`, candidates: [`${match[1]}.${name}`, match[1]] });
+      }
+    }
+
+    return imports;
+  }
+
+  async resolveVyperImport(reader, fromFile, candidates, searchPaths) {
+    for (const candidate of candidates) {
+      const dots = candidate.match(/^\.*/)[0].length;
+      const modulePath = candidate.substring(dots).split('.').join('/');
+
+      let roots = searchPaths;
+      if (dots > 0) {
+        let root = path.posix.dirname(fromFile);
+        for (let i = 1; i < dots; i++) root = path.posix.dirname(root);
+        roots = [root === '.' ? '' : root];
+      }
+
+      for (const root of roots) {
+        for (const extension of VYPER_EXTENSIONS) {
+          const file = path.posix.normalize(root ? `${root}/${modulePath}${extension}` : `${modulePath}${extension}`);
+          if (await reader.exists(file)) return file;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  getImports(content) {
+    return Array.from(content.matchAll(IMPORT_PATTERN), match => match[1]);
+  }
+
+  async resolveImport(reader, fromFile, importPath, remappings, dependencyRoots = DEPENDENCY_ROOTS) {
+    if (importPath.startsWith('./') || importPath.startsWith('../')) {
+      const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), importPath));
+      return (await reader.exists(resolved)) ? { path: resolved } : null;
+    }
+
+    // Longest matching remapping wins, as in solc
+    const remapping = remappings
+      .filter(({ prefix }) => importPath.startsWith(prefix))
+      .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+    if (remapping) {
+      const resolved = path.posix.normalize(remapping.target + importPath.substring(remapping.prefix.length));
+      if (await reader.exists(resolved)) return { path: resolved };
+    }
+
+    if (await reader.exists(importPath)) {
+      return { path: importPath };
+    }
+
+    // Implicit dependency lookups, e.g. "@openzeppelin/..." from node_modules or lib/
+    for (const root of dependencyRoots) {
+      const candidates = [`${root}/${importPath}`];
+
+      // Foundry-style lib/<package-name>/<path> without the npm scope
+      const [scopeOrName, name, ...rest] = importPath.split('/');
+      if (path.posix.basename(root) === 'lib' && scopeOrName.startsWith('@') && name) {
+        candidates.push(`${root}/${name}/${rest.join('/')}`, `${root}/${scopeOrName.substring(1)}-${name}/${rest.join('/')}`);
+      }
+
+      for (const candidate of candidates) {
+        if (await reader.exists(candidate)) {
+          return { path: candidate, remapping: `${importPath}=${candidate}` };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  parseGitmodules(content) {
+    const submodules = {};
+    if (!content) return submodules;
+
+    let current = null;
+    for (const line of content.split('\n')) {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('[submodule')) {
+        current = {};
+        continue;
+      }
+
+      const match = trimmed.match(/^(path|url)\s*=\s*(.+)$/);
+      if (match && current) {
+        current[match[1]] = match[2];
+        if (current.path && current.url) {
+          submodules[current.path] = current.url;
+        }
+      }
+    }
+
+    return submodules;
+  }
+
+  parseGitHubUrl(url) {
+    if (!url) return null;
+
+    const match = url.match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+    return match ? { owner: match[1], repo: match[2] } : null;
+  }
+
+  purgeRepository(owner, repo) {
+    const prefix = `tree-${owner}/${repo}@`.toLowerCase();
+    for (const key of this.cache.keys()) {
+      if (key.toLowerCase().startsWith(prefix)) this.cache.delete(key);
+    }
+  }
+
+  getCachedData(key, maxAge) {
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    if (Date.now() - cached.timestamp > maxAge) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return cached.data;
+  }
+
+  setCachedData(key, data) {
+    this.cache.set(key, {
+      data,
+      timestamp: Date.now(),
+    });
+
+    // Clean old cache entries periodically
+    if (this.cache.size > 2000) {
+      const oldestKeys = Array.from(this.cache.keys()).slice(0, 400);
+      oldestKeys.forEach(key => this.cache.delete(key));
+    }
+  }
+}
+
+module.exports = new RepoSourceService();
@@ -0,0 +1,123 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const checkRuns = require('./check-runs');
+const secretScanner = require('../analysis/secret-scanner');
+
+const CHECK_NAME_SUFFIX = 'secrets';
+const ZERO_SHA = /^0+$/;
+
+class SecretAlertService {
+  // `run.dryRun` lists the alert webhook call in `run.effects` instead of sending it
+  async scanPush(octokit, owner, repo, payload, repoConfig, run = {}) {
+    if (!repoConfig.secrets.enabled || payload.deleted) return [];
+
+    // A new branch has no `before`; compare it with the default branch instead
+    const base = ZERO_SHA.test(payload.before) ? payload.repository.default_branch : payload.before;
+    const { data } = await octokit.rest.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${base}...${payload.after}`,
+    });
+
+    const findings = secretScanner.scanFiles(data.files || [], repoConfig.secrets);
+    if (findings.length > 0) {
+      await this.report(octokit, owner, repo, payload.after, findings, {
+        source: `push to \`${payload.ref.replace(/^refs\/heads\//, '')}\``,
+        url: payload.compare,
+      }, repoConfig, run);
+    }
+
+    return findings;
+  }
+
+  async scanPullRequest(octokit, owner, repo, pullRequest, files, repoConfig, run = {}) {
+    if (!repoConfig.secrets.enabled) return [];
+
+    const findings = secretScanner.scanFiles(files, repoConfig.secrets);
+    if (findings.length > 0) {
+      await this.report(octokit, owner, repo, pullRequest.head.sha, findings, {
+        source: `pull request #${pullRequest.number}`,
+        url: pullRequest.html_url,
+      }, repoConfig, run);
+    }
+
+    return findings;
+  }
+
+  // Reported through a failing check run and the private alert webhook, never in comments
+  async report(octokit, owner, repo, headSha, findings, context, repoConfig, run = {}) {
+    logger.warn('Secrets detected in repository changes', {
+      owner,
+      repo,
+      headSha,
+      source: context.source,
+      rules: [...new Set(findings.map(finding => finding.ruleId))],
+      count: findings.length,
+    });
+
+    const checkRun = await checkRuns.create(
+      octokit, owner, repo, headSha, `${repoConfig.checks.name} ${CHECK_NAME_SUFFIX}`
+    );
+    await checkRuns.complete(octokit, owner, repo, checkRun.id, {
+      title: `${findings.length} secret(s) detected`,
+      summary: this.formatSummary(findings, context),
+      findings,
+    }, { failOn: 'failure', neutralOn: 'never' });
+
+    if (repoConfig.secrets.notify) {
+      await this.notify(owner, repo, headSha, findings, context, run);
+    }
+  }
+
+  async notify(owner, repo, headSha, findings, context, run = {}) {
+    const webhookUrl = config.alerts.secretWebhookUrl;
+    if (!webhookUrl) return;
+
+    if (run.dryRun) {
+      run.effects.push({
+        type: 'secret_alert',
+        repository: `${owner}/${repo}`,
+        commit: headSha,
+        count: findings.length,
+      });
+      return;
+    }
+
+    // Slack-compatible payload; other receivers can read the structured fields
+    const text = `🔐 ${findings.length} secret(s) detected in ${owner}/${repo} (${context.source}, ` +
+      `commit ${headSha.substring(0, 7)}):\n` +
+      findings.map(finding => `• ${finding.title} in ${finding.path}:${finding.line}`).join('\n') +
+      (context.url ? `\n${context.url}` : '');
+
+    try {
+      await axios.post(webhookUrl, {
+        text,
+        repository: `${owner}/${repo}`,
+        commit: headSha,
+        source: context.source,
+        findings: findings.map(({ path, line, ruleId }) => ({ path, line, ruleId })),
+      }, { timeout: 10000 });
+
+      logger.githubAction('secret_alert_sent', owner, repo, { headSha, count: findings.length });
+    } catch (error) {
+      logger.error(`Failed to send secret alert for ${owner}/${repo}:`, error);
+    }
+  }
+
+  formatSummary(findings, context) {
+    return [
+      `Crypto Intel found ${findings.length} secret(s) in the changes from ${context.source}. ` +
+        'The values are not repeated here; see the annotations for their locations.',
+      '',
+      '**Removing the lines is not enough.** Anything committed stays in the git history and may already ' +
+        'have been copied, so revoke or rotate each secret and move any funds controlled by leaked keys.',
+      '',
+      '| File | Line | Secret |',
+      '|---|---:|---|',
+      ...findings.map(finding => `| \`${finding.path}\` | ${finding.line} | ${finding.title} |`),
+    ].join('\n');
+  }
+}
+
+module.exports = new SecretAlertService();
@@ -4,6 +4,19 @@ const arkhamIntel = require('./api/arkham-intel');
 const gasEstimation = require('./monitoring/gas-estimation');
 const networkMonitoring = require('./monitoring/network-monitoring');
 const defiMonitoring = require('./monitoring/defi-monitoring');
+const repoConfig = require('./github/repo-config');
+const checkRuns = require('./github/check-runs');
+const pullRequestAnalysis = require('./github/pr-analysis');
+const pullRequestComments = require('./github/pr-comments');
+const pullRequestReviews = require('./github/pr-review');
+const codeScanning = require('./github/code-scanning');
+const secretAlerts = require('./github/secret-alerts');
+const projects = require('./github/project-detector');
+const repoSources = require('./github/repo-sources');
+const botCommands = require('./github/bot-commands');
+const installations = require('./github/installations');
+const permissions = require('./github/permissions');
+const alertManager = require('./github/alert-manager');
 const logger = require('../utils/logger');
 
 class ApiServices {
@@ -14,6 +27,19 @@ class ApiServices {
     this.gasEstimation = gasEstimation;
     this.networkMonitoring = networkMonitoring;
     this.defiMonitoring = defiMonitoring;
+    this.repoConfig = repoConfig;
+    this.checkRuns = checkRuns;
+    this.pullRequestAnalysis = pullRequestAnalysis;
+    this.pullRequestComments = pullRequestComments;
+    this.pullRequestReviews = pullRequestReviews;
+    this.codeScanning = codeScanning;
+    this.secretAlerts = secretAlerts;
+    this.projects = projects;
+    this.repoSources = repoSources;
+    this.botCommands = botCommands;
+    this.installations = installations;
+    this.permissions = permissions;
+    this.alertManager = alertManager;
   }
 
   async getOverallStatus() {
@@ -82,6 +108,15 @@ class ApiServices {
     await Promise.all(initPromises);
     logger.info('All services initialization completed');
   }
+
+  // Forgets everything cached or monitored for a repository the app lost access to
+  purgeRepository(owner, repo) {
+    for (const service of Object.values(this)) {
+      if (service.purgeRepository) {
+        service.purgeRepository(owner, repo);
+      }
+    }
+  }
 }
 
 const apiServices = new ApiServices();
@@ -91,4 +126,5 @@ module.exports = {
   ...apiServices,
   getOverallStatus: () => apiServices.getOverallStatus(),
   initializeAll: () => apiServices.initializeAll(),
+  purgeRepository: (owner, repo) => apiServices.purgeRepository(owner, repo),
 }; 
\ No newline at end of file
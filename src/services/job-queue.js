@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Each job is one JSON file in the directory of its state, moved with atomic renames
+const STATES = ['pending', 'processing', 'completed', 'dead'];
+
+class JobQueue {
+  constructor() {
+    this.dir = config.queue.dir;
+    this.concurrency = config.queue.concurrency;
+    this.maxAttempts = config.queue.maxAttempts;
+    this.retryDelayMs = config.queue.retryDelayMs;
+    this.maxRetryDelayMs = config.queue.maxRetryDelayMs;
+    this.completedRetentionMs = config.queue.completedRetentionHours * 60 * 60 * 1000;
+
+    // Job metadata by id; payloads stay on disk until a job runs
+    this.jobs = new Map();
+    this.processor = null;
+    this.running = 0;
+    this.timer = null;
+    this.pruneTimer = null;
+    this.isRunning = false;
+    this.loaded = false;
+  }
+
+  // Loads stored jobs; jobs left in processing by a crash or restart are run again
+  load() {
+    if (this.loaded) return;
+
+    for (const state of STATES) {
+      fs.mkdirSync(path.join(this.dir, state), { recursive: true });
+    }
+
+    for (const state of STATES) {
+      for (const file of fs.readdirSync(path.join(this.dir, state))) {
+        if (!file.endsWith('.json')) continue;
+
+        try {
+          const { payload, ...job } = JSON.parse(fs.readFileSync(path.join(this.dir, state, file), 'utf8'));
+          this.jobs.set(job.id, { ...job, state });
+        } catch (error) {
+          logger.error(`Skipping unreadable queue file ${state}/${file}:`, error);
+        }
+      }
+    }
+
+    const interrupted = this.list('processing');
+    for (const job of interrupted) {
+      this.moveSync(job, 'pending');
+    }
+
+    this.loaded = true;
+    logger.info('Job queue loaded', { ...this.getStats(), requeued: interrupted.length });
+  }
+
+  start(processor) {
+    if (this.isRunning) {
+      logger.warn('Job queue already running');
+      return;
+    }
+
+    this.load();
+    this.processor = processor;
+    this.isRunning = true;
+
+    this.pruneCompleted();
+    this.pruneTimer = setInterval(() => this.pruneCompleted(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+
+    logger.info(`Job queue started with ${this.concurrency} workers`);
+    this.schedule();
+  }
+
+  // In-flight jobs finish; anything interrupted is picked up again on the next start
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    clearInterval(this.pruneTimer);
+    logger.info('Job queue stopped');
+  }
+
+  // Returns { job, duplicate }; a known id is never queued twice, whatever state it is in
+  enqueue({ id, type, payload, metadata = {} }) {
+    this.load();
+
+    const jobId = this.toJobId(id || crypto.randomUUID());
+    const existing = this.jobs.get(jobId);
+    if (existing) {
+      return { job: existing, duplicate: true };
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: jobId,
+      type,
+      metadata,
+      state: 'pending',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      createdAt: now,
+      updatedAt: now,
+      runAt: now,
+      lastError: null,
+    };
+
+    this.writeSync(job, payload);
+    this.jobs.set(jobId, job);
+    this.schedule();
+
+    return { job, duplicate: false };
+  }
+
+  schedule() {
+    if (!this.isRunning) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    const pending = this.list('pending').sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt));
+
+    for (const job of pending) {
+      if (this.running >= this.concurrency) return;
+
+      if (Date.parse(job.runAt) > now) {
+        // Wake up for the next job waiting out its backoff
+        this.timer = setTimeout(() => this.schedule(), Date.parse(job.runAt) - now);
+        this.timer.unref();
+        return;
+      }
+
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+
+    try {
+      await this.attempt(job);
+    } catch (error) {
+      logger.error(`Job queue failed to update job ${job.id}:`, error);
+    } finally {
+      this.running--;
+      this.schedule();
+    }
+  }
+
+  async attempt(job) {
+    // Counted before running so a job that crashes the process still runs out of attempts
+    job.attempts++;
+    this.moveSync(job, 'processing');
+
+    const startTime = Date.now();
+    try {
+      await this.processor({ ...job, payload: this.readPayload(job) });
+
+      job.lastError = null;
+      this.moveSync(job, 'completed');
+      logger.performance(`Job ${job.type}`, Date.now() - startTime, { jobId: job.id, attempts: job.attempts });
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (job.attempts >= job.maxAttempts) {
+        this.moveSync(job, 'dead');
+        logger.error(`Job ${job.id} (${job.type}) failed ${job.attempts} times, moved to dead letters:`, error);
+        return;
+      }
+
+      // Exponential backoff: 10s, 20s, 40s, ... capped
+      const delay = Math.min(this.retryDelayMs * 2 ** (job.attempts - 1), this.maxRetryDelayMs);
+      job.runAt = new Date(Date.now() + delay).toISOString();
+      this.moveSync(job, 'pending');
+      logger.warn(`Job ${job.id} (${job.type}) failed, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    }
+  }
+
+  // Sends a dead or completed job through the workers again
+  retry(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    if (job.state === 'pending' || job.state === 'processing') {
+      throw new Error(`Job ${id} is already ${job.state}`);
+    }
+
+    job.attempts = 0;
+    job.lastError = null;
+    job.runAt = new Date().toISOString();
+    this.moveSync(job, 'pending');
+    const queued = { ...job };
+    this.schedule();
+
+    return queued;
+  }
+
+  remove(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    if (job.state === 'processing') {
+      throw new Error(`Job ${id} is being processed`);
+    }
+
+    fs.rmSync(this.getFilePath(job.state, id), { force: true });
+    this.jobs.delete(id);
+  }
+
+  // Drops waiting jobs of a repository the app can no longer access; they would only fail
+  purgeRepository(owner, repo) {
+    const fullName = `${owner}/${repo}`.toLowerCase();
+    const purged = this.list('pending').filter(job => job.metadata.repository?.toLowerCase() === fullName);
+
+    for (const job of purged) {
+      this.remove(job.id);
+    }
+    return purged.length;
+  }
+
+  get(id, { includePayload = false } = {}) {
+    this.load();
+
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    return includePayload ? { ...job, payload: this.readPayload(job) } : { ...job };
+  }
+
+  list(state = null, limit = Infinity) {
+    return Array.from(this.jobs.values())
+      .filter(job => !state || job.state === state)
+      .slice(-limit);
+  }
+
+  getStats() {
+    const stats = { running: this.running, concurrency: this.concurrency };
+    for (const state of STATES) {
+      stats[state] = 0;
+    }
+    for (const job of this.jobs.values()) {
+      stats[job.state]++;
+    }
+    return stats;
+  }
+
+  pruneCompleted() {
+    const cutoff = Date.now() - this.completedRetentionMs;
+    let pruned = 0;
+
+    for (const job of this.list('completed')) {
+      if (Date.parse(job.updatedAt) < cutoff) {
+        fs.rmSync(this.getFilePath('completed', job.id), { force: true });
+        this.jobs.delete(job.id);
+        pruned++;
+      }
+    }
+
+    if (pruned > 0) {
+      logger.info(`Pruned ${pruned} completed jobs`);
+    }
+  }
+
+  readPayload(job) {
+    return JSON.parse(fs.readFileSync(this.getFilePath(job.state, job.id), 'utf8')).payload;
+  }
+
+  moveSync(job, state) {
+    const from = this.getFilePath(job.state, job.id);
+    const stored = JSON.parse(fs.readFileSync(from, 'utf8'));
+
+    const previous = job.state;
+    job.state = state;
+    job.updatedAt = new Date().toISOString();
+    this.writeSync(job, stored.payload);
+    if (previous !== state) {
+      fs.rmSync(from, { force: true });
+    }
+  }
+
+  // Written to a temporary file first so a crash never leaves a half-written job
+  writeSync(job, payload) {
+    const file = this.getFilePath(job.state, job.id);
+    const temp = `${file}.${process.pid}.tmp`;
+    const { state, ...stored } = job;
+
+    fs.writeFileSync(temp, JSON.stringify({ ...stored, payload }));
+    fs.renameSync(temp, file);
+  }
+
+  getFilePath(state, id) {
+    return path.join(this.dir, state, `${id}.json`);
+  }
+
+  // Delivery ids are UUIDs; anything else is hashed into a safe file name
+  toJobId(id) {
+    const value = String(id);
+    return /^[\w-]{1,100}$/.test(value) ? value : crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = new JobQueue();
@@ -2,6 +2,17 @@ const { ethers } = require('ethers');
 const axios = require('axios');
 const logger = require('../../utils/logger');
 const config = require('../../config');
+const repoSources = require('../github/repo-sources');
+const repoConfigService = require('../github/repo-config');
+const projectDetector = require('../github/project-detector');
+const solidityCompiler = require('../analysis/solidity-compiler');
+const solidityLint = require('../analysis/solidity-lint');
+const storageLayout = require('../analysis/storage-layout');
+const vyperCompiler = require('../analysis/vyper-compiler');
+
+// Intrinsic transaction gas plus the CREATE surcharge paid by every deployment
+const DEPLOYMENT_BASE_GAS = 21000 + 32000;
+const CODE_DEPOSIT_GAS_PER_BYTE = 200;
 
 class GasEstimationService {
   constructor() {
@@ -301,7 +312,7 @@ class GasEstimationService {
     }
   }
 
-  analyzeGasTrends(gasPrices) {
+  analyzeGasTrends(gasPrices, threshold = config.monitoring.gasPriceThresholdGwei) {
     const analysis = {
       highGasNetworks: [],
       alerts: [],
@@ -317,8 +328,6 @@ class GasEstimationService {
     if (validPrices.length === 0) return analysis;
 
     // Find networks with high gas prices
-    const threshold = config.monitoring.gasPriceThresholdGwei;
-    
     for (const gasPrice of validPrices) {
       const gasPriceNum = parseFloat(gasPrice.gasPrice);
       
@@ -351,36 +360,142 @@ class GasEstimationService {
     return analysis;
   }
 
-  async analyzeRepository(owner, repo) {
-    // This would analyze smart contracts in a repository
-    // For now, this is a placeholder implementation
+  async analyzeRepository(owner, repo, options = {}) {
+    const { octokit, ref } = options;
+    const repoConfig = options.repoConfig || repoConfigService.getDefaults();
+
     try {
-      logger.info(`Analyzing repository for gas estimation: ${owner}/${repo}`);
-      
-      // In a real implementation, this would:
-      // 1. Scan repository for Solidity files
-      // 2. Compile contracts (if possible)
-      // 3. Estimate deployment costs
-      // 4. Analyze function gas costs
-      // 5. Generate optimization recommendations
+      if (!octokit) {
+        throw new Error('A GitHub client is required to analyze repository sources');
+      }
+
+      // Analyses of a commit SHA never change for the same settings
+      const cacheKey = /^[0-9a-f]{40}$/.test(ref || '')
+        ? `repo-analysis-${owner}/${repo}@${ref}-${JSON.stringify([repoConfig.contracts, repoConfig.compiler, repoConfig.lint, repoConfig.storageLayout, options.project === undefined ? 'detect' : options.project])}`
+        : null;
+      const cached = cacheKey && this.getCachedData(cacheKey, 60 * 60 * 1000); // 1 hour cache
+
+      if (cached) return cached;
+
+      logger.info(`Analyzing repository for gas estimation: ${owner}/${repo}`, { ref });
+
+      const reader = repoSources.createReader(octokit, owner, repo, ref);
+      // A given project, null included, is used as is so two commits can be analyzed with the same layout
+      const project = options.project !== undefined ? options.project : await projectDetector.detectFromReader(reader);
+      const isEntryFile = (file) => repoConfigService.isContractFile(file, repoConfig, project);
+      const { sources, entryFiles, remappings, missing } = await repoSources.collectSoliditySources(
+        reader,
+        isEntryFile,
+        {
+          remappings: [...repoConfig.compiler.remappings, ...projectDetector.getRemappings(project)],
+          dependencyRoots: projectDetector.getDependencyRoots(project),
+        }
+      );
+      const vyper = await repoSources.collectVyperSources(reader, isEntryFile, {
+        searchPaths: projectDetector.getSourceDirs(project),
+      });
 
       const analysis = {
         repository: `${owner}/${repo}`,
+        ref: ref || null,
         timestamp: new Date().toISOString(),
-        analysis: 'Repository gas analysis would be implemented here',
-        recommendations: [
-          'Use memory instead of storage where possible',
-          'Optimize loop operations',
-          'Consider using packed structs',
-          'Implement efficient data structures',
-        ],
+        project,
+        compiler: null,
+        vyperCompiler: null,
+        contracts: [],
+        errors: [
+          ...missing.map(({ file, importPath }) => ({ file, importPath, content: sources[file]?.content })),
+          ...vyper.missing.map(({ file, importPath }) => ({ file, importPath, content: vyper.sources[file]?.content })),
+        ].map(({ file, importPath, content }) => ({
+          severity: 'error',
+          type: 'ImportError',
+          message: `Source "${importPath}" not found in the repository or its dependencies`,
+          file,
+          line: this.findLine(content, importPath),
+        })),
+        warnings: [],
+        recommendations: [],
+        lintFindings: [],
       };
 
+      if (repoConfig.lint.enabled) {
+        const { findings } = solidityLint.lintSources(sources, entryFiles, repoConfig.lint);
+        analysis.lintFindings = findings;
+        analysis.recommendations = solidityLint.getRecommendations(findings);
+      }
+
+      if (entryFiles.length === 0 && vyper.entryFiles.length === 0) {
+        analysis.analysis = 'No Solidity or Vyper sources found';
+        return analysis;
+      }
+
+      const compiled = [];
+
+      if (entryFiles.length > 0) {
+        const result = await solidityCompiler.compileSources(sources, {
+          remappings,
+          compilerConfig: repoConfig.compiler,
+        });
+
+        analysis.compiler = result.version;
+        analysis.errors.push(...result.errors);
+        analysis.warnings.push(...result.warnings);
+        const contracts = this.extractContractGas(result.output, sources, entryFiles);
+
+        if (repoConfig.storageLayout.enabled) {
+          const inheritance = storageLayout.getInheritance(sources);
+          for (const contract of contracts) {
+            contract.bases = inheritance.get(contract.name) || [];
+          }
+        }
+
+        analysis.contracts.push(...contracts);
+        compiled.push(`${Object.keys(sources).length} Solidity file(s) with solc ${result.version}`);
+      }
+
+      if (vyper.entryFiles.length > 0) {
+        // A missing or failing vyper binary must not hide the Solidity results
+        try {
+          const result = await vyperCompiler.compileSources(vyper.sources, {
+            entryFiles: vyper.entryFiles,
+            interfaces: vyper.interfaces,
+            searchPaths: vyper.searchPaths,
+            compilerConfig: repoConfig.compiler,
+          });
+
+          analysis.vyperCompiler = result.version;
+          analysis.errors.push(...result.errors);
+          analysis.warnings.push(...result.warnings);
+          analysis.contracts.push(...this.extractVyperContractGas(result.output, vyper.sources, vyper.entryFiles));
+          compiled.push(`${Object.keys(vyper.sources).length} Vyper file(s) with vyper ${result.version}`);
+        } catch (error) {
+          logger.warn(`Vyper compilation failed for ${owner}/${repo}: ${error.message}`);
+          analysis.errors.push({
+            severity: 'error',
+            type: 'VyperError',
+            message: `Vyper sources were not compiled: ${error.message}`,
+            file: null,
+            line: null,
+          });
+        }
+      }
+
+      analysis.analysis = `Compiled ${compiled.length > 0 ? compiled.join(' and ') : 'no sources'}: ` +
+        `${analysis.contracts.length} deployable contract(s), ${analysis.errors.length} error(s)`;
+
       logger.cryptoEvent('repository_analyzed', {
         repository: `${owner}/${repo}`,
         type: 'gas_estimation',
+        compiler: analysis.compiler,
+        vyperCompiler: analysis.vyperCompiler,
+        contracts: analysis.contracts.length,
+        errors: analysis.errors.length,
       });
 
+      if (cacheKey) {
+        this.setCachedData(cacheKey, analysis);
+      }
+
       return analysis;
     } catch (error) {
       logger.error(`Failed to analyze repository ${owner}/${repo}:`, error);
@@ -388,10 +503,126 @@ class GasEstimationService {
     }
   }
 
-  async analyzeAndUpdate(owner, repo) {
+  extractContractGas(output, sources, entryFiles) {
+    const contracts = [];
+
+    for (const file of entryFiles) {
+      for (const [name, contract] of Object.entries(output.contracts?.[file] || {})) {
+        const bytecode = contract.evm?.bytecode?.object || '';
+        const deployedBytecode = contract.evm?.deployedBytecode?.object || '';
+
+        // Interfaces and abstract contracts have nothing to deploy
+        if (!bytecode) continue;
+
+        const gasEstimates = contract.evm.gasEstimates || {};
+        const creation = gasEstimates.creation || {};
+
+        contracts.push({
+          name,
+          file,
+          language: 'solidity',
+          line: this.findLine(sources[file].content, new RegExp(`\\b(?:contract|library)\\s+${name}\\b`)),
+          bytecodeSize: deployedBytecode.length / 2,
+          initcodeSize: bytecode.length / 2,
+          deploymentGas: this.estimateDeploymentGas(bytecode, creation.totalCost),
+          creation: {
+            codeDepositCost: this.parseGasValue(creation.codeDepositCost),
+            executionCost: this.parseGasValue(creation.executionCost),
+            totalCost: this.parseGasValue(creation.totalCost),
+          },
+          functions: Object.entries(gasEstimates.external || {})
+            .filter(([signature]) => signature !== '')
+            .map(([signature, gas]) => ({
+              signature,
+              gas: this.parseGasValue(gas),
+            })),
+          abi: contract.abi || [],
+          // Only reported by solc 0.5.13 and later
+          storageLayout: contract.storageLayout || null,
+        });
+      }
+    }
+
+    return contracts;
+  }
+
+  extractVyperContractGas(output, sources, entryFiles) {
+    const contracts = [];
+
+    for (const file of entryFiles) {
+      for (const [name, contract] of Object.entries(output.contracts?.[file] || {})) {
+        const bytecode = (contract.evm?.bytecode?.object || '').replace(/^0x/, '');
+        const deployedBytecode = (contract.evm?.deployedBytecode?.object || '').replace(/^0x/, '');
+
+        if (!bytecode) continue;
+
+        // vyper reports no constructor cost, so deployment gas covers calldata and code deposit only
+        const codeDepositCost = (deployedBytecode.length / 2) * CODE_DEPOSIT_GAS_PER_BYTE;
+        const abi = contract.abi || [];
+
+        contracts.push({
+          name,
+          file,
+          language: 'vyper',
+          line: this.findLine(sources[file].content, /^(?:@deploy|def __init__)/) || 1,
+          bytecodeSize: deployedBytecode.length / 2,
+          initcodeSize: bytecode.length / 2,
+          deploymentGas: this.estimateDeploymentGas(bytecode, codeDepositCost),
+          creation: {
+            codeDepositCost,
+            executionCost: null,
+            totalCost: null,
+          },
+          // Only older vyper releases annotate the ABI with gas estimates
+          functions: abi
+            .filter(entry => entry.type === 'function' && entry.gas !== undefined)
+            .map(entry => ({
+              signature: ethers.FunctionFragment.from(entry).format('sighash'),
+              gas: this.parseGasValue(entry.gas),
+            })),
+          abi: abi.map(({ gas, ...entry }) => entry),
+          storageLayout: vyperCompiler.toStorageLayout(contract.layout, name),
+        });
+      }
+    }
+
+    return contracts;
+  }
+
+  estimateDeploymentGas(bytecode, totalCost) {
+    const creationCost = this.parseGasValue(totalCost);
+    if (creationCost === null) return null;
+
+    // Calldata: 4 gas per zero byte, 16 per non-zero byte of initcode
+    let calldataCost = 0;
+    for (let i = 0; i < bytecode.length; i += 2) {
+      calldataCost += bytecode.substring(i, i + 2) === '00' ? 4 : 16;
+    }
+
+    return DEPLOYMENT_BASE_GAS + calldataCost + creationCost;
+  }
+
+  parseGasValue(value) {
+    // solc reports unbounded costs as "infinite"
+    if (value === undefined || value === null || value === 'infinite') return null;
+    return parseInt(value, 10);
+  }
+
+  findLine(content, pattern) {
+    if (!content) return null;
+
+    const lines = content.split('\n');
+    const index = lines.findIndex(line =>
+      typeof pattern === 'string' ? line.includes(pattern) : pattern.test(line)
+    );
+
+    return index === -1 ? null : index + 1;
+  }
+
+  async analyzeAndUpdate(owner, repo, options = {}) {
     // Wrapper method for repository analysis with GitHub updates
     try {
-      const analysis = await this.analyzeRepository(owner, repo);
+      const analysis = await this.analyzeRepository(owner, repo, options);
       
       // In a real implementation, this would update the GitHub repository
       // with gas estimation results, possibly as:
@@ -412,6 +643,13 @@ class GasEstimationService {
     }
   }
 
+  purgeRepository(owner, repo) {
+    const prefix = `repo-analysis-${owner}/${repo}@`.toLowerCase();
+    for (const key of this.cache.keys()) {
+      if (key.toLowerCase().startsWith(prefix)) this.cache.delete(key);
+    }
+  }
+
   getCachedData(key, maxAge) {
     const cached = this.cache.get(key);
     if (!cached) return null;
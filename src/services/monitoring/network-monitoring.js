@@ -243,9 +243,37 @@ class NetworkMonitoringService {
     }
   }
 
-  async scanAllNetworks() {
+  async getAddressInfo(address, network) {
+    const cacheKey = `address-info-${network}-${address.toLowerCase()}`;
+    const cached = this.getCachedData(cacheKey, 60 * 60 * 1000); // 1 hour cache
+
+    if (cached) return cached;
+
+    const provider = this.providers[network];
+    if (!provider) {
+      throw new Error(`Provider not available for network: ${network}`);
+    }
+
+    const code = await provider.getCode(address);
+    const info = {
+      address,
+      network,
+      hasCode: code !== '0x',
+      contractName: null,
+    };
+
+    if (info.hasCode) {
+      const sourceInfo = await this.getContractSourceCode(address, network);
+      info.contractName = sourceInfo?.contractName || null;
+    }
+
+    this.setCachedData(cacheKey, info);
+    return info;
+  }
+
+  async scanAllNetworks(networks = Object.keys(this.providers)) {
     try {
-      const scanPromises = Object.keys(this.providers).map(async (network) => {
+      const scanPromises = networks.filter(network => this.providers[network]).map(async (network) => {
         try {
           return await this.scanContractDeployments(network);
         } catch (error) {
@@ -415,12 +443,22 @@ class NetworkMonitoringService {
     }
   }
 
-  async updateDeployments(owner, repo) {
+  // Repositories as `owner/repo`, optionally only those of one account
+  getMonitoredRepositories(owner = null) {
+    return Array.from(this.monitoredRepositories)
+      .filter(repoKey => !owner || repoKey.split('/')[0].toLowerCase() === owner.toLowerCase());
+  }
+
+  purgeRepository(owner, repo) {
+    this.monitoredRepositories.delete(`${owner}/${repo}`);
+  }
+
+  async updateDeployments(owner, repo, options = {}) {
     try {
       const repoKey = `${owner}/${repo}`;
       
-      // Scan all networks for recent deployments
-      const scanResults = await this.scanAllNetworks();
+      // Scan the repository's configured networks (all networks by default)
+      const scanResults = await this.scanAllNetworks(options.networks);
       
       // Filter deployments that might be related to this repository
       // In a real implementation, this would be more sophisticated
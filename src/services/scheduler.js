@@ -7,20 +7,27 @@ class ScheduledTasks {
   constructor() {
     this.tasks = new Map();
     this.isRunning = false;
+    this.githubApp = null;
   }
 
-  start() {
+  // The GitHub app is used to open issues for alerts in repositories that opt in
+  start(githubApp = null) {
     if (this.isRunning) {
       logger.warn('Scheduled tasks already running');
       return;
     }
 
     logger.info('Starting scheduled tasks...');
+    this.githubApp = githubApp;
     
     // Gas price monitoring - every 5 minutes
     this.addTask('gas-monitoring', '*/5 * * * *', async () => {
       try {
-        await apiServices.gasEstimation.updateGasPrices();
+        const { gasPrices } = await apiServices.gasEstimation.updateGasPrices();
+        const observed = gasPrices.filter(gasPrice => gasPrice.gasPrice && !gasPrice.error).map(gasPrice => gasPrice.network);
+        // Every repository decides which prices are high with its own `thresholds.gasPriceGwei`
+        await this.reportAlerts('gas', settings =>
+          apiServices.gasEstimation.analyzeGasTrends(gasPrices, settings.thresholds.gasPriceGwei).alerts, observed);
         logger.info('Gas price monitoring completed');
       } catch (error) {
         logger.error('Gas price monitoring failed:', error);
@@ -50,7 +57,9 @@ class ScheduledTasks {
     // Network deployment monitoring - every hour
     this.addTask('network-monitoring', '0 * * * *', async () => {
       try {
-        await apiServices.networkMonitoring.scanAllNetworks();
+        const { scanResults, analysis } = await apiServices.networkMonitoring.scanAllNetworks();
+        await this.reportAlerts('deployments', analysis.alerts,
+          scanResults.filter(result => result.network && !result.error).map(result => result.network));
         logger.info('Network monitoring completed');
       } catch (error) {
         logger.error('Network monitoring failed:', error);
@@ -124,12 +133,33 @@ class ScheduledTasks {
 
   async updateMarketData() {
     // Update price data from multiple sources
-    const promises = [
-      apiServices.coingecko.updateTopCryptos(),
-      apiServices.coindesk.updateBitcoinData(),
-    ];
+    const sources = {
+      market: () => apiServices.coingecko.updateTopCryptos(),
+      bitcoin: () => apiServices.coindesk.updateBitcoinData(),
+    };
+    if (config.apis.arkhamIntel.apiKey) {
+      sources.sentiment = () => apiServices.arkhamIntel.updateMarketSentiment();
+    }
+
+    // A source that failed reports nothing, so its open alerts are not taken as cleared
+    await Promise.allSettled(Object.entries(sources).map(async ([source, update]) => {
+      const { analysis } = await update();
+      await this.reportAlerts(source, analysis.alerts);
+    }));
+  }
 
-    await Promise.allSettled(promises);
+  // Alert issues are best effort; a GitHub failure never fails the monitoring task
+  async reportAlerts(source, alerts, observedNetworks = null) {
+    if (!this.githubApp) return;
+
+    try {
+      const summary = await apiServices.alertManager.processAlerts(source, alerts, this.githubApp, observedNetworks);
+      if (summary.opened + summary.updated + summary.closed > 0) {
+        logger.info(`Updated ${source} alert issues`, summary);
+      }
+    } catch (error) {
+      logger.error(`Failed to update ${source} alert issues:`, error);
+    }
   }
 
   getTaskStatus() {
@@ -0,0 +1,99 @@
+// Curly quotes typed by some editors and mobile keyboards count as plain quotes
+const QUOTES = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+
+const FENCE = /^\s*(```|~~~)/;
+const INLINE_CODE = /`[^`]*`/g;
+
+// Splits a command line into words, honouring quotes and backslash escapes
+function tokenize(text) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < text.length) {
+        current += text[++i];
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (current !== null) tokens.push(current);
+      current = null;
+    } else if (QUOTES[char]) {
+      quote = QUOTES[char];
+      current = current || '';
+    } else if (char === '\\' && i + 1 < text.length) {
+      current = (current || '') + text[++i];
+    } else {
+      current = (current || '') + char;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote`);
+  }
+  if (current !== null) tokens.push(current);
+
+  return tokens;
+}
+
+// Finds `@mention command ...` anywhere in a line and `/prefix command ...` at its start,
+// skipping code blocks, inline code and quoted replies
+function extractCommands(body, { mention, slash }) {
+  const commands = [];
+  let inFence = false;
+
+  for (const line of (body || '').split(/\r?\n/)) {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || /^\s*>/.test(line)) continue;
+
+    const visible = line.replace(INLINE_CODE, match => ' '.repeat(match.length));
+    const slashMatch = visible.match(new RegExp(`^\\s*${escape(slash)}(?=\\s|$)`));
+    const mentionIndex = slashMatch ? -1 : findMention(visible, mention);
+
+    let text;
+    if (slashMatch) {
+      text = line.substring(slashMatch[0].length);
+    } else if (mentionIndex !== -1) {
+      text = line.substring(mentionIndex + mention.length);
+    } else {
+      continue;
+    }
+
+    try {
+      const tokens = tokenize(text.trim());
+      if (tokens.length > 0) {
+        commands.push({ name: tokens[0].toLowerCase(), tokens: tokens.slice(1), line: line.trim() });
+      }
+    } catch (error) {
+      commands.push({ name: text.trim().split(/\s+/)[0].toLowerCase(), tokens: [], line: line.trim(), error: error.message });
+    }
+  }
+
+  return commands;
+}
+
+function findMention(text, mention) {
+  const match = text.match(new RegExp(`(^|[^\\w-])${escape(mention)}(?![\\w-])`, 'i'));
+  return match ? match.index + match[1].length : -1;
+}
+
+function escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = {
+  tokenize,
+  extractCommands,
+};
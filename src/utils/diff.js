@@ -0,0 +1,33 @@
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+// Lines of the new file covered by a unified diff patch, numbered as in the new file
+function getNewLines(patch) {
+  const lines = [];
+  if (!patch) return lines;
+
+  let line = null;
+  for (const text of patch.split('\n')) {
+    const hunk = text.match(HUNK_HEADER);
+    if (hunk) {
+      line = parseInt(hunk[1], 10);
+      continue;
+    }
+    if (line === null || text.startsWith('\\') || text.startsWith('-')) continue;
+
+    lines.push({ line, text: text.substring(1), added: text.startsWith('+') });
+    line++;
+  }
+
+  return lines;
+}
+
+function getAddedLines(patch) {
+  return getNewLines(patch)
+    .filter(entry => entry.added)
+    .map(({ line, text }) => ({ line, text }));
+}
+
+module.exports = {
+  getNewLines,
+  getAddedLines,
+};
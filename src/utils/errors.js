@@ -0,0 +1,35 @@
+// Connection failures from Node, axios and undici that usually clear up on their own
+const NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET',
+  // ethers provider errors
+  'NETWORK_ERROR',
+  'SERVER_ERROR',
+  'TIMEOUT',
+]);
+
+// Rate limits, server errors and network failures are worth another attempt; anything else fails the same way again
+function isRetryableError(error) {
+  if (!error) return false;
+  if (NETWORK_CODES.has(error.code)) return true;
+
+  const status = error.status ?? error.response?.status;
+  if (status === 429 || status >= 500) return true;
+  if (status === 403) {
+    const headers = error.response?.headers || {};
+    return headers['x-ratelimit-remaining'] === '0' || /rate limit/i.test(error.message || '');
+  }
+
+  return isRetryableError(error.cause);
+}
+
+module.exports = {
+  isRetryableError,
+};
@@ -0,0 +1,180 @@
+const parser = require('@solidity-parser/parser');
+
+const LOOP_TYPES = ['ForStatement', 'WhileStatement', 'DoWhileStatement'];
+
+const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '|=', '&=', '^=', '<<=', '>>='];
+
+function parse(content) {
+  return parser.parse(content, { loc: true, range: true, tolerant: true });
+}
+
+// Depth-first walk calling enter(node, ancestors) for every AST node
+function traverse(node, enter, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+
+  if (enter(node, ancestors) === false) return;
+
+  const path = [...ancestors, node];
+  for (const [key, value] of Object.entries(node)) {
+    // A declaration's own name is not a read of that variable
+    if (key === 'loc' || key === 'range' || (key === 'identifier' && node.type === 'VariableDeclaration')) {
+      continue;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach(child => traverse(child, enter, path));
+    } else if (value && typeof value === 'object') {
+      traverse(value, enter, path);
+    }
+  }
+}
+
+function getContracts(ast) {
+  return ast.children.filter(node => node.type === 'ContractDefinition');
+}
+
+// Includes variables inherited from base contracts found in `contracts` (name -> definition)
+function getStateVariables(contract, contracts = new Map(), visited = new Set()) {
+  const variables = new Map();
+  if (visited.has(contract.name)) return variables;
+  visited.add(contract.name);
+
+  for (const base of contract.baseContracts || []) {
+    const baseContract = contracts.get(base.baseName.namePath);
+    if (baseContract) {
+      for (const [name, variable] of getStateVariables(baseContract, contracts, visited)) {
+        variables.set(name, variable);
+      }
+    }
+  }
+
+  for (const node of contract.subNodes) {
+    if (node.type !== 'StateVariableDeclaration') continue;
+
+    for (const variable of node.variables) {
+      variables.set(variable.name, {
+        name: variable.name,
+        typeName: variable.typeName,
+        isConstant: Boolean(variable.isDeclaredConst || variable.isImmutable),
+        line: variable.loc.start.line,
+      });
+    }
+  }
+
+  return variables;
+}
+
+function getFunctions(contract) {
+  return contract.subNodes.filter(node => node.type === 'FunctionDefinition');
+}
+
+function getLocalNames(fn) {
+  const names = new Set();
+
+  for (const param of [...(fn.parameters || []), ...(fn.returnParameters || [])]) {
+    if (param.name) names.add(param.name);
+  }
+
+  traverse(fn.body, (node) => {
+    if (node.type === 'VariableDeclaration' && node.name) {
+      names.add(node.name);
+    }
+  });
+
+  return names;
+}
+
+function isAssignment(node) {
+  return node.type === 'BinaryOperation' && ASSIGNMENT_OPERATORS.includes(node.operator);
+}
+
+// The variable at the root of an lvalue such as `a.b[c].d`
+function getRootIdentifier(node) {
+  let current = node;
+  while (current) {
+    if (current.type === 'Identifier') return current.name;
+    if (current.type === 'IndexAccess') current = current.base;
+    else if (current.type === 'MemberAccess') current = current.expression;
+    else return null;
+  }
+  return null;
+}
+
+function getWrittenNames(root) {
+  const written = new Set();
+
+  traverse(root, (node) => {
+    if (isAssignment(node)) {
+      const name = getRootIdentifier(node.left);
+      if (name) written.add(name);
+    }
+
+    if (node.type === 'UnaryOperation' && ['++', '--', 'delete'].includes(node.operator)) {
+      const name = getRootIdentifier(node.subExpression);
+      if (name) written.add(name);
+    }
+
+    // Storage arrays modified in place
+    if (node.type === 'FunctionCall' && node.expression.type === 'MemberAccess' &&
+        ['push', 'pop'].includes(node.expression.memberName)) {
+      const name = getRootIdentifier(node.expression.expression);
+      if (name) written.add(name);
+    }
+  });
+
+  return written;
+}
+
+function isLoop(node) {
+  return LOOP_TYPES.includes(node.type);
+}
+
+function getLoopCondition(loop) {
+  return loop.type === 'ForStatement' ? loop.conditionExpression : loop.condition;
+}
+
+// The called expression, without call options such as `{value: ...}`
+function getCallee(node) {
+  if (node.type !== 'FunctionCall') return null;
+  return node.expression.type === 'NameValueExpression' ? node.expression.expression : node.expression;
+}
+
+function getCalleeName(node) {
+  const callee = getCallee(node);
+  if (!callee) return null;
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberAccess') return callee.memberName;
+  return null;
+}
+
+// Matches globals such as `tx.origin` or `msg.sender`
+function isGlobalMember(node, name, members) {
+  return node?.type === 'MemberAccess' &&
+    node.expression.type === 'Identifier' &&
+    node.expression.name === name &&
+    [].concat(members).includes(node.memberName);
+}
+
+function getPragmaVersions(ast) {
+  return ast.children
+    .filter(node => node.type === 'PragmaDirective' && node.name === 'solidity')
+    .map(node => node.value);
+}
+
+module.exports = {
+  parse,
+  traverse,
+  getContracts,
+  getStateVariables,
+  getFunctions,
+  getLocalNames,
+  isAssignment,
+  getRootIdentifier,
+  getWrittenNames,
+  isLoop,
+  getLoopCondition,
+  getCallee,
+  getCalleeName,
+  isGlobalMember,
+  getPragmaVersions,
+};
@@ -1,6 +1,16 @@
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const { isRetryableError } = require('../utils/errors');
+const config = require('../config');
 const apiServices = require('../services');
+const jobQueue = require('../services/job-queue');
+const deliveryLog = require('../services/delivery-log');
+
+// REST reaction names and their GraphQL equivalents for discussion comments
+const REACTIONS = {
+  '+1': 'THUMBS_UP',
+  '-1': 'THUMBS_DOWN',
+};
 
 class WebhookHandler {
   constructor() {
@@ -12,6 +22,8 @@ class WebhookHandler {
       'installation_repositories': this.handleInstallationRepositories.bind(this),
       'issues': this.handleIssues.bind(this),
       'issue_comment': this.handleIssueComment.bind(this),
+      'pull_request_review_comment': this.handlePullRequestReviewComment.bind(this),
+      'discussion_comment': this.handleDiscussionComment.bind(this),
     };
   }
 
@@ -19,31 +31,72 @@ class WebhookHandler {
     const signature = req.headers['x-hub-signature-256'];
     const event = req.headers['x-github-event'];
     const deliveryId = req.headers['x-github-delivery'];
-    
+    const body = Buffer.isBuffer(req.body) ? req.body : null;
+
+    if (!body) {
+      logger.warn('Webhook received without a raw body', { deliveryId, event });
+      return res.status(400).json({ error: 'Missing payload' });
+    }
+
     // Verify webhook signature
-    if (!this.verifySignature(req.body, signature, githubApp.webhooks.secret)) {
+    if (!this.verifySignature(body, signature, this.getWebhookSecrets())) {
       logger.warn('Invalid webhook signature', { deliveryId, event });
       return res.status(401).json({ error: 'Invalid signature' });
     }
 
+    if (!event) {
+      logger.warn('Webhook received without an event header', { deliveryId });
+      return res.status(400).json({ error: 'Missing X-GitHub-Event header' });
+    }
+
+    let payload;
+    try {
+      payload = this.parsePayload(body, req.headers['content-type']);
+    } catch (error) {
+      logger.warn('Malformed webhook payload', { deliveryId, event, error: error.message });
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
     logger.info('Webhook received', {
       event,
       deliveryId,
-      action: req.body.action,
-      repository: req.body.repository?.full_name,
+      action: payload.action,
+      repository: payload.repository?.full_name,
     });
 
+    // Delivery ids name files in the queue and the delivery log, so they are normalized once here
+    const id = jobQueue.toJobId(deliveryId || crypto.randomUUID());
+
+    const handler = this.eventHandlers[event];
+    if (!handler) {
+      logger.info(`No handler for event: ${event}`, { deliveryId });
+      deliveryLog.record({ id, event, headers: req.headers, payload, status: 'ignored' });
+      return res.status(200).json({ message: 'Event acknowledged but not processed' });
+    }
+
+    // Processing can take minutes, far past GitHub's 10 second delivery timeout, so workers pick it up
     try {
-      const handler = this.eventHandlers[event];
-      if (handler) {
-        await handler(req.body, githubApp);
-        res.status(200).json({ message: 'Webhook processed successfully' });
-      } else {
-        logger.info(`No handler for event: ${event}`, { deliveryId });
-        res.status(200).json({ message: 'Event acknowledged but not processed' });
+      const { job, duplicate } = jobQueue.enqueue({
+        id,
+        type: event,
+        payload,
+        metadata: {
+          deliveryId: id,
+          action: payload.action,
+          repository: payload.repository?.full_name,
+          installationId: payload.installation?.id,
+        },
+      });
+
+      if (duplicate) {
+        logger.info('Duplicate webhook delivery ignored', { event, deliveryId, state: job.state });
+        return res.status(200).json({ message: 'Duplicate delivery ignored', jobId: job.id });
       }
+
+      deliveryLog.record({ id, event, headers: req.headers, payload, status: 'queued' });
+      res.status(202).json({ message: 'Webhook queued', jobId: job.id });
     } catch (error) {
-      logger.error('Webhook processing error:', {
+      logger.error('Failed to queue webhook:', {
         error: error.message,
         stack: error.stack,
         event,
@@ -53,17 +106,157 @@ class WebhookHandler {
     }
   }
 
-  verifySignature(payload, signature, secret) {
-    if (!signature || !secret) return false;
-    
-    const hmac = crypto.createHmac('sha256', secret);
-    const digest = 'sha256=' + hmac.update(JSON.stringify(payload)).digest('hex');
-    
-    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(digest));
+  // Runs a queued delivery; errors are left to the queue to retry
+  async processJob(job, githubApp) {
+    logger.info('Processing webhook', {
+      event: job.type,
+      deliveryId: job.metadata.deliveryId,
+      attempt: job.attempts,
+    });
+
+    const run = await this.dispatch(job.type, job.payload, githubApp);
+    deliveryLog.addRun(job.metadata.deliveryId || job.id, {
+      source: 'queue',
+      attempt: job.attempts,
+      ...run,
+    });
+
+    if (run.error) {
+      throw new Error(run.error);
+    }
+  }
+
+  // Runs a logged delivery through its handler again. In dry-run mode GitHub reads go through
+  // but writes are recorded in the result instead of being sent
+  async replayDelivery(id, githubApp, { dryRun = false } = {}) {
+    const delivery = deliveryLog.get(id, { includePayload: true });
+    if (!delivery) {
+      throw new Error(`Delivery ${id} not found`);
+    }
+    if (!this.eventHandlers[delivery.event]) {
+      throw new Error(`No handler for event: ${delivery.event}`);
+    }
+    if (!delivery.payload) {
+      throw new Error(`Payload of delivery ${id} is missing from the delivery log`);
+    }
+
+    const requests = [];
+    const context = { dryRun, effects: [] };
+    const app = dryRun ? this.createDryRunApp(githubApp, requests) : githubApp;
+
+    logger.info('Replaying webhook', { event: delivery.event, deliveryId: id, dryRun });
+    const run = await this.dispatch(delivery.event, delivery.payload, app, context);
+    const result = { source: 'replay', dryRun, ...run, ...(dryRun ? { requests, effects: context.effects } : {}) };
+
+    return deliveryLog.addRun(id, result) || result;
+  }
+
+  // `context.dryRun` skips every side effect outside GitHub and lists it in `context.effects` instead
+  async dispatch(event, payload, githubApp, context = { dryRun: false, effects: [] }) {
+    const handler = this.eventHandlers[event];
+    if (!handler) {
+      return { outcome: 'failed', durationMs: 0, error: `No handler for event: ${event}` };
+    }
+
+    const startTime = Date.now();
+    try {
+      await handler(payload, githubApp, context);
+      return { outcome: 'completed', durationMs: Date.now() - startTime, error: null };
+    } catch (error) {
+      logger.error(`Webhook handler for ${event} failed:`, error);
+      return { outcome: 'failed', durationMs: Date.now() - startTime, error: error.message };
+    }
+  }
+
+  // Dry runs record side effects outside GitHub instead of performing them
+  runEffect(context, effect, perform) {
+    if (context.dryRun) {
+      context.effects.push(effect);
+      return null;
+    }
+    return perform();
+  }
+
+  createDryRunApp(githubApp, requests) {
+    const app = Object.create(githubApp);
+
+    app.getInstallationOctokit = async (installationId) => {
+      const octokit = await githubApp.getInstallationOctokit(installationId);
+
+      octokit.hook.wrap('request', async (request, options) => {
+        if (this.isReadRequest(options)) {
+          return request(options);
+        }
+
+        requests.push({
+          method: options.method,
+          url: octokit.request.endpoint(options).url,
+          ...(options.query ? { query: options.query.trim() } : {}),
+        });
+        return { status: 200, url: options.url, headers: {}, data: {} };
+      });
+
+      return octokit;
+    };
+
+    return app;
   }
 
-  async handlePush(payload, githubApp) {
-    const { repository, pusher, commits } = payload;
+  // GraphQL queries are POSTs too; only mutations write
+  isReadRequest(options) {
+    if (['GET', 'HEAD'].includes(options.method)) return true;
+    return options.url === '/graphql' && !/^\s*mutation\b/.test(options.query || '');
+  }
+
+  // The current secret plus any still accepted while a rotation rolls out
+  getWebhookSecrets() {
+    return [config.github.webhookSecret, ...config.github.previousWebhookSecrets].filter(Boolean);
+  }
+
+  verifySignature(body, signature, secrets) {
+    if (typeof signature !== 'string' || !/^sha256=[0-9a-f]{64}$/i.test(signature)) return false;
+
+    const expected = Buffer.from(signature.substring('sha256='.length).toLowerCase(), 'hex');
+
+    // Every secret is checked so the time taken does not reveal which one matched
+    return secrets.reduce((valid, secret) => {
+      const digest = crypto.createHmac('sha256', secret).update(body).digest();
+      return crypto.timingSafeEqual(expected, digest) || valid;
+    }, false);
+  }
+
+  // GitHub sends JSON, or `payload=<json>` when the webhook's content type is form-encoded
+  parsePayload(body, contentType = 'application/json') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    let json;
+
+    if (type === 'application/json') {
+      json = body.toString('utf8');
+    } else if (type === 'application/x-www-form-urlencoded') {
+      json = new URLSearchParams(body.toString('utf8')).get('payload');
+      if (json === null) throw new Error('Missing payload field');
+    } else {
+      const error = new Error(`Unsupported content type: ${type || 'none'}`);
+      error.status = 415;
+      throw error;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Payload is not valid JSON');
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw new Error('Payload must be a JSON object');
+    }
+
+    return payload;
+  }
+
+  async handlePush(payload, githubApp, context) {
+    const { repository, pusher, commits, installation } = payload;
     const owner = repository.owner.login;
     const repo = repository.name;
 
@@ -73,8 +266,35 @@ class WebhookHandler {
       branch: payload.ref,
     });
 
-    // Check if push contains smart contract files
-    const contractFiles = this.findContractFiles(commits);
+    const octokit = await githubApp.getInstallationOctokit(installation.id);
+
+    // Reload the repository configuration when the default branch copy changes
+    const isDefaultBranch = payload.ref === `refs/heads/${repository.default_branch}`;
+    const configChanged = isDefaultBranch && apiServices.repoConfig.touchesConfig(commits);
+    if (configChanged) {
+      this.runEffect(context, { type: 'config_invalidated', repository: `${owner}/${repo}` },
+        () => apiServices.repoConfig.invalidate(installation.id, owner, repo));
+    }
+
+    const { config: repoConfig, errors } = await apiServices.repoConfig.getConfig(
+      octokit, installation.id, owner, repo
+    );
+
+    // Leaked secrets are reported even while the configuration is invalid
+    await this.scanPushForSecrets(
+      octokit, owner, repo, payload, errors.length > 0 ? apiServices.repoConfig.getDefaults() : repoConfig, context
+    );
+
+    if (errors.length > 0) {
+      if (configChanged) {
+        await this.reportConfigErrors(octokit, owner, repo, payload.after, errors);
+      }
+      return;
+    }
+
+    // Check if push contains smart contract files, as laid out by the detected framework
+    const project = payload.deleted ? null : await this.detectProject(octokit, owner, repo, payload.after);
+    const contractFiles = this.findContractFiles(commits, repoConfig, project);
     if (contractFiles.length > 0) {
       logger.info('Smart contract files detected in push', {
         owner,
@@ -84,22 +304,32 @@ class WebhookHandler {
 
       // Trigger gas estimation analysis
       try {
-        await apiServices.gasEstimation.analyzeRepository(owner, repo);
+        await apiServices.gasEstimation.analyzeRepository(owner, repo, {
+          octokit,
+          ref: payload.after,
+          repoConfig,
+          project,
+        });
       } catch (error) {
-        logger.error('Gas estimation analysis failed:', error);
+        this.handleStepError('Gas estimation analysis failed:', error);
       }
 
+      await this.publishCodeScanning(octokit, owner, repo, payload.after, payload.ref, repoConfig);
+
       // Trigger network monitoring update
       try {
-        await apiServices.networkMonitoring.updateDeployments(owner, repo);
+        await this.runEffect(context, { type: 'deployments_updated', repository: `${owner}/${repo}` },
+          () => apiServices.networkMonitoring.updateDeployments(owner, repo, {
+            networks: repoConfig.networks,
+          }));
       } catch (error) {
-        logger.error('Network monitoring update failed:', error);
+        this.handleStepError('Network monitoring update failed:', error);
       }
     }
   }
 
-  async handlePullRequest(payload, githubApp) {
-    const { action, pull_request, repository } = payload;
+  async handlePullRequest(payload, githubApp, context) {
+    const { action, pull_request, repository, installation } = payload;
     const owner = repository.owner.login;
     const repo = repository.name;
     const prNumber = pull_request.number;
@@ -110,34 +340,49 @@ class WebhookHandler {
       title: pull_request.title,
     });
 
-    if (action === 'opened' || action === 'synchronize') {
+    const labelChanged = action === 'labeled' || action === 'unlabeled';
+
+    if (action === 'opened' || action === 'synchronize' || labelChanged) {
       // Check if PR contains smart contract changes
-      const octokit = await githubApp.getInstallationOctokit(payload.installation.id);
+      const octokit = await githubApp.getInstallationOctokit(installation.id);
       
       try {
-        const { data: files } = await octokit.rest.pulls.listFiles({
+        const { config: repoConfig, errors } = await apiServices.repoConfig.getConfig(
+          octokit, installation.id, owner, repo
+        );
+
+        // Only the ABI override label changes the analysis result
+        if (labelChanged && (errors.length > 0 || payload.label?.name !== repoConfig.abi.overrideLabel)) {
+          return;
+        }
+
+        if (errors.length > 0) {
+          await this.reportConfigErrors(octokit, owner, repo, pull_request.head.sha, errors);
+          return;
+        }
+
+        const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
           owner,
           repo,
           pull_number: prNumber,
+          per_page: 100,
         });
 
-        const contractFiles = files.filter(file => 
-          file.filename.endsWith('.sol') || 
-          file.filename.endsWith('.vy') ||
-          file.filename.includes('contract')
-        );
+        if (!labelChanged) {
+          await this.scanPullRequestForSecrets(octokit, owner, repo, pull_request, files, repoConfig, context);
+        }
 
-        if (contractFiles.length > 0) {
-          // Add automated analysis comment
-          await this.addAnalysisComment(octokit, owner, repo, prNumber, contractFiles);
+        const project = await this.detectProject(octokit, owner, repo, pull_request.head.sha);
+        if (apiServices.pullRequestAnalysis.isRelevant(files, repoConfig, project)) {
+          await this.runPullRequestChecks(octokit, owner, repo, pull_request, files, repoConfig, project);
         }
       } catch (error) {
-        logger.error('PR analysis failed:', error);
+        this.handleStepError('PR analysis failed:', error);
       }
     }
   }
 
-  async handleRepository(payload, githubApp) {
+  async handleRepository(payload, githubApp, context) {
     const { action, repository } = payload;
     const owner = repository.owner.login;
     const repo = repository.name;
@@ -147,55 +392,135 @@ class WebhookHandler {
     if (action === 'created') {
       // Initialize monitoring for new repository
       try {
-        await apiServices.networkMonitoring.initializeRepository(owner, repo);
+        await this.initializeRepository(owner, repo, context);
       } catch (error) {
         logger.error('Repository initialization failed:', error);
       }
     }
   }
 
-  async handleInstallation(payload, githubApp) {
+  async handleInstallation(payload, githubApp, context) {
     const { action, installation } = payload;
+    const account = installation.account.login;
     
-    logger.githubAction('installation', installation.account.login, null, {
+    logger.githubAction('installation', account, null, {
       action,
       installationId: installation.id,
     });
 
-    if (action === 'created') {
-      // Welcome message or setup instructions
-      logger.info('New installation created', {
-        account: installation.account.login,
-        repositories: installation.repository_selection,
-      });
+    switch (action) {
+      case 'created':
+        logger.info('New installation created', {
+          account,
+          repositories: installation.repository_selection,
+        });
+        await this.setUpRepositories(
+          installation, this.toRepositories(payload.repositories, account), githubApp, context, { onboard: true }
+        );
+        break;
+
+      case 'unsuspend': {
+        // Suspended installations get no events, so the repository list may have changed meanwhile
+        const octokit = await githubApp.getInstallationOctokit(installation.id);
+        const names = await apiServices.installations.listRepositories(octokit);
+        await this.setUpRepositories(installation, this.toRepositories(names, account), githubApp, context);
+        break;
+      }
+
+      case 'deleted':
+      case 'suspend':
+        // Tokens can no longer be created, so everything known for the account's repositories goes
+        this.purgeRepositories(this.toRepositories(
+          payload.repositories || apiServices.networkMonitoring.getMonitoredRepositories(account), account
+        ), context);
+        break;
     }
   }
 
-  async handleInstallationRepositories(payload, githubApp) {
+  async handleInstallationRepositories(payload, githubApp, context) {
     const { action, installation, repositories_added, repositories_removed } = payload;
+    const account = installation.account.login;
     
-    logger.githubAction('installation_repositories', installation.account.login, null, {
+    logger.githubAction('installation_repositories', account, null, {
       action,
       added: repositories_added?.length || 0,
       removed: repositories_removed?.length || 0,
     });
 
+    if (repositories_removed?.length) {
+      this.purgeRepositories(this.toRepositories(repositories_removed, account), context);
+    }
+
     // Initialize monitoring for newly added repositories
-    if (repositories_added) {
-      for (const repo of repositories_added) {
-        try {
-          await apiServices.networkMonitoring.initializeRepository(
-            repo.owner.login,
-            repo.name
-          );
-        } catch (error) {
-          logger.error('Repository initialization failed:', error);
-        }
+    if (repositories_added?.length) {
+      await this.setUpRepositories(
+        installation, this.toRepositories(repositories_added, account), githubApp, context, { onboard: true }
+      );
+    }
+  }
+
+  // Installation payloads list repositories without an owner object, so owners come from `full_name`
+  toRepositories(repositories = [], account) {
+    return repositories.map(repository => {
+      const fullName = typeof repository === 'string'
+        ? repository
+        : repository.full_name || `${account}/${repository.name}`;
+      const [owner, repo] = fullName.split('/');
+      return { owner, repo };
+    });
+  }
+
+  async setUpRepositories(installation, repositories, githubApp, context, { onboard = false } = {}) {
+    for (const { owner, repo } of repositories) {
+      try {
+        await this.initializeRepository(owner, repo, context);
+      } catch (error) {
+        logger.error('Repository initialization failed:', error);
+      }
+    }
+
+    if (!onboard || apiServices.installations.mode === 'none') return;
+
+    const limit = apiServices.installations.maxRepositories;
+    if (repositories.length > limit) {
+      logger.info(`Onboarding the first ${limit} of ${repositories.length} repositories`, {
+        installationId: installation.id,
+      });
+    }
+
+    const octokit = await githubApp.getInstallationOctokit(installation.id);
+    for (const { owner, repo } of repositories.slice(0, limit)) {
+      try {
+        await apiServices.installations.onboard(octokit, owner, repo);
+      } catch (error) {
+        this.handleStepError(`Onboarding failed for ${owner}/${repo}:`, error);
       }
     }
   }
 
-  async handleIssues(payload, githubApp) {
+  // Transient failures go back to the queue to be retried; anything else would fail again, so it is only logged
+  handleStepError(message, error) {
+    if (isRetryableError(error)) throw error;
+    logger.error(message, error);
+  }
+
+  initializeRepository(owner, repo, context) {
+    return this.runEffect(context, { type: 'monitoring_initialized', repository: `${owner}/${repo}` },
+      () => apiServices.networkMonitoring.initializeRepository(owner, repo));
+  }
+
+  purgeRepositories(repositories, context) {
+    for (const { owner, repo } of repositories) {
+      this.runEffect(context, { type: 'repository_purged', repository: `${owner}/${repo}` }, () => {
+        apiServices.purgeRepository(owner, repo);
+        const dropped = jobQueue.purgeRepository(owner, repo);
+
+        logger.githubAction('repository_purged', owner, repo, { droppedJobs: dropped });
+      });
+    }
+  }
+
+  async handleIssues(payload, githubApp, context) {
     const { action, issue, repository } = payload;
     const owner = repository.owner.login;
     const repo = repository.name;
@@ -212,56 +537,209 @@ class WebhookHandler {
     }
   }
 
-  async handleIssueComment(payload, githubApp) {
-    const { action, comment, issue, repository } = payload;
+  async handleIssueComment(payload, githubApp, context) {
+    const { action, comment, issue } = payload;
     
-    if (action === 'created' && comment.body.includes('@crypto-intel-bot')) {
+    if (this.isCommandComment(action, comment)) {
       // Handle bot mentions in comments
-      await this.handleBotMention(payload, githubApp);
+      await this.handleBotMention(payload, githubApp, {
+        type: 'issue',
+        number: issue.number,
+        commentId: comment.id,
+      }, context);
+    }
+  }
+
+  async handlePullRequestReviewComment(payload, githubApp, context) {
+    const { action, comment, pull_request } = payload;
+
+    if (this.isCommandComment(action, comment)) {
+      await this.handleBotMention(payload, githubApp, {
+        type: 'review',
+        pullNumber: pull_request.number,
+        commentId: comment.id,
+      }, context);
+    }
+  }
+
+  async handleDiscussionComment(payload, githubApp, context) {
+    const { action, comment, discussion } = payload;
+
+    if (this.isCommandComment(action, comment)) {
+      await this.handleBotMention(payload, githubApp, {
+        type: 'discussion',
+        discussionId: discussion.node_id,
+        commentId: comment.node_id,
+        isReply: Boolean(comment.parent_id),
+      }, context);
     }
   }
 
-  findContractFiles(commits) {
+  // Bot replies quote command syntax, so comments by apps are never treated as commands
+  isCommandComment(action, comment) {
+    return action === 'created' && comment.user?.type !== 'Bot' && apiServices.botCommands.mentionsBot(comment.body);
+  }
+
+  findContractFiles(commits, repoConfig, project = null) {
     const contractFiles = [];
     
     for (const commit of commits) {
       const files = [...(commit.added || []), ...(commit.modified || [])];
-      contractFiles.push(...files.filter(file => 
-        file.endsWith('.sol') || 
-        file.endsWith('.vy') ||
-        file.includes('contract') ||
-        file.includes('Contract')
+      contractFiles.push(...files.filter(file =>
+        apiServices.repoConfig.isContractFile(file, repoConfig, project)
       ));
     }
     
     return [...new Set(contractFiles)]; // Remove duplicates
   }
 
-  async addAnalysisComment(octokit, owner, repo, prNumber, contractFiles) {
-    const comment = `## 🔍 Crypto Intel Bot Analysis
+  async reportConfigErrors(octokit, owner, repo, headSha, errors) {
+    try {
+      await octokit.rest.checks.create({
+        owner,
+        repo,
+        name: 'Crypto Intel configuration',
+        head_sha: headSha,
+        status: 'completed',
+        conclusion: 'failure',
+        output: {
+          title: `Invalid ${apiServices.repoConfig.configPath}`,
+          summary: apiServices.repoConfig.formatErrors(errors),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to report configuration errors:', error);
+    }
+  }
+
+  async runPullRequestChecks(octokit, owner, repo, pullRequest, files, repoConfig, project) {
+    const { checkRuns, pullRequestAnalysis } = apiServices;
+    const checkRun = await checkRuns.create(
+      octokit, owner, repo, pullRequest.head.sha, repoConfig.checks.name
+    );
 
-I detected smart contract changes in this PR:
-${contractFiles.map(file => `- \`${file.filename}\``).join('\n')}
+    try {
+      await checkRuns.start(octokit, owner, repo, checkRun.id, 'Analyzing smart contract changes');
 
-**Automated Analysis:**
-- ⛽ Gas estimation analysis in progress...
-- 🌐 Network deployment monitoring active
-- 📊 DeFi protocol integration checks running
+      const report = await pullRequestAnalysis.analyze(
+        octokit, owner, repo, pullRequest, files, repoConfig, project,
+        (title) => checkRuns.progress(octokit, owner, repo, checkRun.id, title)
+      );
 
-Results will be updated here once analysis is complete.
+      const conclusion = await checkRuns.complete(
+        octokit, owner, repo, checkRun.id, report, repoConfig.checks
+      );
 
----
-*This is an automated message from Crypto Intel Bot*`;
+      await this.addAnalysisComment(
+        octokit, owner, repo, pullRequest, report, conclusion, checkRun.html_url, repoConfig
+      );
+
+      if (report.abiDiff) {
+        await this.updateAbiLabel(octokit, owner, repo, pullRequest, report.abiDiff.breaking, repoConfig.abi.label);
+      }
+
+      const reviewFindings = [
+        ...(repoConfig.security.reviewComments ? report.securityFindings || [] : []),
+        ...(repoConfig.lint.reviewComments ? report.lintFindings || [] : []),
+        ...(repoConfig.addresses.reviewComments ? report.addressFindings || [] : []),
+      ];
+      if (reviewFindings.length > 0) {
+        await this.addReviewComments(octokit, owner, repo, pullRequest, files, reviewFindings);
+      }
+
+      await this.publishCodeScanning(
+        octokit, owner, repo, pullRequest.head.sha, `refs/pull/${pullRequest.number}/head`, repoConfig
+      );
+    } catch (error) {
+      await checkRuns.fail(octokit, owner, repo, checkRun.id, error);
+      throw error;
+    }
+  }
+
+  async addAnalysisComment(octokit, owner, repo, pullRequest, report, conclusion, checkRunUrl, repoConfig) {
+    const { mentions } = repoConfig.notifications;
+    const conclusionIcons = { success: '✅', neutral: '⚠️', failure: '❌' };
+    const latest = `**Run for \`${pullRequest.head.sha.substring(0, 7)}\`** · ${report.timestamp}
+
+${conclusionIcons[conclusion]} **Check result:** \`${conclusion}\` — [view check run](${checkRunUrl})
+
+${report.summary}
+${mentions.length > 0 ? `\ncc ${mentions.join(' ')}\n` : ''}`;
 
     try {
-      await octokit.rest.issues.createComment({
-        owner,
-        repo,
-        issue_number: prNumber,
-        body: comment,
-      });
+      await apiServices.pullRequestComments.upsertReport(
+        octokit, owner, repo, pullRequest.number, latest, repoConfig.comments
+      );
     } catch (error) {
-      logger.error('Failed to create PR comment:', error);
+      logger.error('Failed to update PR report comment:', error);
+    }
+  }
+
+  async addReviewComments(octokit, owner, repo, pullRequest, files, findings) {
+    try {
+      await apiServices.pullRequestReviews.postFindings(
+        octokit, owner, repo, pullRequest, files, findings, 'Crypto Intel'
+      );
+    } catch (error) {
+      logger.error('Failed to post PR review comments:', error);
+    }
+  }
+
+  async updateAbiLabel(octokit, owner, repo, pullRequest, breaking, label) {
+    const hasLabel = (pullRequest.labels || []).some(existing => existing.name === label);
+
+    try {
+      if (breaking && !hasLabel) {
+        await octokit.rest.issues.addLabels({
+          owner,
+          repo,
+          issue_number: pullRequest.number,
+          labels: [label],
+        });
+      } else if (!breaking && hasLabel) {
+        await octokit.rest.issues.removeLabel({
+          owner,
+          repo,
+          issue_number: pullRequest.number,
+          name: label,
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to update ABI label:', error);
+    }
+  }
+
+  async publishCodeScanning(octokit, owner, repo, commitSha, ref, repoConfig) {
+    try {
+      await apiServices.codeScanning.publish(octokit, owner, repo, commitSha, ref, repoConfig);
+    } catch (error) {
+      logger.error('Failed to upload code scanning results:', error);
+    }
+  }
+
+  // Without a detected project, contract files are matched by extension only
+  async detectProject(octokit, owner, repo, ref) {
+    try {
+      return await apiServices.projects.detect(octokit, owner, repo, ref);
+    } catch (error) {
+      logger.warn(`Project detection failed for ${owner}/${repo}@${ref}:`, error);
+      return null;
+    }
+  }
+
+  async scanPushForSecrets(octokit, owner, repo, payload, repoConfig, context) {
+    try {
+      await apiServices.secretAlerts.scanPush(octokit, owner, repo, payload, repoConfig, context);
+    } catch (error) {
+      this.handleStepError('Secret scan of push failed:', error);
+    }
+  }
+
+  async scanPullRequestForSecrets(octokit, owner, repo, pullRequest, files, repoConfig, context) {
+    try {
+      await apiServices.secretAlerts.scanPullRequest(octokit, owner, repo, pullRequest, files, repoConfig, context);
+    } catch (error) {
+      this.handleStepError('Secret scan of pull request failed:', error);
     }
   }
 
@@ -270,26 +748,28 @@ Results will be updated here once analysis is complete.
     const owner = repository.owner.login;
     const repo = repository.name;
     
-    const cryptoKeywords = [
-      'smart contract', 'solidity', 'defi', 'ethereum', 'polygon',
-      'gas', 'wei', 'gwei', 'blockchain', 'web3', 'dapp', 'nft',
-      'token', 'crypto', 'uniswap', 'aave', 'compound'
-    ];
-    
-    const issueText = (issue.title + ' ' + issue.body).toLowerCase();
-    const hasCryptoContent = cryptoKeywords.some(keyword => 
-      issueText.includes(keyword)
-    );
-    
-    if (hasCryptoContent) {
-      try {
-        const octokit = await githubApp.getInstallationOctokit(installation.id);
-        
+    try {
+      const octokit = await githubApp.getInstallationOctokit(installation.id);
+      const { config: repoConfig, errors } = await apiServices.repoConfig.getConfig(
+        octokit, installation.id, owner, repo
+      );
+
+      if (errors.length > 0 || !repoConfig.labels.enabled) {
+        return;
+      }
+
+      const { keywords, apply } = repoConfig.labels;
+      const issueText = (issue.title + ' ' + (issue.body || '')).toLowerCase();
+      const hasCryptoContent = keywords.some(keyword => 
+        issueText.includes(keyword)
+      );
+      
+      if (hasCryptoContent && apply.length > 0) {
         await octokit.rest.issues.addLabels({
           owner,
           repo,
           issue_number: issue.number,
-          labels: ['crypto', 'blockchain'],
+          labels: apply,
         });
         
         logger.info('Auto-labeled crypto issue', {
@@ -297,94 +777,239 @@ Results will be updated here once analysis is complete.
           repo,
           issueNumber: issue.number,
         });
-      } catch (error) {
-        logger.error('Failed to auto-label issue:', error);
       }
+    } catch (error) {
+      this.handleStepError('Failed to auto-label issue:', error);
     }
   }
 
-  async handleBotMention(payload, githubApp) {
-    const { comment, issue, repository, installation } = payload;
+  async handleBotMention(payload, githubApp, target, context) {
+    const { comment, repository, installation } = payload;
     const owner = repository.owner.login;
     const repo = repository.name;
     
     // Parse bot commands from comment
-    const commands = this.parseBotCommands(comment.body);
+    const commands = apiServices.botCommands.parse(comment.body);
     
     if (commands.length > 0) {
       const octokit = await githubApp.getInstallationOctokit(installation.id);
+      const { config: repoConfig, errors } = await apiServices.repoConfig.getConfig(
+        octokit, installation.id, owner, repo
+      );
+
+      if (errors.length > 0) {
+        await this.replyToCommand(octokit, owner, repo, target,
+          `❌ ${apiServices.repoConfig.formatErrors(errors)}`);
+        return;
+      }
       
+      const author = { login: comment.user.login, association: comment.author_association };
       for (const command of commands) {
-        await this.executeBotCommand(command, octokit, owner, repo, issue.number);
+        await this.executeBotCommand(command, octokit, owner, repo, target, repoConfig, author, context);
       }
     }
   }
 
-  parseBotCommands(commentBody) {
-    const commands = [];
-    const lines = commentBody.split('\n');
+  async executeBotCommand(command, octokit, owner, repo, target, repoConfig, author, context) {
+    const { name: cmd, subcommand, params, error } = command;
+    const enabledCommands = repoConfig.commands.enabled;
     
-    for (const line of lines) {
-      if (line.includes('@crypto-intel-bot')) {
-        const match = line.match(/@crypto-intel-bot\s+(\w+)(?:\s+(.+))?/);
-        if (match) {
-          commands.push({
-            command: match[1],
-            args: match[2] ? match[2].split(' ') : [],
-          });
-        }
+    try {
+      if (this.isKnownCommand(cmd) && !enabledCommands.includes(cmd)) {
+        await this.replyToCommand(octokit, owner, repo, target, 
+          `🚫 The \`${cmd}\` command is disabled in \`${apiServices.repoConfig.configPath}\`.`);
+        return;
+      }
+
+      if (this.isKnownCommand(cmd) && !(await this.canRunCommand(command, octokit, owner, repo, target, repoConfig, author))) {
+        return;
+      }
+
+      if (error) {
+        await this.replyToCommand(octokit, owner, repo, target,
+          apiServices.botCommands.formatUsageError(cmd, error));
+        return;
       }
-    }
-    
-    return commands;
-  }
 
-  async executeBotCommand(command, octokit, owner, repo, issueNumber) {
-    const { command: cmd, args } = command;
-    
-    try {
       switch (cmd) {
-        case 'analyze':
-          await apiServices.gasEstimation.analyzeRepository(owner, repo);
-          await this.replyToCommand(octokit, owner, repo, issueNumber, 
-            '✅ Gas analysis started for this repository.');
+        case 'analyze': {
+          const analysis = await apiServices.gasEstimation.analyzeRepository(owner, repo, {
+            octokit,
+            ref: params.ref,
+            repoConfig,
+          });
+          const costs = params.network
+            ? await apiServices.botCommands.formatDeploymentCosts(analysis, params.network)
+            : null;
+          await this.replyToCommand(octokit, owner, repo, target, 
+            `⛽ **Gas analysis for ${params.ref ? `\`${params.ref}\`` : 'the default branch'}**\n\n` +
+            `${apiServices.pullRequestAnalysis.formatGasAnalysis(analysis)}${costs ? `\n\n${costs}` : ''}`);
           break;
+        }
           
         case 'monitor':
-          await apiServices.networkMonitoring.updateDeployments(owner, repo);
-          await this.replyToCommand(octokit, owner, repo, issueNumber, 
+          if (subcommand === 'status') {
+            await this.replyToCommand(octokit, owner, repo, target,
+              await apiServices.botCommands.monitorStatus(repoConfig.networks));
+            break;
+          }
+
+          await this.runEffect(context, { type: 'deployments_updated', repository: `${owner}/${repo}` },
+            () => apiServices.networkMonitoring.updateDeployments(owner, repo, {
+              networks: repoConfig.networks,
+            }));
+          await this.replyToCommand(octokit, owner, repo, target, 
             '✅ Network monitoring activated for this repository.');
           break;
           
         case 'status':
           const status = await apiServices.getOverallStatus();
-          await this.replyToCommand(octokit, owner, repo, issueNumber, 
+          await this.replyToCommand(octokit, owner, repo, target, 
             `📊 **Current Status:**\n${JSON.stringify(status, null, 2)}`);
           break;
+
+        case 'price':
+        case 'gas':
+        case 'estimate':
+        case 'address':
+        case 'tx':
+          await this.replyToCommand(octokit, owner, repo, target,
+            await apiServices.botCommands[cmd](params));
+          break;
+
+        case 'help':
+          await this.replyToCommand(octokit, owner, repo, target,
+            apiServices.botCommands.help(enabledCommands, params, repoConfig.commands.permissions));
+          break;
           
         default:
-          await this.replyToCommand(octokit, owner, repo, issueNumber, 
-            `❓ Unknown command: \`${cmd}\`. Available commands: analyze, monitor, status`);
+          await this.replyToCommand(octokit, owner, repo, target, 
+            `❓ Unknown command: \`${cmd}\`. Available commands: ${enabledCommands.join(', ')}. ` +
+            'Use `@crypto-intel-bot help` for details.');
       }
     } catch (error) {
+      // The command runs again when the delivery is retried, so the failure is only reported for good
+      if (isRetryableError(error)) throw error;
+
       logger.error('Bot command execution failed:', error);
-      await this.replyToCommand(octokit, owner, repo, issueNumber, 
+      await this.replyToCommand(octokit, owner, repo, target, 
         `❌ Command failed: ${error.message}`);
     }
   }
 
-  async replyToCommand(octokit, owner, repo, issueNumber, message) {
+  isKnownCommand(cmd) {
+    return apiServices.botCommands.isKnownCommand(cmd);
+  }
+
+  // Refuses, with a reply and a reaction on the comment, when the author's role is below the command's
+  async canRunCommand(command, octokit, owner, repo, target, repoConfig, author) {
+    const { name: cmd, subcommand } = command;
+    const required = apiServices.botCommands.getRequiredPermission(cmd, subcommand, repoConfig.commands.permissions);
+    if (required === 'read') return true;
+
+    const permission = await apiServices.permissions.getPermission(octokit, owner, repo, author, author.association);
+    if (apiServices.permissions.satisfies(permission, required)) return true;
+
+    logger.githubAction('command_refused', owner, repo, {
+      command: cmd,
+      user: author.login,
+      permission,
+      required,
+    });
+    await this.reactToCommand(octokit, owner, repo, target, '-1');
+    await this.replyToCommand(octokit, owner, repo, target,
+      apiServices.botCommands.formatPermissionDenied(cmd, subcommand, required, author.login));
+    return false;
+  }
+
+  async replyToCommand(octokit, owner, repo, target, message) {
     try {
-      await octokit.rest.issues.createComment({
-        owner,
-        repo,
-        issue_number: issueNumber,
-        body: message,
-      });
+      switch (target.type) {
+        case 'review':
+          await octokit.rest.pulls.createReplyForReviewComment({
+            owner,
+            repo,
+            pull_number: target.pullNumber,
+            comment_id: target.commentId,
+            body: message,
+          });
+          break;
+
+        case 'discussion':
+          await this.replyToDiscussion(octokit, target, message);
+          break;
+
+        default:
+          await octokit.rest.issues.createComment({
+            owner,
+            repo,
+            issue_number: target.number,
+            body: message,
+          });
+      }
     } catch (error) {
       logger.error('Failed to reply to command:', error);
     }
   }
+
+  async reactToCommand(octokit, owner, repo, target, content) {
+    try {
+      switch (target.type) {
+        case 'review':
+          await octokit.rest.reactions.createForPullRequestReviewComment({
+            owner,
+            repo,
+            comment_id: target.commentId,
+            content,
+          });
+          break;
+
+        case 'discussion':
+          await octokit.graphql(`
+            mutation($subjectId: ID!, $content: ReactionContent!) {
+              addReaction(input: { subjectId: $subjectId, content: $content }) {
+                reaction { content }
+              }
+            }
+          `, { subjectId: target.commentId, content: REACTIONS[content] });
+          break;
+
+        default:
+          await octokit.rest.reactions.createForIssueComment({
+            owner,
+            repo,
+            comment_id: target.commentId,
+            content,
+          });
+      }
+    } catch (error) {
+      logger.error('Failed to react to command:', error);
+    }
+  }
+
+  async replyToDiscussion(octokit, target, message) {
+    let replyToId = target.commentId;
+
+    // Discussions nest one level deep, so replies to a reply go to its thread
+    if (target.isReply) {
+      const { node } = await octokit.graphql(`
+        query($id: ID!) {
+          node(id: $id) {
+            ... on DiscussionComment { replyTo { id } }
+          }
+        }
+      `, { id: target.commentId });
+      replyToId = node?.replyTo?.id || null;
+    }
+
+    await octokit.graphql(`
+      mutation($discussionId: ID!, $replyToId: ID, $body: String!) {
+        addDiscussionComment(input: { discussionId: $discussionId, replyToId: $replyToId, body: $body }) {
+          comment { id }
+        }
+      }
+    `, { discussionId: target.discussionId, replyToId, body: message });
+  }
 }
 
 module.exports = new WebhookHandler(); 
\ No newline at end of file
@@ -0,0 +1,99 @@
+const abiDiff = require('../../../src/services/analysis/abi-diff');
+
+const fn = (name, inputs = [], overrides = {}) => ({
+  type: 'function',
+  name,
+  inputs: inputs.map((type, index) => ({ name: `arg${index}`, type })),
+  outputs: [],
+  stateMutability: 'nonpayable',
+  ...overrides,
+});
+
+const compareAbis = (baseAbi, headAbi) => abiDiff.compare(
+  [{ name: 'Vault', file: 'src/Vault.sol', abi: baseAbi }],
+  [{ name: 'Vault', file: 'src/Vault.sol', abi: headAbi }]
+);
+
+const kinds = (diff) => diff.contracts.flatMap(contract => contract.changes.map(change => [change.kind, change.breaking]));
+
+describe('abi-diff', () => {
+  it('reports nothing for identical ABIs', () => {
+    const abi = [fn('deposit', ['uint256'])];
+    expect(compareAbis(abi, abi)).toEqual({ contracts: [], breaking: false });
+  });
+
+  it('reports a changed parameter list as a params change, not a rename', () => {
+    const diff = compareAbis([fn('deposit', ['uint256'])], [fn('deposit', ['uint256', 'address'])]);
+
+    expect(kinds(diff)).toEqual([['function-params-changed', true]]);
+    expect(diff.breaking).toBe(true);
+  });
+
+  it('reports a function with the same parameters and outputs under a new name as renamed', () => {
+    const diff = compareAbis([fn('deposit', ['uint256'])], [fn('depositFor', ['uint256'])]);
+
+    expect(kinds(diff)).toEqual([['function-renamed', true]]);
+    expect(diff.contracts[0].changes[0].message).toContain('`deposit(uint256)` was renamed to `depositFor(uint256)`');
+  });
+
+  it('does not call a parameterless function with a new name a rename', () => {
+    const diff = compareAbis([fn('pause')], [fn('halt')]);
+
+    expect(kinds(diff)).toEqual([['function-removed', true], ['function-added', false]]);
+  });
+
+  it('does not guess a rename when several functions have the same shape', () => {
+    const diff = compareAbis([fn('deposit', ['uint256'])], [fn('stake', ['uint256']), fn('lock', ['uint256'])]);
+
+    expect(kinds(diff)).toEqual([['function-removed', true], ['function-added', false], ['function-added', false]]);
+  });
+
+  it('treats tighter mutability as breaking and looser mutability as compatible', () => {
+    const tightened = compareAbis(
+      [fn('balance', [], { stateMutability: 'view' }), fn('donate', [], { stateMutability: 'payable' })],
+      [fn('balance', [], { stateMutability: 'nonpayable' }), fn('donate', [], { stateMutability: 'nonpayable' })]
+    );
+    const loosened = compareAbis(
+      [fn('balance', [], { stateMutability: 'view' }), fn('donate', [], { stateMutability: 'nonpayable' })],
+      [fn('balance', [], { stateMutability: 'pure' }), fn('donate', [], { stateMutability: 'payable' })]
+    );
+
+    expect(kinds(tightened)).toEqual([['function-mutability-changed', true], ['function-mutability-changed', true]]);
+    expect(kinds(loosened)).toEqual([['function-mutability-changed', false], ['function-mutability-changed', false]]);
+    expect(loosened.breaking).toBe(false);
+  });
+
+  it('reads mutability from the legacy constant and payable flags', () => {
+    const { stateMutability, ...legacy } = fn('total', [], { constant: true });
+    const diff = compareAbis([legacy], [fn('total', [], { stateMutability: 'view' })]);
+
+    expect(diff.contracts).toEqual([]);
+  });
+
+  it('handles entries without inputs', () => {
+    const { inputs, ...noInputs } = fn('pause');
+    const diff = compareAbis([noInputs, { type: 'event', name: 'Paused' }], [{ type: 'event', name: 'Paused' }]);
+
+    expect(kinds(diff)).toEqual([['function-removed', true]]);
+  });
+
+  it('reports events whose indexed parameters changed', () => {
+    const event = (indexed) => ({ type: 'event', name: 'Deposit', inputs: [{ name: 'from', type: 'address', indexed }] });
+    const diff = compareAbis([event(true)], [event(false)]);
+
+    expect(kinds(diff)).toEqual([['event-changed', true]]);
+  });
+
+  it('reports removed contracts as breaking and new contracts as added', () => {
+    const diff = abiDiff.compare(
+      [{ name: 'Vault', abi: [fn('deposit', ['uint256'])] }],
+      [{ name: 'VaultV2', abi: [fn('deposit', ['uint256'])] }]
+    );
+
+    expect(diff.contracts.map(contract => [contract.name, contract.status])).toEqual([
+      ['VaultV2', 'added'],
+      ['Vault', 'removed'],
+    ]);
+    expect(diff.breaking).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+const contractSize = require('../../../src/services/analysis/contract-size');
+
+const contract = (file, name, bytecodeSize, initcodeSize = bytecodeSize + 500) => ({
+  file,
+  name,
+  line: 3,
+  bytecodeSize,
+  initcodeSize,
+});
+
+describe('contract-size', () => {
+  describe('check', () => {
+    it('rates sizes against the EIP-170 and EIP-3860 limits', () => {
+      const [ok, near, over] = contractSize.check([
+        contract('src/A.sol', 'A', 10000),
+        contract('src/B.sol', 'B', 23000),
+        contract('src/C.sol', 'C', 25000, 50000),
+      ]);
+
+      expect(ok.runtime).toMatchObject({ status: 'ok', limit: 24576, base: null, delta: null });
+      expect(near.runtime.status).toBe('near');
+      expect(over.runtime.status).toBe('over');
+      expect(over.initcode).toMatchObject({ status: 'over', limit: 49152 });
+    });
+
+    it('uses the configured warning percentage', () => {
+      const [result] = contractSize.check([contract('src/A.sol', 'A', 20000)], [], 80);
+      expect(result.runtime.status).toBe('near');
+    });
+
+    it('compares with the same contract on the base branch', () => {
+      const [result] = contractSize.check(
+        [contract('src/A.sol', 'A', 12000)],
+        [contract('src/A.sol', 'A', 11000), contract('src/B.sol', 'A', 5000)]
+      );
+
+      expect(result.runtime).toMatchObject({ base: 11000, delta: 1000 });
+    });
+
+    it('matches a contract whose file moved by name', () => {
+      const [result] = contractSize.check(
+        [contract('src/tokens/Token.sol', 'Token', 9000)],
+        [contract('contracts/Token.sol', 'Token', 9500)]
+      );
+
+      expect(result.runtime).toMatchObject({ base: 9500, delta: -500 });
+    });
+
+    it('has no base for a renamed contract', () => {
+      const [result] = contractSize.check(
+        [contract('src/Token.sol', 'TokenV2', 9000)],
+        [contract('src/Token.sol', 'Token', 9500)]
+      );
+
+      expect(result.runtime).toMatchObject({ base: null, delta: null });
+    });
+  });
+
+  describe('getFindings', () => {
+    it('fails oversized contracts and warns about ones near the limit', () => {
+      const results = contractSize.check(
+        [contract('src/A.sol', 'A', 10000), contract('src/B.sol', 'B', 23000), contract('src/C.sol', 'C', 25000)],
+        [contract('src/C.sol', 'C', 24000)]
+      );
+      const findings = contractSize.getFindings(results);
+
+      expect(findings.map(finding => [finding.path, finding.level, finding.title])).toEqual([
+        ['src/B.sol', 'warning', 'Approaching EIP-170 size limit'],
+        ['src/C.sol', 'failure', 'EIP-170 size limit exceeded'],
+      ]);
+      expect(findings[1].message).toContain('+1,000 bytes in this pull request');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const gasDiff = require('../../../src/services/analysis/gas-diff');
+
+const contract = (file, name, overrides = {}) => ({
+  file,
+  name,
+  line: 1,
+  deploymentGas: 100000,
+  bytecodeSize: 1000,
+  functions: [{ signature: 'transfer(address,uint256)', gas: 5000 }],
+  ...overrides,
+});
+
+describe('gas-diff', () => {
+  describe('compare', () => {
+    it('reports identical contracts as unchanged', () => {
+      const diff = gasDiff.compare(
+        { contracts: [contract('src/Token.sol', 'Token')] },
+        { contracts: [contract('src/Token.sol', 'Token')] }
+      );
+
+      expect(diff.contracts).toHaveLength(1);
+      expect(diff.contracts[0].status).toBe('unchanged');
+    });
+
+    it('matches a contract whose file moved', () => {
+      const diff = gasDiff.compare(
+        { contracts: [contract('contracts/Token.sol', 'Token')] },
+        { contracts: [contract('src/tokens/Token.sol', 'Token', { deploymentGas: 110000 })] }
+      );
+
+      expect(diff.contracts).toHaveLength(1);
+      expect(diff.contracts[0]).toMatchObject({ file: 'src/tokens/Token.sol', status: 'changed' });
+      expect(diff.contracts[0].deployment).toMatchObject({ base: 100000, head: 110000, delta: 10000, percent: 10 });
+    });
+
+    it('does not match a moved contract when its name is ambiguous', () => {
+      const diff = gasDiff.compare(
+        { contracts: [contract('a/Token.sol', 'Token'), contract('b/Token.sol', 'Token')] },
+        { contracts: [contract('c/Token.sol', 'Token')] }
+      );
+
+      expect(diff.contracts.map(c => [c.file, c.status])).toEqual([
+        ['c/Token.sol', 'added'],
+        ['a/Token.sol', 'removed'],
+        ['b/Token.sol', 'removed'],
+      ]);
+    });
+
+    it('treats a renamed contract as removed and added', () => {
+      const diff = gasDiff.compare(
+        { contracts: [contract('src/Token.sol', 'Token')] },
+        { contracts: [contract('src/Token.sol', 'TokenV2')] }
+      );
+
+      expect(diff.contracts.map(c => [c.name, c.status])).toEqual([
+        ['TokenV2', 'added'],
+        ['Token', 'removed'],
+      ]);
+    });
+
+    it('compares functions by signature', () => {
+      const diff = gasDiff.compare(
+        { contracts: [contract('src/Token.sol', 'Token')] },
+        {
+          contracts: [contract('src/Token.sol', 'Token', {
+            functions: [
+              { signature: 'transfer(address,uint256)', gas: 6000 },
+              { signature: 'burn(uint256)', gas: null },
+            ],
+          })],
+        }
+      );
+
+      expect(diff.contracts[0].functions).toEqual([
+        { signature: 'transfer(address,uint256)', status: 'changed', base: 5000, head: 6000, delta: 1000, percent: 20 },
+        { signature: 'burn(uint256)', status: 'added', base: undefined, head: null, delta: null, percent: null },
+      ]);
+    });
+  });
+
+  describe('getRegressions', () => {
+    it('returns deployment and function increases above the threshold', () => {
+      const diff = gasDiff.compare(
+        { contracts: [contract('src/Token.sol', 'Token')] },
+        {
+          contracts: [contract('src/Token.sol', 'Token', {
+            deploymentGas: 104000,
+            functions: [{ signature: 'transfer(address,uint256)', gas: 5500 }],
+          })],
+        }
+      );
+
+      expect(gasDiff.getRegressions(diff, 5).map(r => r.target)).toEqual(['transfer(address,uint256)']);
+      expect(gasDiff.getRegressions(diff, 3).map(r => r.target)).toEqual(['deployment', 'transfer(address,uint256)']);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const storageLayout = require('../../../src/services/analysis/storage-layout');
+
+const TYPES = {
+  t_uint256: { label: 'uint256', numberOfBytes: '32' },
+  t_address: { label: 'address', numberOfBytes: '20' },
+  t_bool: { label: 'bool', numberOfBytes: '1' },
+  't_array(t_uint256)50_storage': { label: 'uint256[50]', numberOfBytes: '1600' },
+  't_array(t_uint256)49_storage': { label: 'uint256[49]', numberOfBytes: '1568' },
+  't_array(t_uint256)48_storage': { label: 'uint256[48]', numberOfBytes: '1536' },
+};
+
+// [label, slot, type, offset]
+const layout = (...entries) => ({
+  storage: entries.map(([label, slot, type, offset = 0]) => ({ label, slot: String(slot), offset, type })),
+  types: TYPES,
+});
+
+const kinds = (result) => result.changes.map(change => [change.kind, change.breaking]);
+
+describe('storage-layout', () => {
+  describe('compare', () => {
+    it('reports nothing for identical layouts', () => {
+      const base = layout(['owner', 0, 't_address'], ['total', 1, 't_uint256']);
+      const result = storageLayout.compare(base, base);
+
+      expect(result.changes).toEqual([]);
+      expect(result.breaking).toBe(false);
+      expect(result.rows.map(row => row.status)).toEqual(['unchanged', 'unchanged']);
+    });
+
+    it('allows variables appended after the existing ones', () => {
+      const result = storageLayout.compare(
+        layout(['owner', 0, 't_address']),
+        layout(['owner', 0, 't_address'], ['paused', 0, 't_bool', 20])
+      );
+
+      expect(kinds(result)).toEqual([['added', false]]);
+    });
+
+    it('flags reordered variables as moved', () => {
+      const result = storageLayout.compare(
+        layout(['owner', 0, 't_address'], ['total', 1, 't_uint256']),
+        layout(['total', 0, 't_uint256'], ['owner', 1, 't_address'])
+      );
+
+      expect(kinds(result)).toEqual([['moved', true], ['moved', true]]);
+      expect(result.breaking).toBe(true);
+    });
+
+    it('flags a changed type in place', () => {
+      const result = storageLayout.compare(layout(['total', 0, 't_uint256']), layout(['total', 0, 't_address']));
+
+      expect(kinds(result)).toEqual([['retyped', true]]);
+    });
+
+    it('treats a same-typed variable in the same slot under a new name as a rename', () => {
+      const result = storageLayout.compare(layout(['total', 0, 't_uint256']), layout(['totalSupply', 0, 't_uint256']));
+
+      expect(kinds(result)).toEqual([['renamed', false]]);
+      expect(result.breaking).toBe(false);
+    });
+
+    it('flags a removed variable', () => {
+      const result = storageLayout.compare(
+        layout(['owner', 0, 't_address'], ['total', 1, 't_uint256']),
+        layout(['owner', 0, 't_address'])
+      );
+
+      expect(kinds(result)).toEqual([['removed', true]]);
+    });
+  });
+
+  describe('storage gaps', () => {
+    it('accepts a gap that shrinks by exactly the slots of new variables', () => {
+      const result = storageLayout.compare(
+        layout(['owner', 0, 't_address'], ['__gap', 1, 't_array(t_uint256)50_storage']),
+        layout(['owner', 0, 't_address'], ['total', 1, 't_uint256'], ['__gap', 2, 't_array(t_uint256)49_storage'])
+      );
+
+      expect(kinds(result)).toEqual([['gap-shrunk', false], ['added', false]]);
+      expect(result.breaking).toBe(false);
+    });
+
+    it('flags a gap that shrinks without new variables, shifting later slots', () => {
+      const result = storageLayout.compare(
+        layout(['__gap', 0, 't_array(t_uint256)50_storage'], ['child', 50, 't_uint256']),
+        layout(['__gap', 0, 't_array(t_uint256)49_storage'], ['child', 49, 't_uint256'])
+      );
+
+      expect(kinds(result)).toEqual([['gap-shrunk', true], ['moved', true]]);
+      expect(result.changes[0].message).toContain('moves every slot after it by -1');
+    });
+
+    it('flags a gap that shrinks by more than the new variables use', () => {
+      const result = storageLayout.compare(
+        layout(['__gap', 0, 't_array(t_uint256)50_storage']),
+        layout(['total', 0, 't_uint256'], ['__gap', 1, 't_array(t_uint256)48_storage'])
+      );
+
+      expect(result.changes[0]).toMatchObject({ kind: 'gap-shrunk', breaking: true });
+    });
+
+    it('flags a grown gap as resized', () => {
+      const result = storageLayout.compare(
+        layout(['__gap', 0, 't_array(t_uint256)49_storage']),
+        layout(['__gap', 0, 't_array(t_uint256)50_storage'])
+      );
+
+      expect(kinds(result)).toEqual([['gap-resized', true]]);
+    });
+
+    it('reports a removed gap without failing', () => {
+      const result = storageLayout.compare(layout(['__gap', 0, 't_array(t_uint256)50_storage']), layout());
+
+      expect(kinds(result)).toEqual([['gap-removed', false]]);
+    });
+
+    it('keeps the gaps of different base contracts apart', () => {
+      const base = layout(['__gap', 0, 't_array(t_uint256)50_storage'], ['__gap', 50, 't_array(t_uint256)50_storage']);
+      expect(storageLayout.compare(base, base).changes).toEqual([]);
+    });
+  });
+
+  describe('getInheritance', () => {
+    it('collects direct and indirect bases', () => {
+      const inheritance = storageLayout.getInheritance({
+        'Base.sol': { content: 'contract Initializable {} contract Base is Initializable {}' },
+        'Vault.sol': { content: 'import "./Base.sol"; contract Vault is Base {}' },
+      });
+
+      expect(inheritance.get('Vault')).toEqual(['Base', 'Initializable']);
+      expect(storageLayout.isUpgradeable({ bases: inheritance.get('Vault') }, ['Initializable'])).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+process.env.GITHUB_PRIVATE_KEY = 'test-key';
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  githubAction: jest.fn(),
+}));
+
+const alertManager = require('../../../src/services/github/alert-manager');
+
+const MINUTE = 60 * 1000;
+const settings = { labels: ['crypto-intel-alert'], resolveAfterMinutes: 60 };
+
+const gasAlert = (severity = 'medium', network = 'ethereum') => ({
+  type: 'high_gas_price',
+  network,
+  severity,
+  message: `High gas price detected on ${network}`,
+});
+
+function createOctokit({ openIssues = [] } = {}) {
+  let nextNumber = 100;
+  const states = new Map();
+
+  return {
+    states,
+    paginate: jest.fn(async () => openIssues),
+    rest: {
+      issues: {
+        listForRepo: jest.fn(),
+        create: jest.fn(async () => {
+          const number = nextNumber++;
+          states.set(number, 'open');
+          return { data: { number } };
+        }),
+        createComment: jest.fn(async () => ({ data: {} })),
+        update: jest.fn(async ({ issue_number, state }) => {
+          states.set(issue_number, state);
+          return { data: {} };
+        }),
+        get: jest.fn(async ({ issue_number }) => ({ data: { state: states.get(issue_number) || 'open' } })),
+      },
+    },
+  };
+}
+
+const reconcile = (octokit, alerts, now, observedNetworks = null) =>
+  alertManager.reconcile(octokit, 'o', 'r', 'gas', alerts, settings, now, observedNetworks);
+
+const comments = (octokit) => octokit.rest.issues.createComment.mock.calls.map(([args]) => args.body);
+
+describe('alert-manager', () => {
+  beforeEach(() => {
+    alertManager.issues.clear();
+  });
+
+  describe('reconcile', () => {
+    it('opens one issue per alert with a hidden marker', async () => {
+      const octokit = createOctokit();
+      const result = await reconcile(octokit, [gasAlert('high')], 0);
+
+      expect(result).toEqual({ opened: 1, updated: 0, closed: 0 });
+      const [{ title, body, labels }] = octokit.rest.issues.create.mock.calls[0];
+      expect(title).toBe('Crypto Intel alert: High gas price on Ethereum Mainnet');
+      expect(body).toContain('<!-- crypto-intel-alert key=high_gas_price:ethereum source=gas -->');
+      expect(body).toContain('| Severity | high |');
+      expect(labels).toEqual(['crypto-intel-alert']);
+      expect(alertManager.getTrackedAlerts('o', 'r')).toMatchObject([{ key: 'high_gas_price:ethereum', issueNumber: 100 }]);
+    });
+
+    it('leaves an alert that is still active alone', async () => {
+      const octokit = createOctokit();
+      await reconcile(octokit, [gasAlert()], 0);
+      const result = await reconcile(octokit, [gasAlert()], 5 * MINUTE);
+
+      expect(result).toEqual({ opened: 0, updated: 0, closed: 0 });
+      expect(octokit.rest.issues.create).toHaveBeenCalledTimes(1);
+      expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('comments when the severity rises', async () => {
+      const octokit = createOctokit();
+      await reconcile(octokit, [gasAlert('medium')], 0);
+      const result = await reconcile(octokit, [gasAlert('high')], MINUTE);
+
+      expect(result.updated).toBe(1);
+      expect(comments(octokit)).toEqual([expect.stringContaining('Severity raised to high')]);
+      expect(alertManager.getTrackedAlerts('o', 'r')[0].severity).toBe('high');
+
+      await reconcile(octokit, [gasAlert('medium')], 2 * MINUTE);
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+    });
+
+    it('comments on a recurrence within the resolve window', async () => {
+      const octokit = createOctokit();
+      await reconcile(octokit, [gasAlert()], 0);
+      await reconcile(octokit, [], 10 * MINUTE);
+      const result = await reconcile(octokit, [gasAlert()], 20 * MINUTE);
+
+      expect(result).toEqual({ opened: 0, updated: 1, closed: 0 });
+      expect(comments(octokit)).toEqual([expect.stringContaining('Alert recurred** (occurrence 2)')]);
+      expect(alertManager.getTrackedAlerts('o', 'r')[0]).toMatchObject({ occurrences: 2, clearedSince: null });
+    });
+
+    it('closes an issue once the alert has been clear for the resolve window', async () => {
+      const octokit = createOctokit();
+      await reconcile(octokit, [gasAlert()], 0);
+      await reconcile(octokit, [], 10 * MINUTE);
+
+      expect(await reconcile(octokit, [], 69 * MINUTE)).toEqual({ opened: 0, updated: 0, closed: 0 });
+      expect(await reconcile(octokit, [], 70 * MINUTE)).toEqual({ opened: 0, updated: 0, closed: 1 });
+      expect(comments(octokit)).toEqual([expect.stringContaining('Alert cleared')]);
+      expect(octokit.rest.issues.update).toHaveBeenCalledWith(expect.objectContaining({
+        issue_number: 100,
+        state: 'closed',
+      }));
+      expect(alertManager.getTrackedAlerts('o', 'r')).toEqual([]);
+    });
+
+    it('opens a new issue when a recurring alert was closed by someone', async () => {
+      const octokit = createOctokit();
+      await reconcile(octokit, [gasAlert()], 0);
+      await reconcile(octokit, [], MINUTE);
+      octokit.states.set(100, 'closed');
+
+      const result = await reconcile(octokit, [gasAlert()], 2 * MINUTE);
+
+      expect(result).toEqual({ opened: 1, updated: 0, closed: 0 });
+      expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(alertManager.getTrackedAlerts('o', 'r')[0].issueNumber).toBe(101);
+    });
+
+    it('does not clear alerts of networks the source could not read', async () => {
+      const octokit = createOctokit();
+      await reconcile(octokit, [gasAlert()], 0);
+      await reconcile(octokit, [], MINUTE, ['polygon']);
+
+      expect(await reconcile(octokit, [], 2 * 60 * MINUTE, ['polygon'])).toMatchObject({ closed: 0 });
+      expect(alertManager.getTrackedAlerts('o', 'r')[0].clearedSince).toBeNull();
+    });
+
+    it('ignores tracked alerts of other sources', async () => {
+      const octokit = createOctokit();
+      await reconcile(octokit, [gasAlert()], 0);
+
+      await alertManager.reconcile(octokit, 'o', 'r', 'deployments', [], settings, 2 * 60 * MINUTE);
+      expect(alertManager.getTrackedAlerts('o', 'r')[0].clearedSince).toBeNull();
+    });
+  });
+
+  describe('loadIssues', () => {
+    const issue = (number, key, severity, extra = {}) => ({
+      number,
+      created_at: '2024-01-01T00:00:00Z',
+      body: `<!-- crypto-intel-alert key=${key} source=gas -->\n**alert**\n\n| Severity | ${severity} |`,
+      ...extra,
+    });
+
+    it('picks up open alert issues by their marker', async () => {
+      const octokit = createOctokit({
+        openIssues: [
+          issue(7, 'high_gas_price:ethereum', 'high'),
+          issue(8, 'high_gas_price:ethereum', 'low'),
+          issue(9, 'high_gas_price:polygon', 'bogus'),
+          issue(10, 'high_gas_price:arbitrum', 'high', { pull_request: {} }),
+          { number: 11, created_at: '2024-01-01T00:00:00Z', body: 'An unrelated issue' },
+        ],
+      });
+
+      const tracked = await alertManager.loadIssues(octokit, 'o', 'r', settings);
+
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listForRepo, expect.objectContaining({
+        state: 'open',
+        labels: 'crypto-intel-alert',
+      }));
+      expect(Array.from(tracked.values()).map(entry => [entry.key, entry.issueNumber, entry.severity])).toEqual([
+        ['high_gas_price:ethereum', 7, 'high'],
+        ['high_gas_price:polygon', 9, 'medium'],
+      ]);
+    });
+
+    it('continues a loaded issue instead of opening a duplicate', async () => {
+      const octokit = createOctokit({ openIssues: [issue(7, 'high_gas_price:ethereum', 'medium')] });
+
+      await reconcile(octokit, [gasAlert('medium')], Date.parse('2024-01-01T01:00:00Z'));
+
+      expect(octokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(octokit.paginate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('filterAlerts', () => {
+    it('keeps the most severe alert per key on the configured networks', () => {
+      const filtered = alertManager.filterAlerts([
+        gasAlert('medium'),
+        gasAlert('high'),
+        gasAlert('high', 'bsc'),
+        { type: 'pump', severity: 'low', message: 'pump' },
+      ], { alerts: { types: [], minSeverity: 'medium' }, networks: ['ethereum'] });
+
+      expect(filtered).toEqual([gasAlert('high')]);
+    });
+  });
+});
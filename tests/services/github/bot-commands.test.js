@@ -0,0 +1,79 @@
+process.env.GITHUB_PRIVATE_KEY = 'test-key';
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock('../../../src/services/api/coingecko', () => ({}));
+jest.mock('../../../src/services/api/arkham-intel', () => ({}));
+jest.mock('../../../src/services/monitoring/gas-estimation', () => ({}));
+jest.mock('../../../src/services/monitoring/network-monitoring', () => ({}));
+
+const botCommands = require('../../../src/services/github/bot-commands');
+
+const ADDRESS = '0x' + '1'.repeat(40);
+const parseOne = (line) => botCommands.parse(`@crypto-intel-bot ${line}`)[0];
+
+describe('bot-commands', () => {
+  describe('parse', () => {
+    it.each([
+      ['positional arguments', 'price eth eur', { coin: 'eth', vs: 'eur' }],
+      ['defaults', 'price eth', { coin: 'eth', vs: 'usd' }],
+      ['--flag value', 'price --vs eur eth', { coin: 'eth', vs: 'eur' }],
+      ['--flag=value', 'price eth --vs=EUR', { coin: 'eth', vs: 'eur' }],
+      ['quoted values', 'price "wrapped bitcoin"', { coin: 'wrapped bitcoin', vs: 'usd' }],
+      ['aliases', `address ${ADDRESS} --network polygon`, { address: ADDRESS, chain: 'polygon' }],
+      ['networks by chain id', `address ${ADDRESS} 137`, { address: ADDRESS, chain: 'polygon' }],
+      ['options', `estimate ${ADDRESS} 0x --value 0.5`, { to: ADDRESS, data: '0x', network: 'ethereum', value: '0.5' }],
+      ['options only given as flags', 'analyze --ref "feature/my branch"', { ref: 'feature/my branch' }],
+    ])('reads %s', (name, line, params) => {
+      expect(parseOne(line)).toEqual({ name: line.split(' ')[0], subcommand: null, params });
+    });
+
+    it('reads subcommands and falls back to the default one', () => {
+      expect(parseOne('monitor status')).toMatchObject({ subcommand: 'status', params: {} });
+      expect(parseOne('monitor')).toMatchObject({ subcommand: 'start', params: {} });
+    });
+
+    it('reads every command in a comment', () => {
+      const commands = botCommands.parse('@crypto-intel-bot gas\n/crypto-intel help price');
+      expect(commands.map(({ name, params }) => [name, params])).toEqual([
+        ['gas', {}],
+        ['help', { command: 'price' }],
+      ]);
+    });
+
+    it('passes unknown commands through for the caller to answer', () => {
+      expect(parseOne('dance now')).toEqual({ name: 'dance', error: null, params: {} });
+    });
+  });
+
+  describe('usage errors', () => {
+    it.each([
+      ['a missing argument', 'price', '`coin` is required'],
+      ['an invalid address', 'estimate 0x12 0x', '`to` must be a 0x-prefixed 20-byte address'],
+      ['invalid call data', `estimate ${ADDRESS} 0xabc`, '`data` must be 0x-prefixed hex call data'],
+      ['an invalid amount', `estimate ${ADDRESS} 0x --value lots`, '`value` must be an amount of the native token, e.g. 0.1'],
+      ['an unknown network', 'gas mars', '`network` must be one of'],
+      ['an unknown option', 'price eth --currency eur', 'Unknown option `--currency`'],
+      ['an option without a value', 'price eth --vs', 'Option `--vs` needs a value'],
+      ['an extra argument', 'gas polygon soon', 'Unexpected argument `soon`'],
+      ['an option given as an argument', 'analyze main', 'Unexpected argument `main`'],
+      ['an unterminated quote', 'price "eth', 'Unterminated " quote'],
+    ])('reports %s', (name, line, message) => {
+      const command = parseOne(line);
+      expect(command.error).toContain(message);
+      expect(command.params).toEqual({});
+    });
+
+    it('formats the error with the command usage', () => {
+      const { name, error } = parseOne('price');
+      expect(botCommands.formatUsageError(name, error)).toBe(
+        '❌ `coin` is required\n\nUsage: `@crypto-intel-bot price <coin> [vs]`\n\n' +
+        'See `@crypto-intel-bot help price` for details.'
+      );
+    });
+  });
+});
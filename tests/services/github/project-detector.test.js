@@ -0,0 +1,64 @@
+process.env.GITHUB_PRIVATE_KEY = 'test-key';
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock('../../../src/services/github/repo-sources', () => ({}));
+
+const projectDetector = require('../../../src/services/github/project-detector');
+
+function createReader(files, sha = 'tree-1') {
+  return {
+    owner: 'o',
+    repo: 'r',
+    loadTree: async () => ({ sha }),
+    list: async () => Object.keys(files),
+    read: async (file) => files[file] ?? null,
+  };
+}
+
+describe('project-detector', () => {
+  beforeEach(() => {
+    projectDetector.cache.clear();
+  });
+
+  it('uses the default layout of a framework', async () => {
+    const project = await projectDetector.detectFromReader(createReader({
+      'hardhat.config.ts': 'export default {};',
+      'contracts/Token.sol': '',
+    }));
+
+    expect(project.framework).toBe('hardhat');
+    expect(projectDetector.getFileRole(project, 'contracts/Token.sol')).toBe('source');
+    expect(projectDetector.getFileRole(project, 'test/Token.ts')).toBe('test');
+    expect(projectDetector.getFileRole(project, 'README.md')).toBeNull();
+  });
+
+  it.each(['.', './'])('treats a Foundry src of "%s" as the repository root', async (src) => {
+    const project = await projectDetector.detectFromReader(createReader({
+      'foundry.toml': `[profile.default]\nsrc = "${src}"\nout = "out"\nlibs = ["lib"]\n`,
+      'Token.sol': '',
+    }));
+
+    expect(projectDetector.isSourceFile(project, 'Token.sol')).toBe(true);
+    expect(projectDetector.isSourceFile(project, 'vault/Vault.sol')).toBe(true);
+    expect(projectDetector.getFileRole(project, 'test/Token.t.sol')).toBe('test');
+    expect(projectDetector.getFileRole(project, 'lib/forge-std/src/Test.sol')).toBe('dependency');
+    expect(projectDetector.getFileRole(project, 'out/Token.sol/Token.json')).toBe('artifact');
+  });
+
+  it('resolves directories of a nested project against its root', async () => {
+    const project = await projectDetector.detectFromReader(createReader({
+      'packages/core/foundry.toml': '[profile.default]\nsrc = "."\n',
+      'packages/core/remappings.txt': '@oz/=lib/openzeppelin/\n',
+    }));
+
+    expect(project.projects[0]).toMatchObject({ root: 'packages/core', sources: ['packages/core'] });
+    expect(projectDetector.getRemappings(project)).toEqual(['@oz/=packages/core/lib/openzeppelin/']);
+    expect(projectDetector.isSourceFile(project, 'packages/core/Token.sol')).toBe(true);
+    expect(projectDetector.isSourceFile(project, 'packages/other/Token.sol')).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.GITHUB_PRIVATE_KEY = 'test-key';
+process.env.QUEUE_RETRY_DELAY_MS = '1000';
+process.env.QUEUE_MAX_ATTEMPTS = '3';
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  performance: jest.fn(),
+}));
+
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+describe('job-queue', () => {
+  let dir;
+  let queue;
+
+  const files = (state) => fs.readdirSync(path.join(dir, state));
+  const stored = (state, id) => JSON.parse(fs.readFileSync(path.join(dir, state, `${id}.json`), 'utf8'));
+  // A fresh queue reading the same directory, as after a restart
+  const restart = () => {
+    jest.isolateModules(() => {
+      queue = require('../../src/services/job-queue');
+    });
+    queue.load();
+    return queue;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    process.env.QUEUE_DIR = dir;
+    restart();
+  });
+
+  afterEach(() => {
+    queue.stop();
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('enqueue', () => {
+    it('stores a pending job with its payload', () => {
+      const { job, duplicate } = queue.enqueue({ id: 'd-1', type: 'push', payload: { ref: 'main' } });
+
+      expect(duplicate).toBe(false);
+      expect(job).toMatchObject({ id: 'd-1', state: 'pending', attempts: 0, maxAttempts: 3 });
+      expect(files('pending')).toEqual(['d-1.json']);
+      expect(stored('pending', 'd-1')).toMatchObject({ id: 'd-1', type: 'push', payload: { ref: 'main' } });
+      expect(stored('pending', 'd-1').state).toBeUndefined();
+    });
+
+    it('ignores a known id in any state', async () => {
+      queue.enqueue({ id: 'd-1', type: 'push', payload: {} });
+      queue.processor = async () => {};
+      await queue.attempt(queue.jobs.get('d-1'));
+
+      const { job, duplicate } = queue.enqueue({ id: 'd-1', type: 'push', payload: {} });
+      expect(duplicate).toBe(true);
+      expect(job.state).toBe('completed');
+    });
+
+    it('hashes ids that are not safe file names', () => {
+      const { job } = queue.enqueue({ id: '../../etc/passwd', type: 'push', payload: {} });
+
+      expect(job.id).toMatch(/^[0-9a-f]{64}$/);
+      expect(files('pending')).toEqual([`${job.id}.json`]);
+    });
+  });
+
+  describe('attempt', () => {
+    it('runs a job in processing and moves it to completed', async () => {
+      const { job } = queue.enqueue({ id: 'd-1', type: 'push', payload: { ref: 'main' } });
+      let seen;
+      queue.processor = async (running) => {
+        seen = { payload: running.payload, processing: files('processing'), pending: files('pending') };
+      };
+
+      await queue.attempt(job);
+
+      expect(seen).toEqual({ payload: { ref: 'main' }, processing: ['d-1.json'], pending: [] });
+      expect(files('processing')).toEqual([]);
+      expect(files('completed')).toEqual(['d-1.json']);
+      expect(stored('completed', 'd-1')).toMatchObject({ attempts: 1, lastError: null, payload: { ref: 'main' } });
+    });
+
+    it('retries failures with exponential backoff up to the cap', async () => {
+      jest.useFakeTimers({ now: START });
+      queue.retryDelayMs = 4 * 60 * 1000;
+      queue.maxAttempts = 5;
+      const { job } = queue.enqueue({ id: 'd-1', type: 'push', payload: {} });
+      queue.processor = async () => {
+        throw new Error('boom');
+      };
+
+      const delays = [];
+      for (let i = 0; i < 4; i++) {
+        await queue.attempt(job);
+        delays.push(Date.parse(job.runAt) - START);
+      }
+
+      expect(delays).toEqual([4, 8, 10, 10].map(minutes => minutes * 60 * 1000));
+      expect(job).toMatchObject({ state: 'pending', attempts: 4, lastError: 'boom' });
+      expect(stored('pending', 'd-1').runAt).toBe(job.runAt);
+    });
+
+    it('moves a job to dead letters after its last attempt', async () => {
+      const { job } = queue.enqueue({ id: 'd-1', type: 'push', payload: { ref: 'main' } });
+      queue.processor = async () => {
+        throw new Error('always');
+      };
+
+      for (let i = 0; i < 3; i++) {
+        await queue.attempt(job);
+      }
+
+      expect(job).toMatchObject({ state: 'dead', attempts: 3, lastError: 'always' });
+      expect(files('pending')).toEqual([]);
+      expect(stored('dead', 'd-1').payload).toEqual({ ref: 'main' });
+    });
+  });
+
+  describe('load', () => {
+    it('requeues jobs left in processing', () => {
+      queue.enqueue({ id: 'd-1', type: 'push', payload: { ref: 'main' } });
+      queue.moveSync(queue.jobs.get('d-1'), 'processing');
+      fs.writeFileSync(path.join(dir, 'pending', 'broken.json'), '{');
+
+      restart();
+
+      expect(queue.get('d-1', { includePayload: true })).toMatchObject({ state: 'pending', payload: { ref: 'main' } });
+      expect(files('processing')).toEqual([]);
+      expect(queue.getStats()).toMatchObject({ pending: 1, processing: 0 });
+    });
+  });
+
+  describe('start', () => {
+    it('runs queued jobs through the processor', async () => {
+      const processed = [];
+      let done;
+      const finished = new Promise(resolve => { done = resolve; });
+
+      queue.enqueue({ id: 'd-1', type: 'push', payload: { n: 1 } });
+      queue.start(async (job) => {
+        processed.push(job.payload.n);
+        if (processed.length === 2) done();
+      });
+      queue.enqueue({ id: 'd-2', type: 'push', payload: { n: 2 } });
+      await finished;
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(processed.sort()).toEqual([1, 2]);
+      expect(files('completed').sort()).toEqual(['d-1.json', 'd-2.json']);
+    });
+  });
+
+  describe('retry and remove', () => {
+    it('sends a dead job back with fresh attempts', async () => {
+      const { job } = queue.enqueue({ id: 'd-1', type: 'push', payload: {} });
+      queue.processor = async () => {
+        throw new Error('always');
+      };
+      for (let i = 0; i < 3; i++) {
+        await queue.attempt(job);
+      }
+
+      expect(queue.retry('d-1')).toMatchObject({ state: 'pending', attempts: 0, lastError: null });
+      expect(files('dead')).toEqual([]);
+      expect(() => queue.retry('d-1')).toThrow('Job d-1 is already pending');
+      expect(() => queue.retry('nope')).toThrow('Job nope not found');
+    });
+
+    it('drops pending jobs of a purged repository only', async () => {
+      queue.enqueue({ id: 'd-1', type: 'push', payload: {}, metadata: { repository: 'Owner/Repo' } });
+      queue.enqueue({ id: 'd-2', type: 'push', payload: {}, metadata: { repository: 'owner/other' } });
+      const { job } = queue.enqueue({ id: 'd-3', type: 'push', payload: {}, metadata: { repository: 'owner/repo' } });
+      queue.processor = async () => {};
+      await queue.attempt(job);
+
+      expect(queue.purgeRepository('owner', 'repo')).toBe(1);
+      expect(files('pending')).toEqual(['d-2.json']);
+      expect(files('completed')).toEqual(['d-3.json']);
+    });
+  });
+
+  describe('pruneCompleted', () => {
+    it('deletes completed jobs past the retention only', async () => {
+      jest.useFakeTimers({ now: START });
+      queue.processor = async () => {};
+      await queue.attempt(queue.enqueue({ id: 'old', type: 'push', payload: {} }).job);
+      jest.setSystemTime(START + 23 * 60 * 60 * 1000);
+      await queue.attempt(queue.enqueue({ id: 'recent', type: 'push', payload: {} }).job);
+      queue.enqueue({ id: 'waiting', type: 'push', payload: {} });
+
+      jest.setSystemTime(START + 25 * 60 * 60 * 1000);
+      queue.pruneCompleted();
+
+      expect(files('completed')).toEqual(['recent.json']);
+      expect(files('pending')).toEqual(['waiting.json']);
+      expect(queue.get('old')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { tokenize, extractCommands } = require('../../src/utils/command-parser');
+
+const OPTIONS = { mention: '@crypto-intel-bot', slash: '/crypto-intel' };
+
+describe('command-parser', () => {
+  describe('tokenize', () => {
+    it.each([
+      ['splits on whitespace', 'price  eth\teur', ['price', 'eth', 'eur']],
+      ['keeps double-quoted words together', 'price "wrapped bitcoin"', ['price', 'wrapped bitcoin']],
+      ['keeps single-quoted words together', "price 'wrapped bitcoin'", ['price', 'wrapped bitcoin']],
+      ['treats curly quotes as plain quotes', 'price “wrapped bitcoin”', ['price', 'wrapped bitcoin']],
+      ['joins quoted and bare parts of one word', 'analyze --ref=feature/"my branch"', ['analyze', '--ref=feature/my branch']],
+      ['keeps empty quoted values', 'analyze --ref ""', ['analyze', '--ref', '']],
+      ['unescapes backslashes outside quotes', 'price wrapped\\ bitcoin', ['price', 'wrapped bitcoin']],
+      ['unescapes quotes inside double quotes', 'price "a \\"b\\""', ['price', 'a "b"']],
+      ['keeps backslashes inside single quotes', "price 'a\\b'", ['price', 'a\\b']],
+      ['returns nothing for blank input', '   ', []],
+    ])('%s', (name, input, expected) => {
+      expect(tokenize(input)).toEqual(expected);
+    });
+
+    it('rejects an unterminated quote', () => {
+      expect(() => tokenize('price "eth')).toThrow('Unterminated " quote');
+    });
+  });
+
+  describe('extractCommands', () => {
+    it.each([
+      ['a mention', '@crypto-intel-bot price eth', [['price', ['eth']]]],
+      ['a mention inside a sentence', 'Could you run @crypto-intel-bot gas polygon please', [['gas', ['polygon', 'please']]]],
+      ['a mention in any case', '@Crypto-Intel-Bot Help', [['help', []]]],
+      ['the slash syntax', '/crypto-intel analyze --ref main', [['analyze', ['--ref', 'main']]]],
+      ['an indented slash command', '  /crypto-intel status', [['status', []]]],
+      ['flags with values', '@crypto-intel-bot estimate --value=0.5 0xabc', [['estimate', ['--value=0.5', '0xabc']]]],
+      ['one command per line', '@crypto-intel-bot price eth\n/crypto-intel gas\r\nthanks', [['price', ['eth']], ['gas', []]]],
+      ['no command after the mention', 'ping @crypto-intel-bot', []],
+      ['a slash command in the middle of a line', 'try /crypto-intel status', []],
+      ['a longer mention', '@crypto-intel-bot-dev price eth', []],
+      ['a mention inside an email-like word', 'me@crypto-intel-bot price', []],
+      ['inline code', 'Run `@crypto-intel-bot price eth` to see it', []],
+      ['quoted replies', '> @crypto-intel-bot price eth', []],
+      ['fenced code blocks', '```\n@crypto-intel-bot price eth\n```\n~~~\n/crypto-intel gas\n~~~', []],
+    ])('handles %s', (name, body, expected) => {
+      expect(extractCommands(body, OPTIONS).map(command => [command.name, command.tokens])).toEqual(expected);
+    });
+
+    it('keeps the command line and lowercases the name', () => {
+      expect(extractCommands('  @crypto-intel-bot PRICE ETH  ', OPTIONS)).toEqual([
+        { name: 'price', tokens: ['ETH'], line: '@crypto-intel-bot PRICE ETH' },
+      ]);
+    });
+
+    it('reports a tokenizer error on its command', () => {
+      expect(extractCommands('@crypto-intel-bot price "eth', OPTIONS)).toEqual([
+        { name: 'price', tokens: [], line: '@crypto-intel-bot price "eth', error: 'Unterminated " quote' },
+      ]);
+    });
+
+    it('handles an empty body', () => {
+      expect(extractCommands(null, OPTIONS)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+process.env.GITHUB_PRIVATE_KEY = 'test-key';
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  githubAction: jest.fn(),
+}));
+jest.mock('../../src/services', () => ({}));
+jest.mock('../../src/services/job-queue', () => ({}));
+jest.mock('../../src/services/delivery-log', () => ({}));
+
+const crypto = require('crypto');
+const config = require('../../src/config');
+const handler = require('../../src/webhooks/handler');
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('webhook handler', () => {
+  describe('verifySignature', () => {
+    const body = Buffer.from('{"zen":"Keep it logically awesome. é"}');
+
+    it('accepts a signature over the raw bytes', () => {
+      expect(handler.verifySignature(body, sign(body, 'secret'), ['secret'])).toBe(true);
+      expect(handler.verifySignature(body, sign(body, 'secret').toUpperCase().replace('SHA256=', 'sha256='), ['secret']))
+        .toBe(true);
+    });
+
+    it('rejects a signature over re-serialized JSON', () => {
+      const reserialized = Buffer.from(JSON.stringify(JSON.parse(body.toString('utf8')), null, 2));
+      expect(handler.verifySignature(body, sign(reserialized, 'secret'), ['secret'])).toBe(false);
+    });
+
+    it.each([
+      ['a wrong secret', sign(body, 'other')],
+      ['a short signature', 'sha256=abcd'],
+      ['a long signature', `${sign(body, 'secret')}00`],
+      ['a non-hex signature', `sha256=${'z'.repeat(64)}`],
+      ['a sha1 signature', `sha1=${crypto.createHmac('sha1', 'secret').update(body).digest('hex')}`],
+      ['a missing signature', undefined],
+      ['an array of signatures', [sign(body, 'secret')]],
+    ])('rejects %s without throwing', (name, signature) => {
+      expect(() => handler.verifySignature(body, signature, ['secret'])).not.toThrow();
+      expect(handler.verifySignature(body, signature, ['secret'])).toBe(false);
+    });
+
+    it('rejects everything without a secret', () => {
+      expect(handler.verifySignature(body, sign(body, ''), [])).toBe(false);
+    });
+  });
+
+  describe('getWebhookSecrets', () => {
+    const original = { ...config.github };
+
+    afterEach(() => {
+      Object.assign(config.github, original);
+    });
+
+    it('accepts the current and previous secrets during a rotation', () => {
+      config.github.webhookSecret = 'new';
+      config.github.previousWebhookSecrets = ['old', ''];
+      const body = Buffer.from('{}');
+
+      expect(handler.getWebhookSecrets()).toEqual(['new', 'old']);
+      expect(handler.verifySignature(body, sign(body, 'new'), handler.getWebhookSecrets())).toBe(true);
+      expect(handler.verifySignature(body, sign(body, 'old'), handler.getWebhookSecrets())).toBe(true);
+      expect(handler.verifySignature(body, sign(body, 'older'), handler.getWebhookSecrets())).toBe(false);
+    });
+  });
+
+  describe('parsePayload', () => {
+    const payload = { action: 'opened', number: 1 };
+
+    it.each([
+      ['JSON', 'application/json', JSON.stringify(payload)],
+      ['JSON with a charset', 'application/json; charset=utf-8', JSON.stringify(payload)],
+      ['a form-encoded payload field', 'application/x-www-form-urlencoded',
+        `payload=${encodeURIComponent(JSON.stringify(payload))}`],
+      ['a form-encoded body with other fields', 'Application/X-WWW-Form-Urlencoded',
+        `other=1&payload=${encodeURIComponent(JSON.stringify(payload))}`],
+    ])('reads %s', (name, contentType, body) => {
+      expect(handler.parsePayload(Buffer.from(body), contentType)).toEqual(payload);
+    });
+
+    it('defaults to JSON without a content type', () => {
+      expect(handler.parsePayload(Buffer.from('{"a":1}'))).toEqual({ a: 1 });
+    });
+
+    it.each([
+      ['a form without a payload field', 'application/x-www-form-urlencoded', 'other=1', 'Missing payload field'],
+      ['invalid JSON', 'application/json', '{"a":', 'Payload is not valid JSON'],
+      ['a JSON array', 'application/json', '[]', 'Payload must be a JSON object'],
+      ['JSON null', 'application/json', 'null', 'Payload must be a JSON object'],
+      ['a JSON string', 'application/x-www-form-urlencoded', 'payload=%22hi%22', 'Payload must be a JSON object'],
+    ])('rejects %s', (name, contentType, body, message) => {
+      expect(() => handler.parsePayload(Buffer.from(body), contentType)).toThrow(message);
+    });
+
+    it.each(['text/plain', 'application/xml', ''])('answers %p with 415', (contentType) => {
+      let error;
+      try {
+        handler.parsePayload(Buffer.from('{}'), contentType);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.status).toBe(415);
+      expect(error.message).toMatch(/^Unsupported content type/);
+    });
+  });
+});